@@ -0,0 +1,228 @@
+/**
+ * 面板登录与 CSRF 防护
+ * 配置了访问令牌或密码时，/api 与预览代理需先登录（会话 Cookie）或携带 Authorization: Bearer <令牌>；
+ * 使用 Cookie 的写操作（POST / PUT / PATCH / DELETE）还须带 X-CSRF-Token 请求头。
+ */
+
+import { createHash, randomBytes, timingSafeEqual } from "crypto";
+
+export const SESSION_COOKIE = "oqg_session";
+export const CSRF_HEADER = "x-csrf-token";
+const SESSION_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+// 同一 IP 在窗口期内连续登录失败（含 Bearer 令牌错误）达到上限后暂时拒绝
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 5;
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+let secrets = { token: "", password: "" };
+/** @type {Map<string, { csrfToken: string, expiresAt: number }>} 会话只保存在内存中，重启面板后需重新登录 */
+const sessions = new Map();
+/** @type {Map<string, { count: number, firstAt: number }>} */
+const loginFailures = new Map();
+// 未启用登录时全局共用的 CSRF 令牌：仍可阻止其它网站向本机面板发起写请求
+const anonymousCsrfToken = randomBytes(24).toString("hex");
+
+/**
+ * 读取登录设置：环境变量优先于 config.json。
+ * @param {Record<string, any>} cfg - config.json 内容
+ */
+export function loadAuthSettings(cfg = {}) {
+  const auth = cfg.auth && typeof cfg.auth === "object" ? cfg.auth : {};
+  const str = (v) => (typeof v === "string" ? v : "");
+  return {
+    host: process.env.HOST || str(cfg.host) || "127.0.0.1",
+    token: process.env.DASHBOARD_TOKEN || str(auth.token),
+    password: process.env.DASHBOARD_PASSWORD || str(auth.password),
+  };
+}
+
+export function configureAuth({ token, password }) {
+  secrets = { token: token || "", password: password || "" };
+  sessions.clear();
+}
+
+export function authEnabled() {
+  return !!(secrets.token || secrets.password);
+}
+
+export function isLoopbackHost(host) {
+  return host === "localhost" || host === "::1" || /^127\./.test(host);
+}
+
+// 先取摘要再比较，长度不同也不会提前返回
+export function safeEqual(a, b) {
+  const digest = (s) => createHash("sha256").update(String(s)).digest();
+  return timingSafeEqual(digest(a), digest(b));
+}
+
+function matchesSecret(secret) {
+  if (!secret) return false;
+  const okToken = secrets.token ? safeEqual(secret, secrets.token) : false;
+  const okPassword = secrets.password ? safeEqual(secret, secrets.password) : false;
+  return okToken || okPassword;
+}
+
+function parseCookies(header = "") {
+  const cookies = {};
+  for (const part of header.split(";")) {
+    const i = part.indexOf("=");
+    if (i < 0) continue;
+    cookies[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return cookies;
+}
+
+function getSession(req) {
+  const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  const session = id && sessions.get(id);
+  if (!session) return null;
+  if (session.expiresAt < Date.now()) {
+    sessions.delete(id);
+    return null;
+  }
+  return { id, ...session };
+}
+
+function bearerToken(req) {
+  const m = (req.headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : "";
+}
+
+function cookieHeader(req, value, maxAgeMs) {
+  const secure = req.secure ? "; Secure" : "";
+  return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(maxAgeMs / 1000)}${secure}`;
+}
+
+/**
+ * 检查登录失败次数。
+ * @returns {number} 仍被拒绝时返回需等待的秒数，否则为 0
+ */
+export function loginRetryAfter(ip) {
+  const entry = loginFailures.get(ip);
+  if (!entry) return 0;
+  const elapsed = Date.now() - entry.firstAt;
+  if (elapsed > LOGIN_WINDOW_MS) {
+    loginFailures.delete(ip);
+    return 0;
+  }
+  return entry.count >= LOGIN_MAX_FAILURES ? Math.ceil((LOGIN_WINDOW_MS - elapsed) / 1000) : 0;
+}
+
+function recordLoginFailure(ip) {
+  const entry = loginFailures.get(ip) || { count: 0, firstAt: Date.now() };
+  entry.count++;
+  loginFailures.set(ip, entry);
+}
+
+// 校验 Bearer 令牌，错误时与登录失败一同计数；调用前先用 loginRetryAfter 检查是否已被拒绝
+function matchesBearer(bearer, ip) {
+  if (secrets.token && safeEqual(bearer, secrets.token)) return true;
+  recordLoginFailure(ip);
+  return false;
+}
+
+/**
+ * 校验令牌或密码，成功时创建会话并设置 Cookie。
+ * @returns {{ csrfToken: string } | null}
+ */
+export function login(req, res, secret) {
+  const ip = req.ip;
+  if (!matchesSecret(secret)) {
+    recordLoginFailure(ip);
+    return null;
+  }
+  loginFailures.delete(ip);
+  const id = randomBytes(32).toString("hex");
+  const csrfToken = randomBytes(24).toString("hex");
+  sessions.set(id, { csrfToken, expiresAt: Date.now() + SESSION_MAX_AGE_MS });
+  res.setHeader("Set-Cookie", cookieHeader(req, id, SESSION_MAX_AGE_MS));
+  return { csrfToken };
+}
+
+export function logout(req, res) {
+  const session = getSession(req);
+  if (session) sessions.delete(session.id);
+  res.setHeader("Set-Cookie", cookieHeader(req, "", 0));
+}
+
+/**
+ * 当前请求的登录状态，供 GET /api/auth/session 返回。
+ * csrfToken 只在已登录（或未启用登录）时返回；跨站页面无法读取该响应。
+ */
+export function describeSession(req) {
+  if (!authEnabled()) return { authRequired: false, authenticated: true, csrfToken: anonymousCsrfToken };
+  const session = getSession(req);
+  return session
+    ? { authRequired: true, authenticated: true, csrfToken: session.csrfToken }
+    : { authRequired: true, authenticated: false };
+}
+
+/**
+ * 未启用登录时只接受 Host 为本机地址的请求，防止 DNS 重绑定的网页以同源身份读取 CSRF 令牌并调用接口。
+ */
+export function requireLocalHost(req, res, next) {
+  if (authEnabled() || isLoopbackHost(req.hostname.replace(/^\[|\]$/g, ""))) return next();
+  res.status(403).json({ error: "未启用登录时只能通过 localhost 访问面板" });
+}
+
+function hostnameOf(host) {
+  try {
+    return new URL(`http://${host}`).hostname.replace(/^\[|\]$/g, "");
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * 校验 WebSocket 升级请求（预览热重载）。升级请求不经过 Express 中间件，这里合并 requireLocalHost 与 requireAuth 的检查；
+ * 浏览器会为跨站 WebSocket 带上 Cookie，因此 Origin 必须与 Host 一致。
+ * @param {import("http").IncomingMessage} req
+ */
+export function authorizeUpgrade(req) {
+  const host = req.headers.host || "";
+  const origin = req.headers.origin;
+  if (origin) {
+    try {
+      if (new URL(origin).host !== host) return false;
+    } catch {
+      return false;
+    }
+  }
+  if (!authEnabled()) return isLoopbackHost(hostnameOf(host));
+  const bearer = bearerToken(req);
+  if (bearer) {
+    // 升级请求不经过 Express，没有 req.ip；未设置 trust proxy 时两者相同
+    const ip = req.socket.remoteAddress;
+    return !loginRetryAfter(ip) && matchesBearer(bearer, ip);
+  }
+  return !!getSession(req);
+}
+
+/**
+ * 要求已登录；写操作另外校验 CSRF 令牌（Bearer 令牌不依赖 Cookie，无需 CSRF）。
+ * 未启用登录时，不带 Origin 请求头的请求（curl、脚本等非浏览器客户端）可省略 CSRF 令牌。
+ */
+export function requireAuth(req, res, next) {
+  if (authEnabled()) {
+    const bearer = bearerToken(req);
+    if (bearer) {
+      const retryAfter = loginRetryAfter(req.ip);
+      if (retryAfter) {
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({ error: `访问令牌错误次数过多，请 ${Math.ceil(retryAfter / 60)} 分钟后再试` });
+      }
+      if (matchesBearer(bearer, req.ip)) return next();
+      return res.status(401).json({ error: "访问令牌无效", authRequired: true });
+    }
+  }
+  const session = authEnabled() ? getSession(req) : null;
+  if (authEnabled() && !session) return res.status(401).json({ error: "请先登录", authRequired: true });
+  if (!SAFE_METHODS.has(req.method) && (session || req.get("origin"))) {
+    const expected = session ? session.csrfToken : anonymousCsrfToken;
+    const provided = req.get(CSRF_HEADER) || "";
+    if (!provided || !safeEqual(provided, expected)) {
+      return res.status(403).json({ error: "CSRF 校验失败，请刷新页面后重试" });
+    }
+  }
+  next();
+}
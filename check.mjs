@@ -0,0 +1,227 @@
+/**
+ * 发布前的内容检查
+ * 扫描 Quartz 内容目录：找不到的图片与附件、指向不存在页面的内部链接、manifest 记录但已缺失的文件、
+ * 不在 manifest 中的文件，以及无法解析或字段类型不对的 frontmatter。
+ * 配置 publish.blockOnCheckErrors 后，发布前检查有错误时中止发布。
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { parseFrontmatter } from "./frontmatter.mjs";
+import { resolvePaths, manifestPath, maskCode, parseWikiInner, mdLinkTarget, ATTACHMENT_LINK_REGEX } from "./sync.mjs";
+
+// 问题类型：error 阻止发布（开启 blockOnCheckErrors 时），warning 只提示
+export const CHECK_ISSUE_TYPES = {
+  "missing-asset": { severity: "error", label: "图片 / 附件不存在" },
+  "dead-link": { severity: "error", label: "内部链接失效" },
+  "missing-output": { severity: "error", label: "同步记录中的文件缺失" },
+  frontmatter: { severity: "error", label: "frontmatter 无效" },
+  orphan: { severity: "warning", label: "不在同步记录中的文件" },
+};
+// 面板与命令行只显示前这么多条，报告中的计数仍为全部
+const MAX_REPORTED_ISSUES = 500;
+// Quartz 读取的日期字段
+const DATE_FIELDS = ["date", "created", "modified", "lastmod", "updated", "published", "publishDate"];
+const LIST_FIELDS = ["tags", "aliases", "cssclasses"];
+const HTML_SRC_REGEX = /<(?:img|iframe|video|audio|source|embed)\b[^>]*?\ssrc="([^"]+)"/gi;
+const ATTACHMENT_EXT_REGEX = /\.[a-z0-9]{1,5}$/i;
+
+async function listFiles(dir, base = dir) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith(".")) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...(await listFiles(full, base)));
+    else if (entry.isFile()) files.push(path.relative(base, full).replace(/\\/g, "/"));
+  }
+  return files;
+}
+
+// 内容目录的文件索引；Quartz 的链接不区分大小写地匹配文件名，这里统一转为小写比较
+function buildIndex(files) {
+  const paths = new Set();
+  const dirs = new Set();
+  const names = new Set();
+  for (const rel of files) {
+    const lower = rel.toLowerCase();
+    paths.add(lower);
+    names.add(path.posix.basename(lower));
+    for (let d = path.posix.dirname(lower); d !== "."; d = path.posix.dirname(d)) dirs.add(d);
+  }
+  return { paths, dirs, names };
+}
+
+/**
+ * 链接目标是否存在：依次按相对当前文件、相对内容根目录（本工具写出的 ../ 路径）解析。
+ * 只有不含 / 的目标（如 [[笔记名]]）才与 Quartz 默认的 shortest 解析一致，按文件名在整个内容目录中查找；
+ * 写明路径的目标不按文件名查找，否则别处的同名文件会掩盖缺失的文件。笔记可省略 .md，目录对应 Quartz 的目录页。
+ */
+function targetExists(target, fromRel, index) {
+  const t = target.replace(/\\/g, "/").toLowerCase();
+  const fromDir = path.posix.dirname(fromRel.toLowerCase());
+  const candidates = [];
+  const relative = path.posix.normalize(path.posix.join(fromDir, t));
+  if (!relative.startsWith("../")) candidates.push(relative);
+  candidates.push(path.posix.normalize(t.replace(/^\/+/, "")).replace(/^(\.\.\/)+/, ""));
+  for (const c of candidates) {
+    const clean = c.replace(/\/$/, "");
+    if (clean === "." || clean === "" || index.paths.has(clean) || index.paths.has(`${clean}.md`) || index.dirs.has(clean)) return true;
+  }
+  if (t.includes("/")) return false;
+  return index.names.has(t) || index.names.has(`${t}.md`);
+}
+
+function lineAt(content, offset) {
+  let line = 1;
+  for (let i = content.indexOf("\n"); i >= 0 && i < offset; i = content.indexOf("\n", i + 1)) line++;
+  return line;
+}
+
+function checkFrontmatterData(data) {
+  const problems = [];
+  if (data.title != null && typeof data.title === "object") problems.push("title 须为文本");
+  for (const key of LIST_FIELDS) {
+    const v = data[key];
+    if (v == null) continue;
+    const items = Array.isArray(v) ? v : [v];
+    if (items.some((x) => x == null || typeof x === "object")) problems.push(`${key} 须为文本或文本列表`);
+  }
+  for (const key of DATE_FIELDS) {
+    const v = data[key];
+    if (v == null || v instanceof Date) continue;
+    if (typeof v === "object" || Number.isNaN(new Date(v).getTime())) problems.push(`${key} 不是有效的日期：${JSON.stringify(v)}`);
+  }
+  return problems;
+}
+
+/** 检查一篇笔记的 frontmatter 与其中的链接、嵌入和 HTML 资源引用 */
+function checkNote(rel, content, index, issues) {
+  const fm = parseFrontmatter(content);
+  if (fm.error) {
+    issues.push({ type: "frontmatter", file: rel, line: 1, message: `无法解析：${fm.error.split("\n")[0]}` });
+  } else if (fm.data) {
+    for (const message of checkFrontmatterData(fm.data)) issues.push({ type: "frontmatter", file: rel, line: 1, message });
+  }
+  // frontmatter 与代码中的内容不是链接；替换为空白以保留位置，便于计算行号
+  const head = content.length - fm.body.length;
+  const text = " ".repeat(head) + maskCode(fm.body);
+  const report = (type, offset, target, message) => issues.push({ type, file: rel, line: lineAt(content, offset), target, message });
+
+  for (const m of text.matchAll(ATTACHMENT_LINK_REGEX)) {
+    const [whole, embedInner, linkInner, bang, , href] = m;
+    if (embedInner != null || linkInner != null) {
+      const { target } = parseWikiInner(embedInner ?? linkInner);
+      // [[#标题]] 为页内链接
+      if (!target || targetExists(target, rel, index)) continue;
+      const isAsset = embedInner != null && ATTACHMENT_EXT_REGEX.test(target) && !/\.md$/i.test(target);
+      report(isAsset ? "missing-asset" : "dead-link", m.index, target, `${whole} 指向的${isAsset ? "文件" : "页面"}不存在`);
+      continue;
+    }
+    const target = mdLinkTarget(href);
+    if (!target || targetExists(target, rel, index)) continue;
+    report(bang ? "missing-asset" : "dead-link", m.index, target, `${bang ? "图片" : "链接"} ${href} 指向的文件不存在`);
+  }
+  for (const m of text.matchAll(HTML_SRC_REGEX)) {
+    const src = m[1].replace(/&amp;/g, "&").replace(/&quot;/g, '"').replace(/&lt;/g, "<");
+    const target = mdLinkTarget(src);
+    if (!target || targetExists(target, rel, index)) continue;
+    report("missing-asset", m.index, target, `${src} 指向的文件不存在`);
+  }
+}
+
+async function readManifestFile(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 检查某个配置方案的 Quartz 内容目录。
+ * @param {Awaited<ReturnType<typeof import("./sync.mjs").loadConfig>>} config
+ * @returns {Promise<{ profile: string, contentDir: string, checkedAt: string, durationMs: number, files: number, notes: number, errors: number, warnings: number, counts: Record<string, number>, issues: { severity: 'error'|'warning', type: string, file: string, line?: number, target?: string, message: string }[], truncated: boolean }>}
+ *   issues 按级别（错误在前）与文件排序，最多 MAX_REPORTED_ISSUES 条
+ */
+export async function checkContent(config) {
+  const startedAt = Date.now();
+  const { quartzContentDir } = resolvePaths(config);
+  let files;
+  try {
+    files = await listFiles(quartzContentDir);
+  } catch (e) {
+    if (e.code === "ENOENT") throw new Error(`Quartz 内容目录不存在: ${quartzContentDir}`);
+    throw e;
+  }
+  const index = buildIndex(files);
+  const raw = [];
+
+  const notes = files.filter((f) => /\.md$/i.test(f));
+  for (const rel of notes) {
+    checkNote(rel, await fs.readFile(path.join(quartzContentDir, rel), "utf-8"), index, raw);
+  }
+
+  // 没有 manifest 时尚未同步过；manifest 属于另一个内容目录时同步会拒绝执行，两种情况都不检查同步记录
+  const manifest = await readManifestFile(manifestPath(config.profile.id));
+  const contentDir = await fs.realpath(quartzContentDir);
+  if (manifest && (!manifest.contentDir || manifest.contentDir === contentDir)) {
+    const tracked = new Set([...Object.keys(manifest.assets || {})]);
+    for (const [rel, entry] of Object.entries(manifest.entries || {})) {
+      tracked.add(rel);
+      for (const a of entry.assets || []) tracked.add(a);
+    }
+    const existing = new Set(files);
+    for (const rel of tracked) {
+      if (!existing.has(rel)) {
+        raw.push({ type: "missing-output", file: rel, message: "同步记录中有该文件，但内容目录中不存在（可能被手动删除）；同步不会重新写入未变化的文件，修改源文件或删除 manifest 后重新同步" });
+      }
+    }
+    for (const rel of files) {
+      if (!tracked.has(rel)) raw.push({ type: "orphan", file: rel, message: "不是本工具写入的文件（如手动添加的 index.md），同步不会更新或删除它" });
+    }
+  }
+
+  const counts = {};
+  const issues = raw
+    .map((i) => ({ severity: CHECK_ISSUE_TYPES[i.type].severity, ...i }))
+    .sort((a, b) => (a.severity === b.severity ? 0 : a.severity === "error" ? -1 : 1) || a.file.localeCompare(b.file) || (a.line ?? 0) - (b.line ?? 0));
+  for (const i of issues) counts[i.type] = (counts[i.type] || 0) + 1;
+  const errors = issues.filter((i) => i.severity === "error").length;
+  return {
+    profile: config.profile.id,
+    contentDir: quartzContentDir,
+    checkedAt: new Date(startedAt).toISOString(),
+    durationMs: Date.now() - startedAt,
+    files: files.length,
+    notes: notes.length,
+    errors,
+    warnings: issues.length - errors,
+    counts,
+    issues: issues.slice(0, MAX_REPORTED_ISSUES),
+    truncated: issues.length > MAX_REPORTED_ISSUES,
+  };
+}
+
+/** 问题的单行描述，如 `A.md:3 图片 ../image/x.png 指向的文件不存在` */
+export function formatIssue(issue) {
+  return `${issue.file}${issue.line ? `:${issue.line}` : ""} ${issue.message}`;
+}
+
+/**
+ * 开启 publish.blockOnCheckErrors 时在发布前调用：检查有错误时抛出 code 为 CHECK_FAILED 的异常（report 为检查报告）。
+ * @param {(stream: 'stdout'|'stderr', line: string) => void} [onOutput] - 输出检查结果与前若干个错误
+ */
+export async function checkBeforePublish(config, onOutput = () => {}) {
+  const report = await checkContent(config);
+  if (report.errors === 0) {
+    onOutput("stdout", `发布前检查通过（${report.notes} 篇笔记${report.warnings ? `，${report.warnings} 个警告` : ""}）`);
+    return report;
+  }
+  const shown = report.issues.filter((i) => i.severity === "error").slice(0, 10);
+  for (const issue of shown) onOutput("stderr", formatIssue(issue));
+  if (report.errors > shown.length) onOutput("stderr", `……另有 ${report.errors - shown.length} 个错误`);
+  const err = new Error(`发布前检查发现 ${report.errors} 个错误，已中止发布；修正后重试，或关闭 publish.blockOnCheckErrors`);
+  err.code = "CHECK_FAILED";
+  err.report = report;
+  throw err;
+}
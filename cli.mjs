@@ -0,0 +1,641 @@
+#!/usr/bin/env node
+/**
+ * 命令行工具 oqg
+ * 同步、发布、查看状态、监听与检查配置。默认在本机直接执行，无需启动面板；
+ * 指定 --server 时改为调用运行中的面板，任务进入面板的任务队列，可在面板中查看。
+ */
+
+import fs from "fs/promises";
+import http from "http";
+import https from "https";
+import path from "path";
+import { parseArgs } from "util";
+import { fileURLToPath } from "url";
+import chokidar from "chokidar";
+import { sync, loadConfig, resolvePaths, filterRelevantChanges, isWatchIgnored } from "./sync.mjs";
+import { publish, getPublishPreview, renderCommitMessage } from "./publish.mjs";
+import { recordPublish } from "./publish-history.mjs";
+import { appendHistory } from "./history.mjs";
+import { notifyTask } from "./notify.mjs";
+import { checkContent, checkBeforePublish, formatIssue, CHECK_ISSUE_TYPES } from "./check.mjs";
+import { validatePaths } from "./safety.mjs";
+import { normalizeSchedules, nextRunAt } from "./schedules.mjs";
+import { readConfigFile, profileIds, profileConfig, profileFiles } from "./profiles.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const EXIT = { OK: 0, FAILED: 1, USAGE: 2, DELETION_LIMIT: 3, SERVER: 4 };
+const COMMANDS = ["sync", "publish", "sync-and-publish", "plan", "check", "status", "watch", "config"];
+// 与面板的自动同步一致：最后一次改动后等待该时间再同步
+const DEBOUNCE_MS = 2000;
+
+const USAGE = `用法：oqg <命令> [选项]
+
+命令：
+  sync               同步 Obsidian 可发布笔记到 Quartz
+  publish            提交并推送 Quartz 仓库
+  sync-and-publish   同步后发布
+  plan               输出同步计划，不写入任何文件（同 sync --dry-run）
+  check              检查 Quartz 内容目录中失效的链接与图片、缺失或多出的文件及无效的 frontmatter，有错误时退出码为 1
+  status             上次同步 / 发布的结果与定时任务
+  watch              监听 Obsidian 库并增量同步，Ctrl+C 结束；连接面板时用 watch on|off 开关面板的自动同步
+  config             显示解析后的配置并校验路径
+
+选项：
+  -p, --profile <id>       配置方案，缺省为默认方案
+      --obsidian <dir>     Obsidian 目录，只作用于默认方案（同环境变量 OBSIDIAN_DIR）
+      --quartz <dir>       Quartz 内容目录，只作用于默认方案（同环境变量 QUARTZ_CONTENT_DIR）
+  -n, --dry-run            sync：只输出计划；publish：只预览待提交的变更与提交信息
+  -m, --message <模板>     本次发布的提交信息模板
+      --confirm-deletions  允许删除的文件数超过 maxDeletions
+      --json               以 JSON 输出结果
+  -s, --server <url>       连接运行中的面板，如 http://127.0.0.1:3001（或环境变量 OQG_SERVER）
+  -t, --token <令牌>       面板的访问令牌（或环境变量 OQG_TOKEN）：即 auth.token 或 DASHBOARD_TOKEN，
+                           不接受登录密码；只设置了密码的面板须另外设置访问令牌才能连接
+  -h, --help               显示帮助
+  -v, --version            显示版本
+
+退出码：0 成功；1 任务失败；2 参数错误；3 删除数超过上限，已中止；4 无法连接面板或被拒绝`;
+
+const OPTIONS = {
+  profile: { type: "string", short: "p" },
+  obsidian: { type: "string" },
+  quartz: { type: "string" },
+  "dry-run": { type: "boolean", short: "n" },
+  message: { type: "string", short: "m" },
+  "confirm-deletions": { type: "boolean" },
+  json: { type: "boolean" },
+  server: { type: "string", short: "s" },
+  token: { type: "string", short: "t" },
+  help: { type: "boolean", short: "h" },
+  version: { type: "boolean", short: "v" },
+};
+
+function cliError(message, exitCode) {
+  const err = new Error(message);
+  err.exitCode = exitCode;
+  return err;
+}
+
+// --- 输出 ---
+let jsonOutput = false;
+
+/** 结果：--json 时输出 JSON，否则输出文本行 */
+function print(value, lines) {
+  if (jsonOutput) process.stdout.write(JSON.stringify(value, null, 2) + "\n");
+  else if (lines.length) process.stdout.write(lines.join("\n") + "\n");
+}
+
+/** 进度与警告写到标准错误，不影响标准输出中的结果；--json 时不输出 */
+function info(line) {
+  if (!jsonOutput) process.stderr.write(line + "\n");
+}
+
+function fmtTime(iso) {
+  return iso ? new Date(iso).toLocaleString("zh-CN", { hour12: false }) : "-";
+}
+
+function fmtSync(result) {
+  const { notes, assets } = result;
+  return (
+    `笔记：新增 ${notes.added.length}，更新 ${notes.updated.length}，删除 ${notes.deleted.length}；` +
+    `资源：新增 ${assets.added.length}，更新 ${assets.updated.length}，删除 ${assets.deleted.length}` +
+    `（${result.durationMs}ms）`
+  );
+}
+
+function fmtPlan(plan) {
+  const lines = [];
+  const group = (label, items) => {
+    if (items.length) lines.push(`${label}（${items.length}）`, ...items.map((p) => `  ${p}`));
+  };
+  group("新增笔记", plan.notes.add);
+  group("更新笔记", plan.notes.update);
+  group("删除笔记", plan.notes.delete);
+  group("新增资源", plan.assets.add.map((a) => a.path));
+  group("更新资源", plan.assets.update.map((a) => a.path));
+  group("删除资源", plan.assets.delete);
+  const broken = Object.entries(plan.brokenLinks || {});
+  group("失效链接", broken.flatMap(([note, links]) => links.map((l) => `${note} → ${l.link}（${l.reason}）`)));
+  if (lines.length === 0) lines.push("没有需要同步的变更");
+  const d = plan.deletions;
+  if (d?.exceeded) lines.push(`将删除 ${d.count} 个文件，超过单次上限 ${d.max}，同步时需加 --confirm-deletions`);
+  return lines;
+}
+
+function fmtPublish(result) {
+  const lines = [
+    result.commit ? `已提交 ${result.commit.slice(0, 7)}，${result.files} 个文件` : "没有需要提交的变更",
+    `已推送到 ${result.remote}/${result.target}（${result.head.slice(0, 7)}）`,
+  ];
+  if (result.compareUrl) lines.push(`创建 Pull Request：${result.compareUrl}`);
+  return lines;
+}
+
+function fmtPublishPreview(p) {
+  const labels = { added: "新增", modified: "更新", deleted: "删除" };
+  const lines = [`推送到 ${p.remote}/${p.target}${p.ahead ? `（另有 ${p.ahead} 个未推送的提交）` : ""}`];
+  if (p.files.length === 0) return [...lines, "没有需要提交的变更"];
+  lines.push(`待提交 ${p.files.length} 个文件：`);
+  for (const f of p.files) lines.push(`  ${labels[f.status] || f.status}  ${f.isNote && f.title ? `${f.title}（${f.path}）` : f.path}`);
+  lines.push("", "提交信息：", ...p.message.split("\n").map((l) => `  ${l}`));
+  return lines;
+}
+
+function fmtCheck(r) {
+  const lines = [`已检查 ${r.notes} 篇笔记、${r.files} 个文件：${r.errors} 个错误，${r.warnings} 个警告`];
+  for (const [type, count] of Object.entries(r.counts)) lines.push(`  ${CHECK_ISSUE_TYPES[type]?.label || type}：${count}`);
+  if (r.issues.length) lines.push("");
+  for (const issue of r.issues) lines.push(`${issue.severity === "error" ? "错误" : "警告"}  ${formatIssue(issue)}`);
+  if (r.truncated) lines.push(`……仅列出前 ${r.issues.length} 个问题`);
+  if (r.blockOnCheckErrors && r.errors) lines.push("", "已开启 publish.blockOnCheckErrors，修正错误前无法发布");
+  return lines;
+}
+
+function fmtStatus(s) {
+  const result = (at, ok, error) => (at ? `${fmtTime(at)} ${ok ? "成功" : `失败：${error || "未知错误"}`}` : "尚未执行");
+  const lines = [
+    `配置方案：${s.profile}`,
+    `上次同步：${result(s.lastSyncAt, s.lastSyncSuccess, s.lastSyncError)}`,
+    `上次发布：${result(s.lastPublishAt, s.lastPublishSuccess, s.lastPublishError)}`,
+    `自动同步：${s.watcherEnabled ? "已开启" : "未开启"}`,
+  ];
+  if (s.jobs) {
+    const queued = s.jobs.queued.length;
+    lines.push(`任务队列：${s.jobs.running ? `执行中 ${s.jobs.running.type}` : "空闲"}${queued ? `，排队 ${queued} 个` : ""}`);
+  }
+  lines.push(`定时任务：${s.schedules.length ? "" : "无"}`);
+  for (const sc of s.schedules) {
+    const next = sc.enabled ? `下次 ${fmtTime(sc.nextRun)}` : "已停用";
+    lines.push(`  ${sc.name}  ${sc.cron}${sc.timezone ? ` (${sc.timezone})` : ""} → ${sc.action}  ${next}`);
+  }
+  return lines;
+}
+
+function fmtConfig(c) {
+  const lines = [
+    `配置方案：${c.profile.name}（${c.profile.id}）`,
+    `Obsidian 目录：${c.obsidianDirResolved}`,
+    `Quartz 内容目录：${c.quartzContentDirResolved}`,
+    `单次删除上限：${c.maxDeletions ?? "不限制"}`,
+  ];
+  if (c.validation.ok) lines.push("路径校验通过");
+  else lines.push("路径校验未通过：", ...c.validation.errors.map((e) => `  ${e}`));
+  return lines;
+}
+
+// --- 本机执行 ---
+/**
+ * 执行一个任务并像面板一样留下记录：写入任务历史（触发方式为 cli）并发送任务通知。
+ * @param {(log: (stream: string, line: string) => void) => Promise<object>} fn - 返回写入任务记录的附加字段
+ */
+async function runLocalTask(type, config, fn) {
+  const at = new Date();
+  const output = [];
+  const log = (stream, line) => {
+    output.push({ source: type, stream, line, at: new Date().toISOString() });
+    info(line);
+  };
+  let extra;
+  let error;
+  try {
+    extra = await fn(log);
+  } catch (e) {
+    error = e;
+    extra = e.code === "DELETION_LIMIT" ? { deletionLimit: e.deletions } : {};
+  }
+  const finishedAt = new Date();
+  const record = {
+    id: `${at.getTime().toString(36)}-cli`,
+    type,
+    trigger: "cli",
+    profile: config.profile.id,
+    at: at.toISOString(),
+    ...extra,
+    result: error ? "fail" : "success",
+    error: error?.message,
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - at,
+    output,
+  };
+  await appendHistory(record).catch((e) => info("写入任务历史失败: " + e.message));
+  await notifyTask(config.notifications, record).catch((e) => info("发送通知失败: " + e.message));
+  if (error) throw error;
+  return extra;
+}
+
+// 面板运行时会用内存中的状态覆盖该文件；面板运行期间请用 --server 执行
+async function updateState(profileId, patch) {
+  const file = profileFiles(profileId).state;
+  let state = {};
+  try {
+    state = JSON.parse(await fs.readFile(file, "utf-8"));
+  } catch {
+    // 尚无状态文件
+  }
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify({ ...state, ...patch }, null, 2), "utf-8");
+}
+
+/**
+ * 执行同步或发布的一步，并记录到方案的运行状态（lastSyncAt / lastPublishAt 等）。
+ * @param {'Sync'|'Publish'} kind
+ */
+async function withState(profileId, kind, fn) {
+  const at = new Date().toISOString();
+  try {
+    const result = await fn();
+    await updateState(profileId, { [`last${kind}At`]: at, [`last${kind}Success`]: true, [`last${kind}Error`]: null });
+    return result;
+  } catch (e) {
+    await updateState(profileId, { [`last${kind}At`]: at, [`last${kind}Success`]: false, [`last${kind}Error`]: e.message });
+    throw e;
+  }
+}
+
+async function syncStep(config, log, { confirmDeletions, changedPaths } = {}) {
+  const res = await sync({
+    profile: config.profile.id,
+    changedPaths,
+    confirmDeletions,
+    onProgress: (e) => log("progress", e.total ? `${e.message}（${e.current}/${e.total}）` : e.message),
+  });
+  for (const w of res.warnings) log("stderr", w);
+  const { mode, rendered, notes, assets, warnings, durationMs } = res;
+  return { mode, rendered, notes, assets, warnings, durationMs };
+}
+
+async function publishStep(config, log, message) {
+  const { quartzContentDir } = resolvePaths(config);
+  if (config.publish.blockOnCheckErrors) await checkBeforePublish(config, log);
+  const res = await publish({
+    quartzDir: path.dirname(quartzContentDir),
+    quartzContentDir,
+    settings: config.publish,
+    message,
+    onOutput: log,
+  });
+  try {
+    const record = await recordPublish(profileFiles(config.profile.id), {
+      commit: res.head,
+      newCommit: !!res.commit,
+      message: res.message,
+      remote: res.remote,
+      target: res.target,
+      notes: res.notes,
+      files: res.files,
+      trigger: "cli",
+    });
+    res.publishId = record.id;
+  } catch (e) {
+    // 已推送成功，记录失败只影响回滚
+    log("stderr", "写入发布历史失败: " + e.message);
+  }
+  return res;
+}
+
+function localSync(config, options) {
+  return runLocalTask("sync", config, async (log) => ({
+    sync: await withState(config.profile.id, "Sync", () => syncStep(config, log, options)),
+  }));
+}
+
+function localPublish(config, message) {
+  return runLocalTask("publish", config, async (log) => ({
+    publish: await withState(config.profile.id, "Publish", () => publishStep(config, log, message)),
+  }));
+}
+
+// 与面板的「同步并发布」一样作为一个任务记录
+function localSyncAndPublish(config, { confirmDeletions, message }) {
+  return runLocalTask("sync-and-publish", config, async (log) => {
+    const result = await withState(config.profile.id, "Sync", () => syncStep(config, log, { confirmDeletions }));
+    log("stdout", fmtSync(result));
+    return { sync: result, publish: await withState(config.profile.id, "Publish", () => publishStep(config, log, message)) };
+  });
+}
+
+async function localPublishPreview(config, message) {
+  const { quartzContentDir } = resolvePaths(config);
+  const preview = await getPublishPreview(path.dirname(quartzContentDir), quartzContentDir, config.publish);
+  return { ...preview, template: config.publish.commitMessage, message: renderCommitMessage(message || config.publish.commitMessage, preview) };
+}
+
+async function localStatus(config) {
+  const id = config.profile.id;
+  let state = {};
+  try {
+    state = JSON.parse(await fs.readFile(profileFiles(id).state, "utf-8"));
+  } catch {
+    // 尚未执行过任务
+  }
+  const schedules = normalizeSchedules(profileConfig(await readConfigFile(), id) ?? {}).map((s) => ({
+    ...s,
+    nextRun: s.enabled ? nextRunAt(s) : null,
+    lastRun: state.scheduleRuns?.[s.id] ?? null,
+  }));
+  return {
+    profile: id,
+    lastSyncAt: state.lastSyncAt ?? null,
+    lastSyncSuccess: state.lastSyncSuccess ?? null,
+    lastSyncError: state.lastSyncError ?? null,
+    lastPublishAt: state.lastPublishAt ?? null,
+    lastPublishSuccess: state.lastPublishSuccess ?? null,
+    lastPublishError: state.lastPublishError ?? null,
+    watcherEnabled: !!state.watcherEnabled,
+    nextCron: schedules.map((s) => s.nextRun).filter(Boolean).sort()[0] ?? null,
+    schedules,
+  };
+}
+
+async function localConfig(config) {
+  const resolved = resolvePaths(config);
+  return {
+    profile: config.profile,
+    maxDeletions: config.maxDeletions,
+    obsidianDirResolved: resolved.obsidianDir,
+    quartzContentDirResolved: resolved.quartzContentDir,
+    validation: await validatePaths(resolved),
+  };
+}
+
+/** 前台监听：开始时完整同步一次，之后防抖合并改动并增量同步，同一时间只运行一次同步 */
+async function localWatch(config, confirmDeletions) {
+  const { obsidianDir } = resolvePaths(config);
+  const pending = new Set();
+  let events = [];
+  let timer = null;
+  let running = false;
+  let full = true;
+
+  const runOnce = async () => {
+    if (running) return;
+    running = true;
+    while (full || pending.size > 0) {
+      const changedPaths = full ? undefined : [...pending];
+      full = false;
+      pending.clear();
+      try {
+        const { sync: result } = await localSync(config, { confirmDeletions, changedPaths });
+        print({ ok: true, result }, [`[${fmtTime(new Date().toISOString())}] ${fmtSync(result)}`]);
+      } catch (e) {
+        // 失败时下次改为完整同步，涵盖本次的改动
+        full = true;
+        print({ ok: false, error: e.message, deletionLimit: e.deletions }, [`[${fmtTime(new Date().toISOString())}] 同步失败：${e.message}`]);
+        break;
+      }
+    }
+    running = false;
+  };
+
+  const watcher = chokidar.watch(obsidianDir, {
+    ignored: (p) => {
+      const rel = path.relative(obsidianDir, p).replace(/\\/g, "/");
+      return !!rel && !rel.startsWith("../") && isWatchIgnored(rel, config.watcher);
+    },
+    ignoreInitial: true,
+    persistent: true,
+  });
+  for (const event of ["add", "change", "unlink", "unlinkDir"]) {
+    watcher.on(event, (p) => {
+      events.push({ event, path: p });
+      clearTimeout(timer);
+      timer = setTimeout(async () => {
+        const changes = events;
+        events = [];
+        try {
+          const relevant = await filterRelevantChanges({ profile: config.profile.id, changes });
+          if (relevant.length === 0) return;
+          relevant.forEach((rel) => pending.add(rel));
+          await runOnce();
+        } catch (e) {
+          info("筛选改动失败: " + e.message);
+        }
+      }, DEBOUNCE_MS);
+    });
+  }
+  watcher.on("ready", () => {
+    info(`正在监听 ${obsidianDir}，Ctrl+C 结束`);
+    runOnce();
+  });
+  await new Promise((resolve) => {
+    for (const signal of ["SIGINT", "SIGTERM"]) process.once(signal, resolve);
+  });
+  clearTimeout(timer);
+  await watcher.close();
+}
+
+async function runLocal(command, args, flags) {
+  // 路径参数与环境变量 OBSIDIAN_DIR / QUARTZ_CONTENT_DIR 相同，相对当前目录解析
+  if (flags.obsidian) process.env.OBSIDIAN_DIR = path.resolve(flags.obsidian);
+  if (flags.quartz) process.env.QUARTZ_CONTENT_DIR = path.resolve(flags.quartz);
+  if (flags.profile && !profileIds(await readConfigFile()).includes(flags.profile)) {
+    throw cliError(`配置方案不存在: ${flags.profile}`, EXIT.USAGE);
+  }
+  const config = await loadConfig(flags.profile);
+  if ((flags.obsidian || flags.quartz) && !config.profile.isDefault) {
+    throw cliError("--obsidian 与 --quartz 只作用于默认配置方案", EXIT.USAGE);
+  }
+  const confirmDeletions = flags["confirm-deletions"] === true;
+  const message = flags.message?.trim() || undefined;
+  const dryRun = flags["dry-run"] === true;
+
+  switch (command) {
+    case "plan":
+    case "sync": {
+      if (command === "plan" || dryRun) {
+        const { plan } = await sync({ profile: config.profile.id, dryRun: true });
+        return print({ ok: true, plan }, fmtPlan(plan));
+      }
+      const { sync: result } = await localSync(config, { confirmDeletions });
+      return print({ ok: true, result }, [fmtSync(result)]);
+    }
+    case "publish": {
+      if (dryRun) {
+        const preview = await localPublishPreview(config, message);
+        return print({ ok: true, ...preview }, fmtPublishPreview(preview));
+      }
+      const { publish: result } = await localPublish(config, message);
+      return print({ ok: true, publish: result }, fmtPublish(result));
+    }
+    case "sync-and-publish": {
+      if (dryRun) {
+        const { plan } = await sync({ profile: config.profile.id, dryRun: true });
+        return print({ ok: true, plan }, fmtPlan(plan));
+      }
+      const { sync: result, publish: published } = await localSyncAndPublish(config, { confirmDeletions, message });
+      return print({ ok: true, result, publish: published }, fmtPublish(published));
+    }
+    case "check": {
+      const report = { ...(await checkContent(config)), blockOnCheckErrors: config.publish.blockOnCheckErrors };
+      print({ ok: true, ...report }, fmtCheck(report));
+      if (report.errors) process.exitCode = EXIT.FAILED;
+      return;
+    }
+    case "status": {
+      const status = await localStatus(config);
+      return print(status, fmtStatus(status));
+    }
+    case "config": {
+      const result = await localConfig(config);
+      print(result, fmtConfig(result));
+      if (!result.validation.ok) process.exitCode = EXIT.FAILED;
+      return;
+    }
+    case "watch":
+      if (args.length) throw cliError("本机监听不接受参数；watch on|off 需配合 --server 使用", EXIT.USAGE);
+      return localWatch(config, confirmDeletions);
+  }
+}
+
+// --- 连接面板 ---
+/**
+ * 调用面板接口。使用 http 模块而非 fetch：发布可能超过 fetch 默认的 5 分钟响应超时。
+ * @returns {Promise<{ status: number, data: any }>}
+ */
+function request(server, { method = "GET", pathname, query, body, token, profile }) {
+  const url = new URL(pathname, server);
+  for (const [k, v] of Object.entries(query || {})) if (v !== undefined) url.searchParams.set(k, v);
+  const payload = body === undefined ? undefined : JSON.stringify(body);
+  const headers = { Accept: "application/json" };
+  if (payload !== undefined) headers["Content-Type"] = "application/json";
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (profile) headers["X-Profile"] = profile;
+  return new Promise((resolve, reject) => {
+    const req = (url.protocol === "https:" ? https : http).request(url, { method, headers }, (res) => {
+      let raw = "";
+      res.setEncoding("utf-8");
+      res.on("data", (d) => (raw += d));
+      res.on("end", () => {
+        let data;
+        try {
+          data = JSON.parse(raw);
+        } catch {
+          return reject(cliError(`面板返回了无法解析的响应（HTTP ${res.statusCode}）`, EXIT.SERVER));
+        }
+        if (res.statusCode === 401 || res.statusCode === 403 || res.statusCode === 429) {
+          const hint = res.statusCode !== 401 ? ""
+            : token ? "（--token 须为面板的访问令牌 auth.token / DASHBOARD_TOKEN，不接受登录密码）"
+            : "（面板启用了登录：用 --token 或环境变量 OQG_TOKEN 提供访问令牌 auth.token / DASHBOARD_TOKEN；只设置了密码的面板须另外设置访问令牌）";
+          return reject(cliError(`${data.error || "面板拒绝了请求"}${hint}`, EXIT.SERVER));
+        }
+        if (res.statusCode === 404 && data.error) return reject(cliError(data.error, EXIT.USAGE));
+        resolve({ status: res.statusCode, data });
+      });
+    });
+    req.on("error", (e) => reject(cliError(`无法连接面板 ${url.origin}：${e.code || e.message}`, EXIT.SERVER)));
+    req.end(payload);
+  });
+}
+
+/** 任务接口（?wait=1）的结果：失败时按原因设置退出码 */
+function taskResult(data) {
+  if (data.ok) return data;
+  throw cliError(data.error || "任务失败", data.deletionLimit ? EXIT.DELETION_LIMIT : EXIT.FAILED);
+}
+
+async function runRemote(command, args, flags) {
+  if (flags.obsidian || flags.quartz) throw cliError("连接面板时不能指定路径，请在面板中修改配置", EXIT.USAGE);
+  const base = { token: flags.token || process.env.OQG_TOKEN, profile: flags.profile };
+  const server = flags.server;
+  const call = (options) => request(server, { ...base, ...options });
+  const message = flags.message?.trim() || undefined;
+  const dryRun = flags["dry-run"] === true;
+  const taskBody = (extra) => ({ ...(flags["confirm-deletions"] && { confirmDeletions: true }), ...extra });
+
+  switch (command) {
+    case "plan":
+    case "sync": {
+      if (command === "plan" || dryRun) {
+        const { data } = await call({ pathname: "/api/sync/plan" });
+        if (!data.ok) throw cliError(data.error, EXIT.FAILED);
+        return print(data, fmtPlan(data.plan));
+      }
+      info("已加入面板的任务队列，等待完成…");
+      const { data } = await call({ method: "POST", pathname: "/api/sync", query: { wait: "1" }, body: taskBody() });
+      taskResult(data);
+      return print(data, [fmtSync(data.result)]);
+    }
+    case "publish": {
+      if (dryRun) {
+        const { data } = await call({ pathname: "/api/publish/preview", query: { message } });
+        if (!data.ok) throw cliError(data.error, EXIT.FAILED);
+        return print(data, fmtPublishPreview(data));
+      }
+      info("已加入面板的任务队列，等待完成…");
+      const { data } = await call({ method: "POST", pathname: "/api/publish", query: { wait: "1" }, body: { message } });
+      taskResult(data);
+      return print(data, fmtPublish(data.publish));
+    }
+    case "sync-and-publish": {
+      if (dryRun) {
+        const { data } = await call({ pathname: "/api/sync/plan" });
+        if (!data.ok) throw cliError(data.error, EXIT.FAILED);
+        return print(data, fmtPlan(data.plan));
+      }
+      info("已加入面板的任务队列，等待完成…");
+      const { data } = await call({ method: "POST", pathname: "/api/sync-and-publish", query: { wait: "1" }, body: taskBody({ message }) });
+      taskResult(data);
+      return print(data, [fmtSync(data.result), ...fmtPublish(data.publish)]);
+    }
+    case "check": {
+      const { data } = await call({ pathname: "/api/check" });
+      if (!data.ok) throw cliError(data.error, EXIT.FAILED);
+      print(data, fmtCheck(data));
+      if (data.errors) process.exitCode = EXIT.FAILED;
+      return;
+    }
+    case "status": {
+      const { data } = await call({ pathname: "/api/status" });
+      return print(data, fmtStatus(data));
+    }
+    case "config": {
+      const { data } = await call({ pathname: "/api/config" });
+      if (data.error) throw cliError(data.error, EXIT.FAILED);
+      print(data, fmtConfig(data));
+      if (!data.validation.ok) process.exitCode = EXIT.FAILED;
+      return;
+    }
+    case "watch": {
+      const [state] = args;
+      if (state !== "on" && state !== "off") throw cliError("连接面板时请用 watch on 或 watch off 开关面板的自动同步", EXIT.USAGE);
+      const { data } = await call({ method: "POST", pathname: "/api/watcher", body: { enabled: state === "on" } });
+      return print(data, [`面板的自动同步${data.watcherEnabled ? "已开启" : "已关闭"}`]);
+    }
+  }
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: process.argv.slice(2), options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    throw cliError(`${e.message}\n运行 oqg --help 查看用法`, EXIT.USAGE);
+  }
+  const { values: flags, positionals } = parsed;
+  jsonOutput = flags.json === true;
+  if (flags.version) {
+    const pkg = JSON.parse(await fs.readFile(path.join(__dirname, "package.json"), "utf-8"));
+    return console.log(pkg.version);
+  }
+  const [command, ...args] = positionals;
+  if (flags.help || !command) return console.log(USAGE);
+  if (!COMMANDS.includes(command)) throw cliError(`未知命令: ${command}\n运行 oqg --help 查看用法`, EXIT.USAGE);
+  if (command !== "watch" && args.length) throw cliError(`多余的参数: ${args.join(" ")}`, EXIT.USAGE);
+
+  const server = flags.server || process.env.OQG_SERVER;
+  if (server) return runRemote(command, args, { ...flags, server });
+  return runLocal(command, args, flags);
+}
+
+main()
+  // 监听结束后 chokidar 等句柄可能仍在，显式退出
+  .then(() => process.exit(process.exitCode ?? EXIT.OK))
+  .catch((e) => {
+    let exitCode = e.exitCode ?? EXIT.FAILED;
+    if (e.code === "DELETION_LIMIT") exitCode = EXIT.DELETION_LIMIT;
+    const message = e.code === "DELETION_LIMIT" ? `${e.message}（确认无误后加 --confirm-deletions 重新执行）` : e.message;
+    if (jsonOutput) process.stdout.write(JSON.stringify({ ok: false, error: e.message, deletionLimit: e.deletions, exitCode }, null, 2) + "\n");
+    else console.error(message);
+    process.exit(exitCode);
+  });
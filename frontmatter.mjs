@@ -0,0 +1,197 @@
+/**
+ * Frontmatter 解析与发布规则
+ * 使用 YAML 解析 md 顶部的 frontmatter，并按 config.json 中的 publishRules 判断是否可发布。
+ */
+
+import YAML from "yaml";
+
+// 兼容 BOM、CRLF 与空 frontmatter（---\n---）
+const FRONTMATTER_REGEX = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+
+export const DEFAULT_PUBLISH_RULES = {
+  // 任一 key 的值命中 values 即视为可发布
+  keys: ["可发布", "已发布"],
+  // 与 frontmatter 值比较时忽略大小写与引号（true、"true"、TRUE 等价）
+  values: ["true"],
+  // frontmatter tags 中包含任一标签即视为可发布
+  tags: [],
+  // 目录规则（glob，相对 Obsidian 根目录）：include 非空时仅匹配的笔记可发布；exclude 优先
+  include: [],
+  exclude: [],
+  // 为 true 时，frontmatter 中 draft: true 的笔记一律不发布
+  draftOverride: true,
+};
+
+/**
+ * 拆分并解析 frontmatter。
+ * @param {string} content
+ * @returns {{ data: Record<string, any> | null, body: string, raw: string | null, error?: string }}
+ */
+export function parseFrontmatter(content) {
+  const match = content.match(FRONTMATTER_REGEX);
+  if (!match) return { data: null, body: content, raw: null };
+  const raw = match[1] ?? "";
+  const body = content.slice(match[0].length);
+  try {
+    const parsed = YAML.parse(raw);
+    const data = parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+    return { data, body, raw };
+  } catch (e) {
+    return { data: null, body, raw, error: e.message };
+  }
+}
+
+function toStringList(value) {
+  if (value == null) return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((v) => String(v).trim()).filter(Boolean);
+}
+
+/** 规整 config.json 中的 publishRules，缺省项使用默认值 */
+export function normalizePublishRules(rules) {
+  const r = rules && typeof rules === "object" ? rules : {};
+  return {
+    keys: r.keys != null ? toStringList(r.keys) : [...DEFAULT_PUBLISH_RULES.keys],
+    values: r.values != null ? toStringList(r.values) : [...DEFAULT_PUBLISH_RULES.values],
+    tags: toStringList(r.tags),
+    include: toStringList(r.include),
+    exclude: toStringList(r.exclude),
+    draftOverride: typeof r.draftOverride === "boolean" ? r.draftOverride : DEFAULT_PUBLISH_RULES.draftOverride,
+  };
+}
+
+// 简单 glob：** 匹配任意层目录，* 匹配单层内任意字符，? 匹配单个字符
+function globToRegExp(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*" && glob[i + 1] === "*") {
+      i++;
+      if (glob[i + 1] === "/") {
+        i++;
+        re += "(?:.*/)?";
+      } else {
+        re += ".*";
+      }
+    } else if (c === "*") {
+      re += "[^/]*";
+    } else if (c === "?") {
+      re += "[^/]";
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+export function matchesGlob(relPath, glob) {
+  return globToRegExp(glob.replace(/^\.?\//, "")).test(relPath);
+}
+
+/** 目录规则：不读取文件内容即可判断，供遍历时提前跳过 */
+export function isPathAllowed(rel, rules) {
+  if (rules.exclude.some((g) => matchesGlob(rel, g))) return false;
+  if (rules.include.length > 0 && !rules.include.some((g) => matchesGlob(rel, g))) return false;
+  return true;
+}
+
+function normalizeTag(tag) {
+  return String(tag).trim().replace(/^#/, "").toLowerCase();
+}
+
+function frontmatterTags(data) {
+  const raw = data.tags ?? data.tag;
+  if (raw == null) return [];
+  const list = Array.isArray(raw) ? raw : String(raw).split(/[,\s]+/);
+  return list.map(normalizeTag).filter(Boolean);
+}
+
+function isTruthyValue(value, values) {
+  if (value == null || typeof value === "object") return false;
+  const v = String(value).trim().toLowerCase();
+  return values.some((want) => String(want).trim().toLowerCase() === v);
+}
+
+/**
+ * 按发布规则判断笔记是否可发布。
+ * @param {string} rel - 相对 Obsidian 根目录的路径（/ 分隔）
+ * @param {Record<string, any> | null} data - parseFrontmatter 得到的 data
+ * @param {ReturnType<typeof normalizePublishRules>} rules
+ */
+export function isPublishable(rel, data, rules) {
+  if (!data) return false;
+  if (!isPathAllowed(rel, rules)) return false;
+  if (rules.draftOverride && isTruthyValue(data.draft, ["true"])) return false;
+  if (rules.keys.some((k) => isTruthyValue(data[k], rules.values))) return true;
+  if (rules.tags.length > 0) {
+    const tags = frontmatterTags(data);
+    const wanted = rules.tags.map(normalizeTag);
+    if (tags.some((t) => wanted.includes(t))) return true;
+  }
+  return false;
+}
+
+export const DEFAULT_FRONTMATTER_RULES = {
+  // 写入 Quartz 前删除的内部属性（如发布标记）
+  strip: ["可发布", "已发布"],
+  // 属性重命名，如 { "创建时间": "date" }；目标属性已存在时保留目标属性
+  rename: {},
+  // 缺少 title 时以文件名（不含 .md）作为 title
+  titleFromFilename: true,
+  // 缺少 lastmod 时以源文件修改时间作为 lastmod
+  lastmodFromMtime: true,
+};
+
+/** 规整 config.json 中的 frontmatter 转换规则，缺省项使用默认值 */
+export function normalizeFrontmatterRules(rules) {
+  const r = rules && typeof rules === "object" ? rules : {};
+  const rename = {};
+  if (r.rename && typeof r.rename === "object" && !Array.isArray(r.rename)) {
+    for (const [from, to] of Object.entries(r.rename)) {
+      if (from.trim() && typeof to === "string" && to.trim()) rename[from.trim()] = to.trim();
+    }
+  }
+  return {
+    strip: r.strip != null ? toStringList(r.strip) : [...DEFAULT_FRONTMATTER_RULES.strip],
+    rename,
+    titleFromFilename:
+      typeof r.titleFromFilename === "boolean" ? r.titleFromFilename : DEFAULT_FRONTMATTER_RULES.titleFromFilename,
+    lastmodFromMtime:
+      typeof r.lastmodFromMtime === "boolean" ? r.lastmodFromMtime : DEFAULT_FRONTMATTER_RULES.lastmodFromMtime,
+  };
+}
+
+/**
+ * 按规则转换 frontmatter 属性，返回新的属性对象（不修改入参）。
+ * @param {Record<string, any>} data
+ * @param {{ rel: string, mtime: number }} source - 源笔记相对路径与修改时间（ms）
+ * @param {ReturnType<typeof normalizeFrontmatterRules>} rules
+ */
+export function transformFrontmatterData(data, { rel, mtime }, rules) {
+  const out = { ...data };
+  for (const key of rules.strip) delete out[key];
+  for (const [from, to] of Object.entries(rules.rename)) {
+    if (!(from in out)) continue;
+    if (!(to in out)) out[to] = out[from];
+    delete out[from];
+  }
+  if (rules.titleFromFilename && (out.title == null || out.title === "")) {
+    out.title = rel.split("/").pop().replace(/\.md$/i, "");
+  }
+  if (rules.lastmodFromMtime && out.lastmod == null && mtime != null) {
+    out.lastmod = new Date(mtime).toISOString();
+  }
+  return out;
+}
+
+/**
+ * 转换整篇 md 的 frontmatter。frontmatter 无法解析时原样返回，避免写出损坏的内容。
+ * @returns {string}
+ */
+export function transformFrontmatter(content, source, rules) {
+  const { data, body, error } = parseFrontmatter(content);
+  if (error) return content;
+  const next = transformFrontmatterData(data ?? {}, source, rules);
+  if (Object.keys(next).length === 0) return body;
+  return `---\n${YAML.stringify(next, { lineWidth: 0 })}---\n${body}`;
+}
@@ -0,0 +1,117 @@
+/**
+ * 任务历史
+ * 已结束的任务逐行追加到 .task-history.jsonl，超过大小上限时轮转为 .task-history.jsonl.1、.2…
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { DEFAULT_PROFILE_ID } from "./profiles.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const HISTORY_PATH = path.join(__dirname, ".task-history.jsonl");
+// 单个文件超过该大小时轮转；连同当前文件最多保留 HISTORY_MAX_FILES 个
+const HISTORY_MAX_BYTES = 1024 * 1024;
+const HISTORY_MAX_FILES = 3;
+// 每条记录最多保存的输出行数（保留最后的部分）
+export const MAX_HISTORY_OUTPUT_LINES = 500;
+
+function historyFile(index) {
+  return index === 0 ? HISTORY_PATH : `${HISTORY_PATH}.${index}`;
+}
+
+async function rotateIfNeeded() {
+  let size;
+  try {
+    size = (await fs.stat(HISTORY_PATH)).size;
+  } catch (e) {
+    if (e.code === "ENOENT") return;
+    throw e;
+  }
+  if (size < HISTORY_MAX_BYTES) return;
+  for (let i = HISTORY_MAX_FILES - 1; i > 0; i--) {
+    try {
+      await fs.rename(historyFile(i - 1), historyFile(i));
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+    }
+  }
+}
+
+// 追加串行执行，避免并发写入时轮转与追加交错
+let appendQueue = Promise.resolve();
+
+/**
+ * 追加一条已结束的任务记录。
+ * @param {{ id: string, profile: string, type: string, trigger: string, at: string, finishedAt: string, durationMs: number, result: 'success'|'fail', error?: string, output: object[], sync?: object }} record
+ */
+export function appendHistory(record) {
+  const output = record.output.slice(-MAX_HISTORY_OUTPUT_LINES);
+  const line = JSON.stringify({ ...record, output }) + "\n";
+  const task = appendQueue
+    .then(rotateIfNeeded)
+    .then(() => fs.appendFile(HISTORY_PATH, line, "utf-8"));
+  // 一次写入失败不影响之后的追加
+  appendQueue = task.catch(() => {});
+  return task;
+}
+
+/** 读取全部历史记录，最新的在前；损坏的行跳过 */
+async function readAll() {
+  await appendQueue;
+  const records = [];
+  for (let i = 0; i < HISTORY_MAX_FILES; i++) {
+    let raw;
+    try {
+      raw = await fs.readFile(historyFile(i), "utf-8");
+    } catch (e) {
+      if (e.code === "ENOENT") continue;
+      throw e;
+    }
+    const lines = raw.split("\n").filter(Boolean).reverse();
+    for (const l of lines) {
+      try {
+        records.push(JSON.parse(l));
+      } catch {
+        // 写入中断留下的半行
+      }
+    }
+  }
+  return records;
+}
+
+function matches(record, { profile, type, result, trigger, q }) {
+  // 支持配置方案之前的记录没有 profile，属于 default 方案
+  if (profile && (record.profile ?? DEFAULT_PROFILE_ID) !== profile) return false;
+  if (type && record.type !== type) return false;
+  if (result && record.result !== result) return false;
+  if (trigger && record.trigger !== trigger) return false;
+  if (q) {
+    const needle = q.toLowerCase();
+    const haystack = [record.error, ...(record.output || []).map((o) => o.line)].filter(Boolean).join("\n");
+    if (!haystack.toLowerCase().includes(needle)) return false;
+  }
+  return true;
+}
+
+/**
+ * 分页查询历史记录（不含输出）。
+ * @param {{ page?: number, pageSize?: number, profile?: string, type?: string, result?: string, trigger?: string, q?: string }} query
+ *   profile 为配置方案 id；q 在错误信息与输出中按子串搜索（忽略大小写）
+ * @param {object[]} [running] - 尚未结束的任务，排在最前并同样参与筛选
+ */
+export async function queryHistory(query, running = []) {
+  const page = Math.max(1, Math.floor(Number(query.page) || 1));
+  const pageSize = Math.min(100, Math.max(1, Math.floor(Number(query.pageSize) || 20)));
+  const all = [...running, ...(await readAll())].filter((r) => matches(r, query));
+  const logs = all.slice((page - 1) * pageSize, page * pageSize).map(({ output, ...rest }) => ({
+    ...rest,
+    outputLines: output ? output.length : 0,
+  }));
+  return { logs, total: all.length, page, pageSize };
+}
+
+/** 按 id 读取单条完整记录，不存在时返回 null */
+export async function getHistory(id) {
+  return (await readAll()).find((r) => r.id === id) ?? null;
+}
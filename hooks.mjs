@@ -0,0 +1,115 @@
+/**
+ * 外部触发（入站 webhook）
+ * config.json 的 hooks 中每项为一个触发器：git hook、Obsidian 插件或手机快捷指令携带该触发器的令牌调用
+ * POST /api/hooks/:name，即可把同步或发布任务加入队列。令牌与面板登录无关，每个触发器只能执行配置的操作与方案，
+ * 并限制调用频率。
+ */
+
+import { safeEqual } from "./auth.mjs";
+
+export const HOOK_ACTIONS = ["sync", "publish", "sync-and-publish"];
+const HOOK_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+// 令牌会出现在手机快捷指令等处，要求足够长以免被猜中
+const MIN_TOKEN_LENGTH = 16;
+const DEFAULT_RATE_LIMIT = { max: 6, windowSeconds: 60 };
+// 同一 IP 在窗口期内对同一触发器的令牌错误达到上限后暂时拒绝该触发器，防止逐个猜测。
+// 按触发器分别计数：经反向代理调用时所有请求的 IP 相同，一个配置错误的调用方不会让其它触发器一同被拒绝
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const MAX_FAILURES = 10;
+// 记录数超过该值时清理过期的记录，避免以大量不存在的触发器名称调用时无限增长
+const MAX_FAILURE_ENTRIES = 1000;
+
+/** @type {Map<string, number[]>} 各触发器窗口期内被接受的调用时间 */
+const calls = new Map();
+/** @type {Map<string, { count: number, firstAt: number }>} 键为 failureKey */
+const failures = new Map();
+
+function normalizeRateLimit(input) {
+  const r = input && typeof input === "object" ? input : {};
+  const positive = (v, fallback) => (Number.isInteger(v) && v > 0 ? v : fallback);
+  return { max: positive(r.max, DEFAULT_RATE_LIMIT.max), windowSeconds: positive(r.windowSeconds, DEFAULT_RATE_LIMIT.windowSeconds) };
+}
+
+/**
+ * 规整 config.json 中的 hooks：键为触发器名称。格式不正确的触发器不可调用，原因放在 errors 中。
+ * @param {Record<string, any>} input
+ * @param {{ profileIds: string[], defaultProfile: string }} profiles - 现有配置方案，profile 缺省为默认方案
+ * @returns {{ hooks: Map<string, { name: string, token: string, action: string, profile: string, enabled: boolean, rateLimit: { max: number, windowSeconds: number } }>, errors: string[] }}
+ */
+export function normalizeHooks(input, { profileIds, defaultProfile }) {
+  const hooks = new Map();
+  const errors = [];
+  const entries = input && typeof input === "object" && !Array.isArray(input) ? Object.entries(input) : [];
+  for (const [name, h] of entries) {
+    if (!HOOK_NAME_PATTERN.test(name)) {
+      errors.push(`触发器名称只能包含小写字母、数字、- 与 _：${name}`);
+      continue;
+    }
+    if (!h || typeof h !== "object") {
+      errors.push(`触发器「${name}」格式不正确`);
+      continue;
+    }
+    const token = typeof h.token === "string" ? h.token.trim() : "";
+    const profile = h.profile ?? defaultProfile;
+    const enabled = h.enabled !== false;
+    // 停用的触发器不可调用，可先留空令牌
+    if (enabled && token.length < MIN_TOKEN_LENGTH) errors.push(`触发器「${name}」的 token 至少 ${MIN_TOKEN_LENGTH} 个字符`);
+    else if (!HOOK_ACTIONS.includes(h.action)) errors.push(`触发器「${name}」的 action 须为 ${HOOK_ACTIONS.join(" / ")}`);
+    else if (!profileIds.includes(profile)) errors.push(`触发器「${name}」的配置方案不存在: ${profile}`);
+    else hooks.set(name, { name, token, action: h.action, profile, enabled, rateLimit: normalizeRateLimit(h.rateLimit) });
+  }
+  return { hooks, errors };
+}
+
+/** 触发器列表（不含令牌），供面板展示 */
+export function describeHooks(hooks) {
+  return [...hooks.values()].map(({ token, ...h }) => h);
+}
+
+function failureKey(name, ip) {
+  return `${name}\n${ip}`;
+}
+
+function retryAfterFailures(key, now) {
+  const entry = failures.get(key);
+  if (!entry) return 0;
+  const elapsed = now - entry.firstAt;
+  if (elapsed > FAILURE_WINDOW_MS) {
+    failures.delete(key);
+    return 0;
+  }
+  return entry.count >= MAX_FAILURES ? Math.ceil((FAILURE_WINDOW_MS - elapsed) / 1000) : 0;
+}
+
+/**
+ * 校验一次调用：令牌、是否启用与调用频率。通过时计入频率限制。
+ * 触发器不存在、已停用与令牌错误返回同样的结果，不透露触发器是否存在。
+ * @returns {{ hook: object } | { status: number, error: string, retryAfter?: number }}
+ */
+export function authorizeHook(hooks, name, token, ip) {
+  const now = Date.now();
+  const key = failureKey(name, ip);
+  const blocked = retryAfterFailures(key, now);
+  if (blocked) return { status: 429, error: `令牌错误次数过多，请 ${Math.ceil(blocked / 60)} 分钟后再试`, retryAfter: blocked };
+  const hook = hooks.get(name);
+  if (!hook || !hook.enabled || !token || !safeEqual(token, hook.token)) {
+    if (failures.size >= MAX_FAILURE_ENTRIES) {
+      for (const [k, e] of failures) if (now - e.firstAt > FAILURE_WINDOW_MS) failures.delete(k);
+    }
+    const entry = failures.get(key) || { count: 0, firstAt: now };
+    entry.count++;
+    failures.set(key, entry);
+    return { status: 401, error: "触发器不存在或令牌无效" };
+  }
+  failures.delete(key);
+  const windowMs = hook.rateLimit.windowSeconds * 1000;
+  const recent = (calls.get(name) || []).filter((t) => now - t < windowMs);
+  if (recent.length >= hook.rateLimit.max) {
+    calls.set(name, recent);
+    const retryAfter = Math.ceil((recent[0] + windowMs - now) / 1000);
+    return { status: 429, error: `调用过于频繁，${hook.rateLimit.windowSeconds} 秒内最多 ${hook.rateLimit.max} 次，请 ${retryAfter} 秒后再试`, retryAfter };
+  }
+  recent.push(now);
+  calls.set(name, recent);
+  return { hook };
+}
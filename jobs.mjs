@@ -0,0 +1,120 @@
+/**
+ * 任务队列
+ * 同步、发布等任务按顺序逐个执行；排队中的同一配置方案的同类任务合并为一个（如自动同步连续触发多次只执行一次），
+ * 参数冲突的（如回滚到不同的发布）各自排队。
+ * 所有配置方案共用一个队列。
+ */
+
+export const CANCELLED_MESSAGE = "任务已取消";
+
+/**
+ * 两次请求的参数能否合并为一个任务：同名参数（增量同步标记除外）取值不同时不能合并，
+ * 如回滚到不同的发布记录、发布使用不同的提交信息。
+ */
+export function canMergeJobParams(pending, params) {
+  if (!pending || !params) return true;
+  return Object.keys(params).every((k) => k === "incremental" || !(k in pending) || pending[k] === params[k]);
+}
+
+/**
+ * 合并到排队中的任务时的参数：新参数补充原有的，原有的确认删除、提交信息等不会丢失；
+ * 只有两者都是增量同步时才按增量执行，否则按完整同步执行。
+ */
+export function mergeJobParams(pending, params) {
+  if (!pending && !params) return undefined;
+  const merged = { ...pending, ...params };
+  if (merged.incremental) merged.incremental = !!(pending?.incremental && params?.incremental);
+  return merged;
+}
+
+/**
+ * @param {{ run: (job: object) => Promise<object>, onChange?: () => void, onFinish?: (job: object, result: object) => void }} handlers
+ *   run 执行任务并返回结果；onChange 在队列或运行中的任务变化时调用；onFinish 在任务执行结束后、job.done 之前调用
+ */
+export function createJobQueue({ run, onChange = () => {}, onFinish = () => {} }) {
+  /** @type {{ id: string, profile: string, type: string, trigger: string, schedule?: { id: string, name: string }, hook?: { name: string }, params?: object, status: 'queued'|'running'|'finished'|'cancelled', enqueuedAt: string, startedAt?: string, controller: AbortController, done: Promise<object>, resolve: Function }[]} */
+  const queued = [];
+  let running = null;
+  let seq = 0;
+
+  async function processQueue() {
+    if (running || queued.length === 0) return;
+    const job = queued.shift();
+    running = job;
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    onChange();
+    let result;
+    try {
+      result = await run(job);
+    } catch (e) {
+      result = { ok: false, error: e.message };
+    }
+    onFinish(job, result);
+    running = null;
+    job.status = result?.cancelled ? "cancelled" : "finished";
+    job.resolve(result);
+    onChange();
+    processQueue();
+  }
+
+  return {
+    get running() {
+      return running;
+    },
+    get queued() {
+      return [...queued];
+    },
+
+    /**
+     * 加入队列；已有排队中的同一配置方案的同类任务且参数不冲突时合并参数（见 mergeJobParams）并返回该任务。
+     * @param {'sync'|'publish'|'sync-and-publish'|'rollback'} type
+     * @param {'manual'|'watcher'|'cron'|'hook'|'cli'} trigger
+     * @param {{ profile: string, schedule?: { id: string, name: string }, hook?: { name: string }, params?: object }} meta
+     *   schedule 为触发任务的定时任务，hook 为触发任务的外部触发器；
+     *   params 为传给 run 的参数，如发布的 { message }、回滚的 { publishId, republish }
+     * @returns job，job.done 在任务结束（或被取消）时 resolve 为执行结果
+     */
+    enqueue(type, trigger, { profile, schedule, hook, params }) {
+      const pending = queued.find((j) => j.type === type && j.profile === profile && canMergeJobParams(j.params, params));
+      if (pending) {
+        pending.params = mergeJobParams(pending.params, params);
+        return pending;
+      }
+      const job = {
+        id: `job-${Date.now().toString(36)}-${++seq}`,
+        profile,
+        type,
+        trigger,
+        schedule,
+        hook,
+        params,
+        status: "queued",
+        enqueuedAt: new Date().toISOString(),
+        controller: new AbortController(),
+      };
+      job.done = new Promise((resolve) => { job.resolve = resolve; });
+      queued.push(job);
+      onChange();
+      processQueue();
+      return job;
+    },
+
+    /** 取消任务：排队中的直接移出队列，运行中的发送中止信号。找不到时返回 false */
+    cancel(id) {
+      const idx = queued.findIndex((j) => j.id === id);
+      if (idx >= 0) {
+        const [job] = queued.splice(idx, 1);
+        job.status = "cancelled";
+        job.resolve({ ok: false, cancelled: true, error: CANCELLED_MESSAGE });
+        onChange();
+        return true;
+      }
+      if (running && running.id === id) {
+        running.controller.abort();
+        return true;
+      }
+      return false;
+    },
+  };
+}
@@ -0,0 +1,335 @@
+/**
+ * 任务结果通知
+ * 任务成功、失败或因删除数超限中止时，按 config.json 的 notifications 发送到 webhook（JSON + HMAC 签名）、
+ * 本地命令或邮件（SMTP）。失败时按间隔重试，每次投递尝试追加到 .notification-log.jsonl。
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { spawn } from "child_process";
+import { createHmac, randomBytes } from "crypto";
+import { fileURLToPath } from "url";
+import nodemailer from "nodemailer";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LOG_PATH = path.join(__dirname, ".notification-log.jsonl");
+// 投递记录超过该大小时轮转为 .notification-log.jsonl.1（只保留一个旧文件）
+const LOG_MAX_BYTES = 256 * 1024;
+
+export const NOTIFICATION_EVENTS = ["success", "failure", "deletion-limit"];
+const DEFAULT_EVENTS = ["failure", "deletion-limit"];
+const CHANNEL_TYPES = ["webhook", "command", "email"];
+const DEFAULT_RETRIES = 3;
+const MAX_RETRIES = 10;
+// 第 n 次重试前等待 retryDelayMs × 2^(n-1)
+const DEFAULT_RETRY_DELAY_MS = 5000;
+const DEFAULT_TIMEOUT_MS = 10000;
+// 命令输出只保留最后这些字符写入投递记录
+const MAX_COMMAND_OUTPUT = 500;
+
+const TYPE_LABELS = { sync: "同步", publish: "发布", "sync-and-publish": "同步并发布", rollback: "回滚", cron: "定时任务" };
+const EVENT_LABELS = { success: "成功", failure: "失败", "deletion-limit": "删除数超过上限，已中止", test: "测试通知" };
+
+const str = (v) => (typeof v === "string" ? v.trim() : "");
+
+function positiveInt(value, fallback) {
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+function normalizeChannel(ch, index) {
+  if (!ch || typeof ch !== "object") return { error: `第 ${index + 1} 个通知渠道格式不正确` };
+  const type = str(ch.type);
+  const name = str(ch.name) || `${type || "channel"}-${index + 1}`;
+  if (!CHANNEL_TYPES.includes(type)) return { error: `通知渠道「${name}」的 type 须为 ${CHANNEL_TYPES.join(" / ")}` };
+  const events = Array.isArray(ch.events) ? ch.events.filter((e) => NOTIFICATION_EVENTS.includes(e)) : DEFAULT_EVENTS;
+  const base = { type, name, events, enabled: ch.enabled !== false, timeoutMs: positiveInt(ch.timeoutMs, DEFAULT_TIMEOUT_MS) };
+  if (type === "webhook") {
+    const url = str(ch.url);
+    if (!/^https?:\/\//i.test(url)) return { error: `通知渠道「${name}」的 url 须以 http:// 或 https:// 开头` };
+    const headers = {};
+    for (const [k, v] of Object.entries(ch.headers && typeof ch.headers === "object" ? ch.headers : {})) {
+      if (typeof v === "string") headers[k] = v;
+    }
+    return { channel: { ...base, url, secret: str(ch.secret), headers } };
+  }
+  if (type === "command") {
+    const command = str(ch.command);
+    if (!command) return { error: `通知渠道「${name}」缺少 command` };
+    return { channel: { ...base, command } };
+  }
+  const to = (Array.isArray(ch.to) ? ch.to : [ch.to]).map(str).filter(Boolean);
+  const host = str(ch.host);
+  if (!host || !str(ch.from) || to.length === 0) return { error: `通知渠道「${name}」须配置 host、from 与 to` };
+  const secure = ch.secure === true;
+  return {
+    channel: {
+      ...base,
+      host,
+      port: positiveInt(ch.port, secure ? 465 : 587),
+      secure,
+      user: str(ch.user),
+      password: typeof ch.password === "string" ? ch.password : "",
+      from: str(ch.from),
+      to,
+    },
+  };
+}
+
+/**
+ * 规整 config.json 中的 notifications。格式不正确的渠道不使用，原因放在 errors 中。
+ * @returns {{ channels: object[], retries: number, retryDelayMs: number, errors: string[] }}
+ */
+export function normalizeNotificationSettings(cfg) {
+  const c = cfg && typeof cfg === "object" ? cfg : {};
+  const channels = [];
+  const errors = [];
+  (Array.isArray(c.channels) ? c.channels : []).forEach((ch, i) => {
+    const { channel, error } = normalizeChannel(ch, i);
+    if (error) errors.push(error);
+    else if (channels.some((x) => x.name === channel.name)) errors.push(`通知渠道名称重复：${channel.name}`);
+    else channels.push(channel);
+  });
+  return {
+    channels,
+    retries: Number.isInteger(c.retries) && c.retries >= 0 ? Math.min(c.retries, MAX_RETRIES) : DEFAULT_RETRIES,
+    retryDelayMs: Number.isInteger(c.retryDelayMs) && c.retryDelayMs >= 0 ? c.retryDelayMs : DEFAULT_RETRY_DELAY_MS,
+    errors,
+  };
+}
+
+/** 渠道列表（不含密钥与密码），供面板展示 */
+export function describeChannels(settings) {
+  return settings.channels.map((ch) => {
+    const target = ch.type === "webhook" ? ch.url : ch.type === "command" ? ch.command : ch.to.join(", ");
+    return { name: ch.name, type: ch.type, events: ch.events, enabled: ch.enabled, target, signed: ch.type === "webhook" ? !!ch.secret : undefined };
+  });
+}
+
+/** 任务记录对应的通知事件；取消的任务不通知 */
+function taskEvent(record) {
+  if (record.result === "success") return "success";
+  if (record.result !== "fail") return null;
+  return record.deletionLimit ? "deletion-limit" : "failure";
+}
+
+function buildPayload(event, record) {
+  const scope = record.profile ? `[${record.profile}] ` : "";
+  const name = (TYPE_LABELS[record.type] || record.type) + (record.schedule ? `「${record.schedule.name}」` : "");
+  const detail = record.error ? `：${record.error}` : "";
+  return {
+    event,
+    summary: `${scope}${name}${EVENT_LABELS[event]}${detail}`,
+    task: {
+      id: record.id,
+      type: record.type,
+      trigger: record.trigger,
+      profile: record.profile,
+      schedule: record.schedule,
+      hook: record.hook,
+      at: record.at,
+      finishedAt: record.finishedAt,
+      durationMs: record.durationMs,
+      result: record.result,
+      error: record.error,
+    },
+    sync: record.sync,
+    publish: record.publish,
+    deletionLimit: record.deletionLimit,
+    sentAt: new Date().toISOString(),
+  };
+}
+
+async function sendWebhook(ch, payload, deliveryId) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = {
+    "Content-Type": "application/json; charset=utf-8",
+    "User-Agent": "obsidian-quartz-dashboard",
+    "X-OQG-Event": payload.event,
+    "X-OQG-Delivery": deliveryId,
+    "X-OQG-Timestamp": timestamp,
+    ...ch.headers,
+  };
+  // 接收方以同一密钥计算 HMAC-SHA256(`${时间戳}.${请求体}`) 比对，并拒绝时间戳过旧的请求以防重放
+  if (ch.secret) headers["X-OQG-Signature"] = "sha256=" + createHmac("sha256", ch.secret).update(`${timestamp}.${body}`).digest("hex");
+  const res = await fetch(ch.url, { method: "POST", headers, body, signal: AbortSignal.timeout(ch.timeoutMs) });
+  await res.arrayBuffer().catch(() => {});
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return `HTTP ${res.status}`;
+}
+
+// 通过 shell 执行命令：通知内容在环境变量 OQG_* 中，完整 JSON 同时写入标准输入
+function runCommand(ch, payload) {
+  const body = JSON.stringify(payload);
+  return new Promise((resolve, reject) => {
+    const child = spawn(ch.command, {
+      shell: true,
+      stdio: ["pipe", "pipe", "pipe"],
+      env: {
+        ...process.env,
+        OQG_EVENT: payload.event,
+        OQG_SUMMARY: payload.summary,
+        OQG_PROFILE: payload.task.profile || "",
+        OQG_TASK_TYPE: payload.task.type || "",
+        OQG_TASK_ID: payload.task.id || "",
+        OQG_ERROR: payload.task.error || "",
+        OQG_PAYLOAD: body,
+      },
+    });
+    let output = "";
+    const collect = (d) => {
+      output = (output + d.toString()).slice(-MAX_COMMAND_OUTPUT);
+    };
+    child.stdout.on("data", collect);
+    child.stderr.on("data", collect);
+    const timer = setTimeout(() => child.kill("SIGKILL"), ch.timeoutMs);
+    child.on("error", (e) => {
+      clearTimeout(timer);
+      reject(e);
+    });
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve(`退出码 0`);
+      const reason = signal ? `超时或被结束（${signal}）` : `退出码 ${code}`;
+      reject(new Error(output.trim() ? `${reason}：${output.trim()}` : reason));
+    });
+    child.stdin.on("error", () => {});
+    child.stdin.end(body);
+  });
+}
+
+async function sendEmail(ch, payload) {
+  const transport = nodemailer.createTransport({
+    host: ch.host,
+    port: ch.port,
+    secure: ch.secure,
+    auth: ch.user ? { user: ch.user, pass: ch.password } : undefined,
+    connectionTimeout: ch.timeoutMs,
+    greetingTimeout: ch.timeoutMs,
+    socketTimeout: ch.timeoutMs,
+  });
+  const lines = [payload.summary, "", `任务：${payload.task.id || "-"}`, `开始：${payload.task.at || "-"}`, `结束：${payload.task.finishedAt || "-"}`];
+  if (payload.deletionLimit) lines.push(`待删除 ${payload.deletionLimit.count} 个文件，上限 ${payload.deletionLimit.max}`);
+  const info = await transport.sendMail({
+    from: ch.from,
+    to: ch.to.join(", "),
+    subject: `[Obsidian-Quartz] ${payload.summary.split("：")[0]}`,
+    text: lines.join("\n"),
+  });
+  return info.response || "已发送";
+}
+
+const SENDERS = { webhook: sendWebhook, command: runCommand, email: sendEmail };
+
+function describeError(e, ch) {
+  if (e.name === "TimeoutError") return `${ch.timeoutMs}ms 内未响应`;
+  // fetch 的网络错误只有 "fetch failed"，具体原因在 cause 中
+  const cause = e.cause && (e.cause.code || e.cause.message);
+  return cause ? `${e.message}（${cause}）` : e.message;
+}
+
+let logQueue = Promise.resolve();
+
+function appendDeliveryLog(entry) {
+  logQueue = logQueue
+    .then(async () => {
+      try {
+        if ((await fs.stat(LOG_PATH)).size >= LOG_MAX_BYTES) await fs.rename(LOG_PATH, `${LOG_PATH}.1`);
+      } catch (e) {
+        if (e.code !== "ENOENT") throw e;
+      }
+      await fs.appendFile(LOG_PATH, JSON.stringify(entry) + "\n", "utf-8");
+    })
+    .catch((e) => console.error("Failed to write notification log:", e));
+  return logQueue;
+}
+
+/**
+ * 向一个渠道投递，失败时重试；每次尝试写入投递记录。
+ * @returns {Promise<{ channel: string, ok: boolean, attempts: number, detail?: string, error?: string }>}
+ */
+async function deliver(ch, payload, { retries, retryDelayMs }) {
+  const deliveryId = randomBytes(8).toString("hex");
+  let last;
+  let attempt = 0;
+  while (attempt <= retries) {
+    attempt++;
+    if (attempt > 1) await new Promise((resolve) => setTimeout(resolve, retryDelayMs * 2 ** (attempt - 2)));
+    const startedAt = Date.now();
+    try {
+      const detail = await SENDERS[ch.type](ch, payload, deliveryId);
+      last = { ok: true, detail };
+    } catch (e) {
+      last = { ok: false, error: describeError(e, ch) };
+    }
+    await appendDeliveryLog({
+      delivery: deliveryId,
+      channel: ch.name,
+      type: ch.type,
+      event: payload.event,
+      task: payload.task.id,
+      profile: payload.task.profile,
+      attempt,
+      ...last,
+      at: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+    });
+    if (last.ok) break;
+  }
+  return { channel: ch.name, attempts: attempt, ...last };
+}
+
+/**
+ * 任务结束后发送通知：发给订阅了该事件且已启用的渠道，各渠道并行投递。
+ * @param {ReturnType<typeof normalizeNotificationSettings>} settings
+ * @param {object} record - 任务历史记录（见 history.mjs）
+ */
+export async function notifyTask(settings, record) {
+  const event = taskEvent(record);
+  if (!event) return [];
+  const channels = settings.channels.filter((ch) => ch.enabled && ch.events.includes(event));
+  if (channels.length === 0) return [];
+  const payload = buildPayload(event, record);
+  return Promise.all(channels.map((ch) => deliver(ch, payload, settings)));
+}
+
+/**
+ * 发送测试通知（不重试），用于检查渠道配置。
+ * @param {{ channel?: string, profile?: string }} [options] - channel 缺省时发给全部渠道（含停用的）
+ */
+export async function sendTestNotification(settings, { channel, profile } = {}) {
+  const channels = settings.channels.filter((ch) => !channel || ch.name === channel);
+  if (channel && channels.length === 0) throw new Error(`通知渠道不存在: ${channel}`);
+  const now = new Date().toISOString();
+  const record = { id: `test-${Date.now().toString(36)}`, type: "sync", trigger: "manual", profile, at: now, finishedAt: now, durationMs: 0, result: "success" };
+  const payload = buildPayload("test", record);
+  return Promise.all(channels.map((ch) => deliver(ch, payload, { retries: 0, retryDelayMs: 0 })));
+}
+
+/**
+ * 最近的投递记录，最新的在前。
+ * @param {{ limit?: number, profile?: string }} [options] - 指定 profile 时只含该配置方案的任务（测试通知同样带方案）
+ */
+export async function readDeliveryLog({ limit = 50, profile } = {}) {
+  await logQueue;
+  const entries = [];
+  for (const file of [LOG_PATH, `${LOG_PATH}.1`]) {
+    let raw;
+    try {
+      raw = await fs.readFile(file, "utf-8");
+    } catch (e) {
+      if (e.code === "ENOENT") continue;
+      throw e;
+    }
+    for (const line of raw.split("\n").filter(Boolean).reverse()) {
+      try {
+        const entry = JSON.parse(line);
+        if (!profile || entry.profile === profile) entries.push(entry);
+      } catch {
+        // 写入中断留下的半行
+      }
+      if (entries.length >= limit) return entries;
+    }
+  }
+  return entries;
+}
@@ -0,0 +1,231 @@
+/**
+ * Quartz 预览进程
+ * 在 Quartz 仓库中运行 `npx quartz build --serve`，由面板启动、停止与重启。
+ * 配置的端口被占用时自动顺延；保留最近的输出，状态变化与输出通过 onPreviewEvent 通知面板。
+ */
+
+import { spawn } from "child_process";
+import net from "net";
+
+export const DEFAULT_PREVIEW_SETTINGS = { port: 8082, wsPort: 3004 };
+// 端口被占用时最多向后尝试的个数
+const MAX_PORT_ATTEMPTS = 10;
+export const MAX_PREVIEW_OUTPUT_LINES = 200;
+// 首次构建较慢，超过该时间仍未监听端口视为启动失败
+const READY_TIMEOUT_MS = 3 * 60 * 1000;
+const READY_POLL_MS = 1000;
+const STOP_TIMEOUT_MS = 5000;
+
+function toPort(value) {
+  const n = typeof value === "string" && value.trim() ? Number(value) : value;
+  return Number.isInteger(n) && n > 0 && n < 65536 ? n : undefined;
+}
+
+/**
+ * 预览端口：环境变量 QUARTZ_PREVIEW_PORT / QUARTZ_PREVIEW_WS_PORT > config.json 的 preview > 默认值。
+ * @param {{ port?: number, wsPort?: number }} [input] - config.json 中的 preview
+ */
+export function normalizePreviewSettings(input = {}) {
+  const cfg = input && typeof input === "object" ? input : {};
+  return {
+    port: toPort(process.env.QUARTZ_PREVIEW_PORT) ?? toPort(cfg.port) ?? DEFAULT_PREVIEW_SETTINGS.port,
+    wsPort: toPort(process.env.QUARTZ_PREVIEW_WS_PORT) ?? toPort(cfg.wsPort) ?? DEFAULT_PREVIEW_SETTINGS.wsPort,
+  };
+}
+
+function isPortFree(port) {
+  return new Promise((resolve) => {
+    const srv = net.createServer();
+    srv.once("error", () => resolve(false));
+    srv.listen(port, () => srv.close(() => resolve(true)));
+  });
+}
+
+async function findFreePort(start, taken) {
+  for (let port = start; port < start + MAX_PORT_ATTEMPTS && port < 65536; port++) {
+    if (port !== taken && (await isPortFree(port))) return port;
+  }
+  throw new Error(`端口 ${start}–${start + MAX_PORT_ATTEMPTS - 1} 均被占用，请在 config.json 的 preview 中改用其它端口`);
+}
+
+function canConnect(port) {
+  return new Promise((resolve) => {
+    const socket = net.connect(port, "localhost");
+    socket.once("connect", () => {
+      socket.destroy();
+      resolve(true);
+    });
+    socket.once("error", () => resolve(false));
+  });
+}
+
+// 子进程输出按行切分（兼容 \r 刷新的进度行），不完整的行等下一块数据或 flush
+function createLineReader(onLine) {
+  let rest = "";
+  return {
+    push(chunk) {
+      const lines = (rest + chunk).split(/\r\n|\r|\n/);
+      rest = lines.pop();
+      lines.filter((l) => l.trim()).forEach(onLine);
+    },
+    flush() {
+      if (rest.trim()) onLine(rest);
+      rest = "";
+    },
+  };
+}
+
+/** @type {import("child_process").ChildProcess | null} */
+let proc = null;
+let stopping = false;
+/**
+ * state：stopped 未启动或已停止；starting 已启动、首次构建中；running 端口可访问；exited 意外退出（见 exitCode、error）
+ * @type {{ state: 'stopped'|'starting'|'running'|'exited', profile: string | null, quartzDir: string | null, port: number | null, wsPort: number | null, pid: number | null, startedAt: string | null, exitCode: number | null, error: string | null }}
+ */
+let status = { state: "stopped", profile: null, quartzDir: null, port: null, wsPort: null, pid: null, startedAt: null, exitCode: null, error: null };
+let output = [];
+const listeners = new Set();
+
+function emit(event, data) {
+  for (const fn of listeners) fn(event, data);
+}
+
+function setStatus(patch) {
+  status = { ...status, ...patch };
+  emit("status", getPreviewStatus());
+}
+
+function pushOutput(stream, line) {
+  const item = { stream, line, at: new Date().toISOString() };
+  output.push(item);
+  if (output.length > MAX_PREVIEW_OUTPUT_LINES) output.shift();
+  emit("output", item);
+}
+
+/**
+ * 订阅预览事件：("status", 状态) 与 ("output", { stream, line, at })。
+ * @returns {() => void} 取消订阅
+ */
+export function onPreviewEvent(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+export function getPreviewStatus() {
+  return { ...status };
+}
+
+/** 最近的输出（最多 MAX_PREVIEW_OUTPUT_LINES 行），每次启动时清空 */
+export function getPreviewOutput() {
+  return [...output];
+}
+
+/**
+ * 启动预览。已在运行时抛出异常。
+ * @param {{ quartzDir: string, profile: string, settings: { port: number, wsPort: number } }} options
+ * @returns {Promise<ReturnType<typeof getPreviewStatus>>} 进程已启动（首次构建可能尚未完成）时的状态
+ */
+export async function startPreview({ quartzDir, profile, settings }) {
+  if (proc) throw new Error("预览已在运行，请先停止或使用重启");
+  const port = await findFreePort(settings.port);
+  const wsPort = await findFreePort(settings.wsPort, port);
+  output = [];
+  if (port !== settings.port) pushOutput("stderr", `端口 ${settings.port} 已被占用，改用 ${port}`);
+  if (wsPort !== settings.wsPort) pushOutput("stderr", `热重载端口 ${settings.wsPort} 已被占用，改用 ${wsPort}`);
+  const args = ["quartz", "build", "--serve", "--port", String(port), "--wsPort", String(wsPort)];
+  pushOutput("stdout", `$ npx ${args.join(" ")}`);
+  const child = spawn("npx", args, {
+    cwd: quartzDir,
+    stdio: ["ignore", "pipe", "pipe"],
+    shell: process.platform === "win32",
+    // 独立进程组：停止时连同 npx 启动的 node 子进程一起结束
+    detached: process.platform !== "win32",
+  });
+  proc = child;
+  stopping = false;
+  setStatus({ state: "starting", profile, quartzDir, port, wsPort, pid: child.pid ?? null, startedAt: new Date().toISOString(), exitCode: null, error: null });
+
+  for (const stream of ["stdout", "stderr"]) {
+    const reader = createLineReader((line) => pushOutput(stream, line));
+    child[stream].on("data", (d) => reader.push(d.toString()));
+    child[stream].on("end", () => reader.flush());
+  }
+  child.on("error", (e) => {
+    if (proc !== child) return;
+    proc = null;
+    const error = e.code === "ENOENT" ? "未找到 npx 命令，请先安装 Node.js" : e.message;
+    pushOutput("stderr", error);
+    setStatus({ state: "exited", pid: null, error });
+  });
+  child.on("close", (code, signal) => {
+    if (proc !== child) return;
+    proc = null;
+    if (stopping) {
+      setStatus({ state: "stopped", pid: null, exitCode: code });
+      return;
+    }
+    const error = `预览进程退出（${code != null ? "退出码 " + code : signal}）`;
+    pushOutput("stderr", error);
+    setStatus({ state: "exited", pid: null, exitCode: code, error });
+  });
+  waitUntilReady(child, port);
+  return getPreviewStatus();
+}
+
+// 首次构建完成后 Quartz 才开始监听端口
+async function waitUntilReady(child, port) {
+  const deadline = Date.now() + READY_TIMEOUT_MS;
+  while (proc === child && status.state === "starting") {
+    if (await canConnect(port)) {
+      if (proc === child) setStatus({ state: "running" });
+      return;
+    }
+    if (Date.now() > deadline) {
+      pushOutput("stderr", `${READY_TIMEOUT_MS / 60000} 分钟内未能访问端口 ${port}，已停止预览`);
+      await stopPreview();
+      setStatus({ state: "exited", error: "启动超时" });
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, READY_POLL_MS));
+  }
+}
+
+function killTree(child, signal) {
+  if (process.platform === "win32") {
+    spawn("taskkill", ["/pid", String(child.pid), "/T", "/F"], { stdio: "ignore" });
+    return;
+  }
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    // 进程组已结束
+  }
+}
+
+/** 停止预览，进程退出后 resolve；未在运行时直接返回 */
+export function stopPreview() {
+  const child = proc;
+  if (!child) return Promise.resolve();
+  stopping = true;
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => killTree(child, "SIGKILL"), STOP_TIMEOUT_MS);
+    child.once("close", () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    killTree(child, "SIGTERM");
+  });
+}
+
+/** 重启预览；options 同 startPreview，可换成其它配置方案的 Quartz 仓库 */
+export async function restartPreview(options) {
+  await stopPreview();
+  return startPreview(options);
+}
+
+/** 面板退出时同步结束预览进程组（不等待退出） */
+export function killPreview() {
+  if (!proc) return;
+  stopping = true;
+  killTree(proc, "SIGTERM");
+}
@@ -0,0 +1,156 @@
+/**
+ * 配置方案（profile）
+ * 一个面板管理多组 Obsidian 库与 Quartz 站点。config.json 中有 profiles 时，每个键为一个方案；
+ * 没有时整个 config.json 视为名为 default 的单一方案（旧配置无需修改）。
+ * 每个方案有各自的路径、发布规则、定时任务、监听、同步 manifest 与运行状态。
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const CONFIG_PATH = path.join(__dirname, "config.json");
+export const DEFAULT_PROFILE_ID = "default";
+// 只属于面板本身、不属于任何方案的配置项
+const GLOBAL_KEYS = ["host", "auth", "preview", "hooks", "profiles", "defaultProfile"];
+// 每个方案必须单独配置、不从顶层继承的配置项（路径与定时任务继承后会让多个方案同步同一目录或重复触发）
+const OWN_KEYS = ["name", "obsidianDir", "quartzContentDir", "schedules", "cronHour"];
+const PROFILE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+export function isValidProfileId(id) {
+  return typeof id === "string" && PROFILE_ID_PATTERN.test(id);
+}
+
+/**
+ * 读取 config.json，不存在时返回空对象。
+ * 无法读取或解析时抛出异常，避免按空配置运行（如未启用登录）或保存配置时覆盖原文件。
+ */
+export async function readConfigFile() {
+  let text;
+  try {
+    text = await fs.readFile(CONFIG_PATH, "utf-8");
+  } catch (e) {
+    if (e.code === "ENOENT") return {};
+    throw e;
+  }
+  let cfg;
+  try {
+    cfg = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`config.json 不是有效的 JSON: ${e.message}`);
+  }
+  if (!cfg || typeof cfg !== "object" || Array.isArray(cfg)) throw new Error("config.json 的内容须为 JSON 对象");
+  return cfg;
+}
+
+export async function writeConfigFile(cfg) {
+  await fs.writeFile(CONFIG_PATH, JSON.stringify(cfg, null, 2), "utf-8");
+}
+
+function hasProfiles(cfg) {
+  return !!cfg.profiles && typeof cfg.profiles === "object" && !Array.isArray(cfg.profiles);
+}
+
+/** 全部方案 id，按 config.json 中的顺序 */
+export function profileIds(cfg) {
+  if (!hasProfiles(cfg)) return [DEFAULT_PROFILE_ID];
+  return Object.keys(cfg.profiles).filter(isValidProfileId);
+}
+
+/** 未指定方案时使用的方案：defaultProfile，缺省为第一个 */
+export function defaultProfileId(cfg) {
+  const ids = profileIds(cfg);
+  return ids.includes(cfg.defaultProfile) ? cfg.defaultProfile : ids[0] ?? DEFAULT_PROFILE_ID;
+}
+
+/** 方案列表：{ id, name, isDefault } */
+export function listProfiles(cfg) {
+  const def = defaultProfileId(cfg);
+  return profileIds(cfg).map((id) => {
+    const own = hasProfiles(cfg) ? cfg.profiles[id] : cfg;
+    const name = own && typeof own.name === "string" && own.name.trim() ? own.name.trim() : id;
+    return { id, name, isDefault: id === def };
+  });
+}
+
+/**
+ * 某个方案的原始配置：顶层中除面板配置与方案专属项外的配置作为公共默认值，方案中的同名项覆盖。
+ * @returns {Record<string, any> | null} 方案不存在时返回 null
+ */
+export function profileConfig(cfg, id) {
+  if (!profileIds(cfg).includes(id)) return null;
+  const shared = {};
+  for (const [k, v] of Object.entries(cfg)) {
+    if (!GLOBAL_KEYS.includes(k)) shared[k] = v;
+  }
+  if (!hasProfiles(cfg)) return shared;
+  for (const k of OWN_KEYS) delete shared[k];
+  const own = cfg.profiles[id] && typeof cfg.profiles[id] === "object" ? cfg.profiles[id] : {};
+  return { ...shared, ...own };
+}
+
+/**
+ * 修改某个方案自身的配置项（不影响公共默认值）。
+ * @param {(entry: Record<string, any>) => Record<string, any>} update - 接收方案当前的配置项，返回新的配置项
+ * @returns {Record<string, any>} 新的 config.json 内容
+ */
+export function updateProfileConfig(cfg, id, update) {
+  if (!hasProfiles(cfg)) {
+    const globals = Object.fromEntries(GLOBAL_KEYS.filter((k) => k in cfg).map((k) => [k, cfg[k]]));
+    const entry = { ...cfg };
+    for (const k of GLOBAL_KEYS) delete entry[k];
+    return { ...update(entry), ...globals };
+  }
+  return { ...cfg, profiles: { ...cfg.profiles, [id]: update({ ...cfg.profiles[id] }) } };
+}
+
+/**
+ * 新增方案。旧的单一配置先转换为 profiles.default：路径与定时任务移入其中，其余配置留在顶层作为公共默认值。
+ * @param {{ name?: string, obsidianDir: string, quartzContentDir: string }} entry
+ */
+export function addProfile(cfg, id, entry) {
+  let next = cfg;
+  if (!hasProfiles(cfg)) {
+    const own = {};
+    next = {};
+    for (const [k, v] of Object.entries(cfg)) {
+      if (OWN_KEYS.includes(k)) own[k] = v;
+      else next[k] = v;
+    }
+    next.profiles = { [DEFAULT_PROFILE_ID]: { name: "默认", ...own } };
+  }
+  return { ...next, profiles: { ...next.profiles, [id]: entry } };
+}
+
+/** 删除方案；被删除的是 defaultProfile 时一并移除该设置 */
+export function removeProfile(cfg, id) {
+  const { [id]: removed, ...profiles } = cfg.profiles || {};
+  const next = { ...cfg, profiles };
+  if (next.defaultProfile === id) delete next.defaultProfile;
+  return next;
+}
+
+/**
+ * 方案的状态文件。default 方案沿用工具目录下原有的文件，升级后不丢失同步记录；其它方案放在 .profiles/<id>/ 中。
+ * @returns {{ dir: string, manifest: string, state: string, publishHistory: string, snapshots: string }}
+ */
+export function profileFiles(id) {
+  if (id === DEFAULT_PROFILE_ID) {
+    return {
+      dir: __dirname,
+      manifest: path.join(__dirname, ".obsidian-sync-manifest.json"),
+      state: path.join(__dirname, ".dashboard-state.json"),
+      publishHistory: path.join(__dirname, ".publish-history.json"),
+      snapshots: path.join(__dirname, ".publish-snapshots"),
+    };
+  }
+  const dir = path.join(__dirname, ".profiles", id);
+  return {
+    dir,
+    manifest: path.join(dir, "manifest.json"),
+    state: path.join(dir, "state.json"),
+    publishHistory: path.join(dir, "publish-history.json"),
+    snapshots: path.join(dir, "publish-snapshots"),
+  };
+}
@@ -1,9 +1,23 @@
 (function () {
+  // 写操作需带 CSRF 令牌，由 /api/auth/session 或登录接口返回
+  let csrfToken = "";
+  // 当前配置方案，所有接口以 X-Profile 请求头指定；记在本地，刷新后保持
+  const PROFILE_STORAGE_KEY = "oqg-profile";
+  let currentProfile = localStorage.getItem(PROFILE_STORAGE_KEY) || "";
+  let profiles = [];
   const api = (path, opts = {}) =>
-    fetch(path, { ...opts, headers: { "Content-Type": "application/json", ...opts.headers } });
+    fetch(path, {
+      ...opts,
+      headers: { "Content-Type": "application/json", "X-CSRF-Token": csrfToken, "X-Profile": currentProfile, ...opts.headers },
+    })
+      .then((r) => {
+        // 会话过期或在其它页面退出登录
+        if (r.status === 401 && !path.startsWith("/api/auth/")) showLogin();
+        return r;
+      });
 
-  const LOG_TYPE_LABELS = { sync: "同步", publish: "发布", "sync-and-publish": "一键同步并发布", cron: "定时任务" };
-  const LOG_RESULT_LABELS = { success: "成功", fail: "失败", running: "进行中" };
+  const LOG_TYPE_LABELS = { sync: "同步", publish: "发布", "sync-and-publish": "一键同步并发布", rollback: "回滚", cron: "定时任务" };
+  const LOG_RESULT_LABELS = { success: "成功", fail: "失败", running: "进行中", cancelled: "已取消" };
 
   function fmtDate(iso) {
     if (!iso) return "-";
@@ -16,13 +30,54 @@
     });
   }
 
+  function escapeHtml(str) {
+    return String(str)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  // 任务运行中仍可继续提交，新任务进入队列
   function setRunning(run) {
     document.getElementById("running").classList.toggle("hidden", !run);
-    ["btn-sync", "btn-publish", "btn-sync-publish"].forEach((id) => {
-      document.getElementById(id).disabled = run;
-    });
   }
 
+  const JOB_TRIGGER_LABELS = { manual: "手动", watcher: "自动同步", cron: "定时", hook: "外部触发", cli: "命令行" };
+
+  function profileName(id) {
+    const p = profiles.find((x) => x.id === id);
+    return p ? p.name : id;
+  }
+
+  // 队列为全部配置方案共用，其它方案的任务标出所属方案
+  function renderJobs(jobs) {
+    const list = document.getElementById("job-queue");
+    const items = jobs ? [jobs.running, ...jobs.queued].filter(Boolean) : [];
+    list.classList.toggle("hidden", items.length === 0);
+    list.innerHTML = items
+      .map(
+        (job) =>
+          `<li class="job-item ${job.status}">
+            <span>${job.profile !== currentProfile ? "［" + escapeHtml(profileName(job.profile)) + "］" : ""}${LOG_TYPE_LABELS[job.type] || escapeHtml(job.type)} · ${JOB_TRIGGER_LABELS[job.trigger] || escapeHtml(job.trigger)}${escapeHtml(triggerSource(job))} · ${job.status === "running" ? "执行中" : "排队中"}</span>
+            <button type="button" class="btn btn-secondary btn-small" data-cancel="${escapeHtml(job.id)}">取消</button>
+          </li>`
+      )
+      .join("");
+  }
+
+  document.getElementById("job-queue").addEventListener("click", (e) => {
+    const id = e.target.getAttribute("data-cancel");
+    if (!id) return;
+    e.target.disabled = true;
+    api("/api/jobs/" + encodeURIComponent(id), { method: "DELETE" })
+      .then((r) => r.json())
+      .then((res) => {
+        if (res.error) setError(null, "取消失败: " + res.error);
+      })
+      .catch((err) => setError(null, "取消失败: " + err.message));
+  });
+
   function setError(el, msg) {
     const area = document.getElementById("error-area");
     if (msg) {
@@ -43,68 +98,398 @@
     api("/api/status")
       .then((r) => r.json())
       .then((s) => {
-        const bulletinEl = document.getElementById("last-publish-bulletin");
-        const bulletinText = document.getElementById("last-publish-bulletin-text");
-        if (bulletinEl && bulletinText) {
-          const pubTime = fmtDate(s.lastPublishAt);
-          const pubResult = s.lastPublishSuccess == null ? "" : " " + fmtResult(s.lastPublishSuccess);
-          bulletinText.textContent = pubTime === "-" ? "上次发布：暂无记录" : "上次发布：" + pubTime + pubResult;
-          bulletinEl.className = "bulletin" + (s.lastPublishSuccess === true ? " bulletin-success" : s.lastPublishSuccess === false ? " bulletin-fail" : "");
-        }
+        renderStatus(s);
+        refreshLogs();
+      })
+      .catch((e) => setError(null, "获取状态失败: " + e.message));
+  }
 
-        const nextCronEl = document.getElementById("next-cron");
-        if (nextCronEl) nextCronEl.textContent = s.nextCron || "-";
+  function renderStatus(s) {
+    const bulletinEl = document.getElementById("last-publish-bulletin");
+    const bulletinText = document.getElementById("last-publish-bulletin-text");
+    if (bulletinEl && bulletinText) {
+      const pubTime = fmtDate(s.lastPublishAt);
+      const pubResult = s.lastPublishSuccess == null ? "" : " " + fmtResult(s.lastPublishSuccess);
+      bulletinText.textContent = pubTime === "-" ? "上次发布：暂无记录" : "上次发布：" + pubTime + pubResult;
+      bulletinEl.className = "bulletin" + (s.lastPublishSuccess === true ? " bulletin-success" : s.lastPublishSuccess === false ? " bulletin-fail" : "");
+    }
 
-        const cronRes = document.getElementById("cron-result");
-        if (cronRes) {
-          cronRes.textContent = s.lastCronRunAt
-            ? (s.lastCronSuccess === true ? "已执行" : s.lastCronSuccess === false ? "失败" : "")
-            : "";
-          cronRes.className = "result " + (s.lastCronSuccess === true ? "success" : s.lastCronSuccess === false ? "fail" : "");
-        }
+    const nextCronEl = document.getElementById("next-cron");
+    if (nextCronEl) nextCronEl.textContent = fmtDate(s.nextCron);
+    renderSchedules(s.schedules);
 
-        const watcherToggle = document.getElementById("watcher-toggle");
-        const watcherLabel = document.getElementById("watcher-label");
-        if (watcherToggle) watcherToggle.checked = s.watcherEnabled;
-        if (watcherLabel) watcherLabel.textContent = s.watcherEnabled ? "开启" : "关闭";
+    const cronRes = document.getElementById("cron-result");
+    if (cronRes) {
+      cronRes.textContent = s.lastCronRunAt
+        ? (s.lastCronSuccess === true ? "已执行" : s.lastCronSuccess === false ? "失败" : "")
+        : "";
+      cronRes.className = "result " + (s.lastCronSuccess === true ? "success" : s.lastCronSuccess === false ? "fail" : "");
+    }
 
-        setRunning(s.isRunning);
+    const watcherToggle = document.getElementById("watcher-toggle");
+    const watcherLabel = document.getElementById("watcher-label");
+    if (watcherToggle) watcherToggle.checked = s.watcherEnabled;
+    if (watcherLabel) watcherLabel.textContent = s.watcherEnabled ? "开启" : "关闭";
 
-        if (s.lastSyncError || s.lastPublishError || s.lastCronError) {
-          const err = [s.lastSyncError, s.lastPublishError, s.lastCronError].filter(Boolean).join("\n");
-          setError(null, err);
-        } else {
-          setError(null, null);
-        }
-        refreshLogs();
+    setRunning(s.isRunning);
+    renderJobs(s.jobs);
+    if (!s.isRunning) document.getElementById("running").textContent = "任务执行中...";
+
+    if (s.lastSyncError || s.lastPublishError || s.lastCronError) {
+      const err = [s.lastSyncError, s.lastPublishError, s.lastCronError].filter(Boolean).join("\n");
+      setError(null, err);
+    } else {
+      setError(null, null);
+    }
+  }
+
+  // --- 任务输出控制台（由 /api/events 推送） ---
+  const MAX_CONSOLE_LINES = 500;
+
+  function showConsole(title) {
+    document.getElementById("task-console-title").textContent = title;
+    document.getElementById("task-console-wrap").classList.remove("hidden");
+  }
+
+  function onTaskEvent(log) {
+    const label = LOG_TYPE_LABELS[log.type] || log.type;
+    if (log.result === "running") {
+      document.getElementById("task-console").innerHTML = "";
+      showConsole(label + " · 进行中");
+    } else {
+      showConsole(label + " · " + (LOG_RESULT_LABELS[log.result] || log.result));
+      refreshPublishes();
+      schedulePreviewReload(log);
+      if (log.result === "fail" && log.deletionLimit) renderDeletionConfirm(log);
+    }
+    refreshLogs();
+  }
+
+  function onOutputEvent(item) {
+    const pre = document.getElementById("task-console");
+    const atBottom = pre.scrollTop + pre.clientHeight >= pre.scrollHeight - 4;
+    const line = document.createElement("span");
+    line.className = "console-line " + item.stream;
+    line.textContent = item.line + "\n";
+    pre.appendChild(line);
+    while (pre.childNodes.length > MAX_CONSOLE_LINES) pre.removeChild(pre.firstChild);
+    if (atBottom) pre.scrollTop = pre.scrollHeight;
+    document.getElementById("task-console-wrap").classList.remove("hidden");
+    if (item.stream === "progress") document.getElementById("running").textContent = "任务执行中：" + item.line;
+  }
+
+  let eventSource = null;
+
+  // 事件流只推送当前配置方案的状态与任务；切换方案时重新连接
+  function connectEvents() {
+    if (eventSource) eventSource.close();
+    const es = new EventSource("/api/events?profile=" + encodeURIComponent(currentProfile));
+    eventSource = es;
+    const on = (name, fn) => es.addEventListener(name, (e) => fn(JSON.parse(e.data)));
+    on("status", renderStatus);
+    on("task", onTaskEvent);
+    on("output", onOutputEvent);
+    on("preview", renderPreview);
+    on("preview-output", appendPreviewOutput);
+    // 首次连接及断线重连后补拉日志与预览输出；断线期间浏览器会自动重连
+    es.addEventListener("open", () => {
+      refreshLogs();
+      loadPreview();
+    });
+  }
+
+  const PLAN_GROUPS = [
+    { key: "add", kind: "notes", label: "新增笔记" },
+    { key: "update", kind: "notes", label: "更新笔记" },
+    { key: "delete", kind: "notes", label: "删除笔记" },
+    { key: "add", kind: "assets", label: "新增资源" },
+    { key: "update", kind: "assets", label: "更新资源" },
+    { key: "delete", kind: "assets", label: "删除资源" },
+  ];
+
+  const BROKEN_REASONS = {
+    unpublished: "未发布",
+    missing: "不存在",
+    cycle: "循环嵌入",
+    section: "段落不存在",
+  };
+
+  function hidePlan() {
+    const area = document.getElementById("plan-area");
+    area.innerHTML = "";
+    area.classList.add("hidden");
+  }
+
+  function renderPlan(plan) {
+    const area = document.getElementById("plan-area");
+    const groups = PLAN_GROUPS.map((g) => {
+      const items = (plan[g.kind] && plan[g.kind][g.key]) || [];
+      if (items.length === 0) return "";
+      const lis = items
+        .map((item) => `<li>${escapeHtml(typeof item === "string" ? item : item.path)}</li>`)
+        .join("");
+      return `<div class="plan-group ${g.key}"><h3>${g.label}（${items.length}）</h3><ul>${lis}</ul></div>`;
+    }).join("");
+    const broken = Object.entries(plan.brokenLinks || {});
+    const brokenGroup = broken.length
+      ? `<div class="plan-group broken"><h3>失效链接（${broken.length} 篇笔记）</h3><ul>${broken
+          .map(([rel, links]) =>
+            `<li>${escapeHtml(rel)}：${links
+              .map((l) => escapeHtml(l.link) + `（${BROKEN_REASONS[l.reason] || "不存在"}）`)
+              .join("、")}</li>`
+          )
+          .join("")}</ul></div>`
+      : "";
+    const collisions = plan.collisions || [];
+    const collisionGroup = collisions.length
+      ? `<div class="plan-group broken"><h3>资源重名（${collisions.length}）</h3><ul>${collisions
+          .map((c) =>
+            `<li>${escapeHtml(c.path)}：${c.sources
+              .map((x) => `${escapeHtml(x.source)} → ${escapeHtml(x.path)}`)
+              .join("、")}</li>`
+          )
+          .join("")}</ul></div>`
+      : "";
+    const d = plan.deletions;
+    const deletionWarning = d && d.exceeded
+      ? `<p class="plan-warning">将删除 ${d.count} 个文件，超过单次上限 ${d.max}，同步时需要确认</p>`
+      : "";
+    area.innerHTML = deletionWarning + (groups || `<p class="plan-empty">没有需要同步的变更</p>`) + brokenGroup + collisionGroup;
+    area.classList.remove("hidden");
+  }
+
+  // 同步因删除数超过上限被中止：确认后带 confirmDeletions 重新执行同一任务
+  function renderDeletionConfirm(log) {
+    const d = log.deletionLimit;
+    const endpoint = log.type === "sync-and-publish" ? "/api/sync-and-publish" : "/api/sync";
+    const area = document.getElementById("plan-area");
+    area.innerHTML = `<p class="plan-warning">本次同步将删除 ${d.count} 个文件，超过单次上限 ${d.max}，已中止。请先「预览变更」核对删除列表。</p>
+      <div class="btn-group">
+        <button type="button" id="btn-deletion-confirm" class="btn btn-danger">确认删除并继续</button>
+        <button type="button" id="btn-deletion-cancel" class="btn btn-secondary">取消</button>
+      </div>`;
+    area.classList.remove("hidden");
+    document.getElementById("btn-deletion-confirm").addEventListener("click", () =>
+      doAction(endpoint, LOG_TYPE_LABELS[log.type] || log.type, { confirmDeletions: true })
+    );
+    document.getElementById("btn-deletion-cancel").addEventListener("click", hidePlan);
+  }
+
+  function previewPlan() {
+    const btn = document.getElementById("btn-plan");
+    btn.disabled = true;
+    setError(null, null);
+    api("/api/sync/plan")
+      .then((r) => r.json())
+      .then((res) => {
+        if (!res.ok) throw new Error(res.error || "未知错误");
+        renderPlan(res.plan);
       })
-      .catch((e) => setError(null, "获取状态失败: " + e.message));
+      .catch((e) => {
+        hidePlan();
+        setError(null, "预览变更失败: " + e.message);
+      })
+      .finally(() => { btn.disabled = false; });
   }
 
-  function doAction(endpoint, label) {
+  function doAction(endpoint, label, body) {
     setRunning(true);
     setError(null, null);
-    api(endpoint, { method: "POST" })
+    hidePlan();
+    api(endpoint, { method: "POST", body: body && JSON.stringify(body) })
       .then((r) => r.json())
       .then((res) => {
-        refreshStatus();
-        refreshLogs();
         if (!res.ok && res.error) setError(null, res.error);
       })
       .catch((e) => {
         setError(null, label + " 失败: " + e.message);
         refreshStatus();
-        refreshLogs();
       });
   }
 
+  // --- 发布预览：确认待提交的文件与提交信息后再发布 ---
+  const PUBLISH_STATUS_LABELS = { added: "新增", modified: "更新", deleted: "删除" };
+
+  function fetchPublishPreview(template) {
+    const query = template ? "?message=" + encodeURIComponent(template) : "";
+    return api("/api/publish/preview" + query)
+      .then((r) => r.json())
+      .then((res) => {
+        if (!res.ok) throw new Error(res.error || "未知错误");
+        return res;
+      });
+  }
+
+  function fmtLineStats(f) {
+    if (f.insertions == null) return "";
+    return ` <span class="publish-stat">+${f.insertions} −${f.deletions}</span>`;
+  }
+
+  function renderPublishPreview(p) {
+    const area = document.getElementById("plan-area");
+    const notes = p.files.filter((f) => f.isNote);
+    const others = p.files.filter((f) => !f.isNote);
+    const target = escapeHtml(p.remote + "/" + p.target);
+    const head = p.staging
+      ? `推送到预发布分支 <code>${target}</code>（当前分支 <code>${escapeHtml(p.branch)}</code>）`
+      : `推送到 <code>${target}</code>`;
+    const ahead = p.ahead ? `，另有 ${p.ahead} 个未推送的提交` : "";
+    const noteGroup = notes.length
+      ? `<div class="plan-group update"><h3>笔记（${notes.length}）</h3><ul>${notes
+          .map((f) => `<li>${PUBLISH_STATUS_LABELS[f.status]}：${escapeHtml(f.title)} <span class="publish-path">${escapeHtml(f.path)}</span>${fmtLineStats(f)}</li>`)
+          .join("")}</ul></div>`
+      : "";
+    const otherGroup = others.length
+      ? `<div class="plan-group"><h3>其它文件（${others.length}）</h3><ul>${others
+          .map((f) => `<li>${PUBLISH_STATUS_LABELS[f.status]}：${escapeHtml(f.path)}${fmtLineStats(f)}</li>`)
+          .join("")}</ul></div>`
+      : "";
+    const empty = p.files.length === 0 ? `<p class="plan-empty">没有需要提交的变更，只推送已有提交</p>` : "";
+    area.innerHTML = `<p class="publish-target">${head}${ahead}</p>${noteGroup}${otherGroup}${empty}
+      <div class="publish-message">
+        <label for="publish-message">提交信息模板</label>
+        <textarea id="publish-message" rows="3"></textarea>
+        <pre id="publish-message-preview" class="publish-message-preview"></pre>
+      </div>
+      <div class="btn-group">
+        <button type="button" id="btn-publish-confirm" class="btn btn-primary">确认发布</button>
+        <button type="button" id="btn-publish-cancel" class="btn btn-secondary">取消</button>
+      </div>`;
+    area.classList.remove("hidden");
+
+    const textarea = document.getElementById("publish-message");
+    const previewEl = document.getElementById("publish-message-preview");
+    textarea.value = p.template;
+    previewEl.textContent = p.files.length ? p.message : "";
+    let timer = null;
+    textarea.addEventListener("input", () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        fetchPublishPreview(textarea.value)
+          .then((res) => { previewEl.textContent = res.files.length ? res.message : ""; })
+          .catch(() => {});
+      }, 400);
+    });
+    document.getElementById("btn-publish-confirm").addEventListener("click", () =>
+      doAction("/api/publish", "发布", { message: textarea.value })
+    );
+    document.getElementById("btn-publish-cancel").addEventListener("click", hidePlan);
+  }
+
+  function previewPublish() {
+    const btn = document.getElementById("btn-publish");
+    btn.disabled = true;
+    setError(null, null);
+    fetchPublishPreview()
+      .then(renderPublishPreview)
+      .catch((e) => {
+        hidePlan();
+        setError(null, "读取发布预览失败: " + e.message);
+      })
+      .finally(() => { btn.disabled = false; });
+  }
+
+  document.getElementById("btn-plan").addEventListener("click", previewPlan);
   document.getElementById("btn-sync").addEventListener("click", () => doAction("/api/sync", "同步"));
-  document.getElementById("btn-publish").addEventListener("click", () => doAction("/api/publish", "发布"));
+  document.getElementById("btn-publish").addEventListener("click", previewPublish);
   document.getElementById("btn-sync-publish").addEventListener("click", () =>
     doAction("/api/sync-and-publish", "同步并发布")
   );
 
   const QUARTZ_PREVIEW_BASE = "/quartz-preview/";
+  const PREVIEW_STATE_LABELS = { stopped: "未启动", starting: "启动中", running: "运行中", exited: "已退出" };
+  const MAX_PREVIEW_OUTPUT_LINES = 200;
+  // 这些任务成功后预览的内容会变化（定时任务按其 action 记为 sync 或 sync-and-publish）
+  const PREVIEW_RELOAD_TYPES = ["sync", "sync-and-publish", "rollback"];
+  // Quartz 重新构建后会经热重载自动刷新页面；超过该时间仍未刷新时由面板重新加载
+  const PREVIEW_RELOAD_FALLBACK_MS = 5000;
+  let previewStatus = { state: "stopped" };
+  let previewReloadTimer = null;
+
+  // 保留 iframe 中当前浏览的页面
+  function reloadPreview() {
+    clearTimeout(previewReloadTimer);
+    previewReloadTimer = null;
+    const iframe = document.getElementById("quartz-preview");
+    try {
+      iframe.contentWindow.location.reload();
+    } catch {
+      iframe.src = QUARTZ_PREVIEW_BASE + "?t=" + Date.now();
+    }
+  }
+
+  function schedulePreviewReload(log) {
+    if (log.result !== "success" || !PREVIEW_RELOAD_TYPES.includes(log.type)) return;
+    if (previewStatus.state !== "running" || previewStatus.profile !== log.profile) return;
+    clearTimeout(previewReloadTimer);
+    previewReloadTimer = setTimeout(reloadPreview, PREVIEW_RELOAD_FALLBACK_MS);
+  }
+
+  function renderPreview(s) {
+    const wasStarting = previewStatus.state === "starting";
+    previewStatus = s;
+    const badge = document.getElementById("preview-state");
+    badge.className = "preview-state " + s.state;
+    badge.textContent = PREVIEW_STATE_LABELS[s.state] || s.state;
+    badge.title = s.error || (s.port ? "端口 " + s.port + "，热重载端口 " + s.wsPort : "");
+    const alive = !!s.pid;
+    document.getElementById("btn-preview-start").disabled = alive;
+    document.getElementById("btn-preview-stop").disabled = !alive;
+    document.getElementById("btn-preview-restart").disabled = !alive;
+    document.getElementById("preview-summary").textContent =
+      "预览进程输出" + (s.profile ? "（" + profileName(s.profile) + (s.port ? " · 端口 " + s.port : "") + "）" : "");
+    // 首次构建完成，替换「启动中」提示页
+    if (wasStarting && s.state === "running") reloadPreview();
+  }
+
+  function appendPreviewOutput(item) {
+    const pre = document.getElementById("preview-output");
+    const atBottom = pre.scrollTop + pre.clientHeight >= pre.scrollHeight - 4;
+    const line = document.createElement("span");
+    line.className = "console-line " + item.stream;
+    line.textContent = item.line + "\n";
+    pre.appendChild(line);
+    while (pre.childNodes.length > MAX_PREVIEW_OUTPUT_LINES) pre.removeChild(pre.firstChild);
+    if (atBottom) pre.scrollTop = pre.scrollHeight;
+  }
+
+  function loadPreview() {
+    return api("/api/preview")
+      .then((r) => r.json())
+      .then((res) => {
+        renderPreview(res);
+        document.getElementById("preview-output").innerHTML = "";
+        (res.output || []).forEach(appendPreviewOutput);
+      })
+      .catch((e) => setError(null, "获取预览状态失败: " + e.message));
+  }
+
+  // 启动 / 重启预览当前配置方案的 Quartz 站点
+  function previewAction(action, label) {
+    const btn = document.getElementById("btn-preview-" + action);
+    btn.disabled = true;
+    if (action !== "stop") document.getElementById("preview-output").innerHTML = "";
+    api("/api/preview/" + action, { method: "POST" })
+      .then((r) => r.json())
+      .then((res) => {
+        if (res.error) setError(null, label + "失败: " + res.error);
+        renderPreview(res);
+      })
+      .catch((e) => setError(null, label + "失败: " + e.message))
+      .finally(() => {
+        btn.disabled = action === "stop" ? !previewStatus.pid : !!previewStatus.pid;
+      });
+  }
+
+  document.getElementById("btn-preview-start").addEventListener("click", () => previewAction("start", "启动预览"));
+  document.getElementById("btn-preview-restart").addEventListener("click", () => previewAction("restart", "重启预览"));
+  document.getElementById("btn-preview-stop").addEventListener("click", () => previewAction("stop", "停止预览"));
+  document.getElementById("quartz-preview").addEventListener("load", () => {
+    // 热重载已刷新页面，无需再由面板重新加载
+    clearTimeout(previewReloadTimer);
+    previewReloadTimer = null;
+  });
+
   (function initRefreshPreview() {
     const btn = document.getElementById("btn-refresh-preview");
     const iframe = document.getElementById("quartz-preview");
@@ -127,7 +512,12 @@
       body: JSON.stringify({ enabled: e.target.checked }),
     })
       .then((r) => r.json())
-      .then(() => refreshStatus())
+      .then((res) => {
+        if (res.error) {
+          setError(null, "开启自动同步失败: " + res.error);
+          e.target.checked = res.watcherEnabled;
+        }
+      })
       .catch(() => refreshStatus());
   });
 
@@ -142,33 +532,267 @@
     api("/api/config")
       .then((r) => r.json())
       .then((c) => {
+        document.getElementById("config-profile-name").textContent = c.profile ? c.profile.name : "";
         document.getElementById("config-obsidian").value = c.obsidianDirResolved || c.obsidianDir || "";
         document.getElementById("config-quartz").value = c.quartzContentDirResolved || c.quartzContentDir || "";
-        const cronSelect = document.getElementById("config-cron-hour");
-        if (cronSelect && typeof c.cronHour === "number" && c.cronHour >= 0 && c.cronHour <= 23) {
-          cronSelect.value = String(Math.floor(c.cronHour));
-        }
+        document.getElementById("config-max-deletions").value = c.maxDeletions == null ? "" : c.maxDeletions;
+        renderPathErrors(c.validation ? c.validation.errors : []);
+        if (c.publishRules) fillPublishRules(c.publishRules);
       })
       .catch(() => showConfigMsg("加载配置失败", true));
   }
 
-  function saveCronConfig() {
-    const cronSelect = document.getElementById("config-cron-hour");
-    if (!cronSelect) return Promise.resolve();
-    const cronHour = parseInt(cronSelect.value, 10);
-    if (isNaN(cronHour) || cronHour < 0 || cronHour > 23) return Promise.resolve();
-    return api("/api/config", {
-      method: "PATCH",
-      body: JSON.stringify({ cronHour }),
-    })
+  // 路径校验错误常驻显示，修正并保存后清除
+  function renderPathErrors(errors) {
+    const el = document.getElementById("config-errors");
+    el.innerHTML = (errors || []).map((e) => `<li>${escapeHtml(e)}</li>`).join("");
+    el.classList.toggle("hidden", !errors || errors.length === 0);
+  }
+
+  function saveMaxDeletions() {
+    const raw = document.getElementById("config-max-deletions").value.trim();
+    const maxDeletions = raw === "" ? null : Number(raw);
+    api("/api/config", { method: "PATCH", body: JSON.stringify({ maxDeletions }) })
       .then((r) => r.json())
       .then((res) => {
-        if (res.error) showConfigMsg(res.error, true);
-        else refreshStatus();
+        if (res.error) return showConfigMsg(res.error, true);
+        document.getElementById("config-max-deletions").value = res.maxDeletions == null ? "" : res.maxDeletions;
+        showConfigMsg("删除上限已保存");
       })
       .catch((e) => showConfigMsg("保存失败: " + e.message, true));
   }
 
+  document.getElementById("btn-save-max-deletions").addEventListener("click", saveMaxDeletions);
+
+  function fillPublishRules(rules) {
+    document.getElementById("rules-keys").value = (rules.keys || []).join(", ");
+    document.getElementById("rules-values").value = (rules.values || []).join(", ");
+    document.getElementById("rules-tags").value = (rules.tags || []).join(", ");
+    document.getElementById("rules-include").value = (rules.include || []).join("\n");
+    document.getElementById("rules-exclude").value = (rules.exclude || []).join("\n");
+    document.getElementById("rules-draft").checked = rules.draftOverride !== false;
+  }
+
+  function showRulesMsg(msg, isError) {
+    const el = document.getElementById("rules-msg");
+    el.textContent = msg;
+    el.className = "config-msg" + (isError ? " error" : "");
+    if (msg) setTimeout(() => { el.textContent = ""; el.className = "config-msg"; }, 3000);
+  }
+
+  function savePublishRules() {
+    const splitList = (id, sep) =>
+      document.getElementById(id).value.split(sep).map((v) => v.trim()).filter(Boolean);
+    const publishRules = {
+      keys: splitList("rules-keys", ","),
+      values: splitList("rules-values", ","),
+      tags: splitList("rules-tags", ","),
+      include: splitList("rules-include", "\n"),
+      exclude: splitList("rules-exclude", "\n"),
+      draftOverride: document.getElementById("rules-draft").checked,
+    };
+    api("/api/config", { method: "PATCH", body: JSON.stringify({ publishRules }) })
+      .then((r) => r.json())
+      .then((res) => {
+        if (res.error) return showRulesMsg(res.error, true);
+        fillPublishRules(res.publishRules);
+        showRulesMsg("规则已保存");
+      })
+      .catch((e) => showRulesMsg("保存失败: " + e.message, true));
+  }
+
+  document.getElementById("btn-save-rules").addEventListener("click", savePublishRules);
+
+  // --- 定时任务 ---
+  const SCHEDULE_ACTION_LABELS = { sync: "同步", publish: "发布", "sync-and-publish": "同步并发布" };
+  let schedules = [];
+
+  function renderSchedules(list) {
+    if (!list) return;
+    schedules = list;
+    const el = document.getElementById("schedule-list");
+    if (list.length === 0) {
+      el.innerHTML = '<li class="schedule-empty">暂无定时任务</li>';
+      return;
+    }
+    el.innerHTML = list
+      .map((s) => {
+        const last = s.lastRun
+          ? `上次 ${fmtDate(s.lastRun.at)} <span class="result ${s.lastRun.ok ? "success" : "fail"}">${s.lastRun.ok ? "成功" : "失败"}</span>`
+          : "尚未执行";
+        return `<li class="schedule-item${s.enabled ? "" : " disabled"}">
+            <div class="schedule-info">
+              <strong>${escapeHtml(s.name)}</strong>
+              <code>${escapeHtml(s.cron)}</code>${s.timezone ? ` <span class="schedule-tz">${escapeHtml(s.timezone)}</span>` : ""}
+              · ${SCHEDULE_ACTION_LABELS[s.action] || escapeHtml(s.action)}
+              <div class="schedule-meta">${s.enabled ? "下次 " + fmtDate(s.nextRun) : "已停用"} · ${last}</div>
+            </div>
+            <div class="schedule-actions">
+              <button type="button" class="btn btn-secondary btn-small" data-toggle="${escapeHtml(s.id)}">${s.enabled ? "停用" : "启用"}</button>
+              <button type="button" class="btn btn-secondary btn-small" data-edit="${escapeHtml(s.id)}">编辑</button>
+              <button type="button" class="btn btn-secondary btn-small" data-delete="${escapeHtml(s.id)}">删除</button>
+            </div>
+          </li>`;
+      })
+      .join("");
+  }
+
+  function showScheduleMsg(msg, isError) {
+    const el = document.getElementById("schedule-msg");
+    el.textContent = msg;
+    el.className = "config-msg" + (isError ? " error" : "");
+    if (msg) setTimeout(() => { el.textContent = ""; el.className = "config-msg"; }, 3000);
+  }
+
+  function fillScheduleForm(s) {
+    document.getElementById("schedule-id").value = s ? s.id : "";
+    document.getElementById("schedule-name").value = s ? s.name : "";
+    document.getElementById("schedule-cron").value = s ? s.cron : "";
+    document.getElementById("schedule-timezone").value = s ? s.timezone : "";
+    document.getElementById("schedule-action").value = s ? s.action : "sync-and-publish";
+    document.getElementById("schedule-enabled").checked = s ? s.enabled : true;
+    document.getElementById("btn-save-schedule").textContent = s ? "保存修改" : "添加定时任务";
+    document.getElementById("btn-cancel-schedule").classList.toggle("hidden", !s);
+  }
+
+  function scheduleRequest(path, method, body) {
+    return api(path, { method, body: body && JSON.stringify(body) })
+      .then((r) => r.json())
+      .then((res) => {
+        if (res.error) throw new Error(res.error);
+        refreshStatus();
+        return res;
+      });
+  }
+
+  function saveSchedule() {
+    const id = document.getElementById("schedule-id").value;
+    const body = {
+      name: document.getElementById("schedule-name").value,
+      cron: document.getElementById("schedule-cron").value,
+      timezone: document.getElementById("schedule-timezone").value,
+      action: document.getElementById("schedule-action").value,
+      enabled: document.getElementById("schedule-enabled").checked,
+    };
+    const req = id
+      ? scheduleRequest("/api/schedules/" + encodeURIComponent(id), "PATCH", body)
+      : scheduleRequest("/api/schedules", "POST", body);
+    req
+      .then(() => {
+        fillScheduleForm(null);
+        showScheduleMsg(id ? "定时任务已保存" : "定时任务已添加");
+      })
+      .catch((e) => showScheduleMsg(e.message, true));
+  }
+
+  document.getElementById("btn-save-schedule").addEventListener("click", saveSchedule);
+  document.getElementById("btn-cancel-schedule").addEventListener("click", () => fillScheduleForm(null));
+
+  document.getElementById("schedule-list").addEventListener("click", (e) => {
+    const t = e.target;
+    const toggleId = t.getAttribute("data-toggle");
+    const editId = t.getAttribute("data-edit");
+    const deleteId = t.getAttribute("data-delete");
+    if (editId) {
+      fillScheduleForm(schedules.find((s) => s.id === editId));
+    } else if (toggleId) {
+      const s = schedules.find((x) => x.id === toggleId);
+      if (!s) return;
+      scheduleRequest("/api/schedules/" + encodeURIComponent(toggleId), "PATCH", { enabled: !s.enabled })
+        .catch((err) => showScheduleMsg(err.message, true));
+    } else if (deleteId) {
+      const s = schedules.find((x) => x.id === deleteId);
+      if (!s || !confirm("删除定时任务「" + s.name + "」？")) return;
+      scheduleRequest("/api/schedules/" + encodeURIComponent(deleteId), "DELETE")
+        .then(() => {
+          if (document.getElementById("schedule-id").value === deleteId) fillScheduleForm(null);
+        })
+        .catch((err) => showScheduleMsg(err.message, true));
+    }
+  });
+
+  // --- 任务通知 ---
+  const NOTIFY_TYPE_LABELS = { webhook: "Webhook", command: "命令", email: "邮件" };
+  const NOTIFY_EVENT_LABELS = { success: "成功", failure: "失败", "deletion-limit": "删除数超限", test: "测试" };
+
+  function showNotifyMsg(msg, isError) {
+    const el = document.getElementById("notify-msg");
+    el.textContent = msg;
+    el.className = "config-msg" + (isError ? " error" : "");
+  }
+
+  function renderNotifications(data) {
+    const list = document.getElementById("notify-channel-list");
+    list.innerHTML = data.channels.length
+      ? data.channels
+          .map((ch) => {
+            const events = ch.events.map((e) => NOTIFY_EVENT_LABELS[e] || e).join("、") || "不订阅任何事件";
+            const signed = ch.signed ? " · 已签名" : "";
+            return `<li class="schedule-item${ch.enabled ? "" : " disabled"}">
+                <div class="schedule-info">
+                  <strong>${escapeHtml(ch.name)}</strong> · ${NOTIFY_TYPE_LABELS[ch.type] || escapeHtml(ch.type)}
+                  <div class="schedule-meta"><code>${escapeHtml(ch.target)}</code>${signed}</div>
+                  <div class="schedule-meta">${ch.enabled ? "通知：" + events : "已停用"}</div>
+                </div>
+                <div class="schedule-actions">
+                  <button type="button" class="btn btn-secondary btn-small" data-test="${escapeHtml(ch.name)}">测试</button>
+                </div>
+              </li>`;
+          })
+          .join("")
+      : '<li class="schedule-empty">尚未配置通知渠道</li>';
+    const errors = document.getElementById("notify-errors");
+    errors.innerHTML = data.errors.map((e) => `<li>${escapeHtml(e)}</li>`).join("");
+    errors.classList.toggle("hidden", data.errors.length === 0);
+    document.getElementById("btn-notify-test").disabled = data.channels.length === 0;
+
+    const tbody = document.getElementById("notify-log-tbody");
+    tbody.innerHTML = data.deliveries
+      .map(
+        (d) => `<tr>
+          <td>${fmtDate(d.at)}</td>
+          <td>${escapeHtml(d.channel)}</td>
+          <td>${NOTIFY_EVENT_LABELS[d.event] || escapeHtml(d.event)}</td>
+          <td>${d.attempt}</td>
+          <td><span class="log-result ${d.ok ? "success" : "fail"}">${d.ok ? "成功" : "失败"}</span> ${escapeHtml(d.ok ? d.detail || "" : d.error || "")}</td>
+        </tr>`
+      )
+      .join("");
+    document.getElementById("notify-log-empty").classList.toggle("hidden", data.deliveries.length > 0);
+  }
+
+  function loadNotifications() {
+    return api("/api/notifications")
+      .then((r) => r.json())
+      .then((data) => {
+        if (data.error) throw new Error(data.error);
+        renderNotifications(data);
+      })
+      .catch((e) => showNotifyMsg("读取通知设置失败: " + e.message, true));
+  }
+
+  function testNotification(channel) {
+    showNotifyMsg("发送中…");
+    api("/api/notifications/test", { method: "POST", body: JSON.stringify(channel ? { channel } : {}) })
+      .then((r) => r.json())
+      .then((res) => {
+        if (res.error) throw new Error(res.error);
+        const failed = res.results.filter((r) => !r.ok);
+        showNotifyMsg(
+          failed.length ? failed.map((r) => r.channel + "：" + r.error).join("；") : "测试通知已发送",
+          failed.length > 0
+        );
+      })
+      .catch((e) => showNotifyMsg("发送失败: " + e.message, true))
+      .finally(loadNotifications);
+  }
+
+  document.getElementById("btn-notify-test").addEventListener("click", () => testNotification());
+  document.getElementById("notify-channel-list").addEventListener("click", (e) => {
+    const name = e.target.getAttribute("data-test");
+    if (name) testNotification(name);
+  });
+
   function saveConfig() {
     const obsidianDir = document.getElementById("config-obsidian").value.trim();
     const quartzContentDir = document.getElementById("config-quartz").value.trim();
@@ -179,8 +803,11 @@
     })
       .then((r) => r.json().then((res) => ({ ok: r.ok, ...res })))
       .then((res) => {
-        if (!res.ok && res.error) showConfigMsg(res.error, true);
-        else {
+        if (!res.ok && res.error) {
+          renderPathErrors(res.errors || [res.error]);
+          showConfigMsg("路径未保存", true);
+        } else {
+          renderPathErrors([]);
           showConfigMsg("配置已保存");
           refreshStatus();
         }
@@ -211,9 +838,6 @@
   document.getElementById("btn-pick-obsidian").addEventListener("click", () => pickDir("obsidian"));
   document.getElementById("btn-pick-quartz").addEventListener("click", () => pickDir("quartz"));
 
-  const cronSelect = document.getElementById("config-cron-hour");
-  if (cronSelect) cronSelect.addEventListener("change", saveCronConfig);
-
   function switchTab(tabKey) {
     document.querySelectorAll(".tab").forEach((t) => {
       const isActive = t.getAttribute("data-tab") === tabKey;
@@ -222,25 +846,216 @@
     });
     document.querySelectorAll(".tab-panel").forEach((p) => {
       const id = p.id;
-      const isActive = (id === "panel-ops" && tabKey === "ops") || (id === "panel-config" && tabKey === "config") || (id === "panel-logs" && tabKey === "logs");
-      p.classList.toggle("active", isActive);
+      p.classList.toggle("active", id === "panel-" + tabKey);
     });
     if (tabKey === "logs") refreshLogs();
+    if (tabKey === "publishes") refreshPublishes();
+    if (tabKey === "config") loadNotifications();
+    if (tabKey === "check") runCheck();
+  }
+
+  // --- 内容检查 ---
+  const CHECK_TYPE_LABELS = {
+    "missing-asset": "图片 / 附件不存在",
+    "dead-link": "内部链接失效",
+    "missing-output": "同步记录中的文件缺失",
+    frontmatter: "frontmatter 无效",
+    orphan: "不在同步记录中的文件",
+  };
+  let checkReport = null;
+
+  function showCheckMsg(msg, isError) {
+    const el = document.getElementById("check-msg");
+    el.textContent = msg;
+    el.className = "config-msg" + (isError ? " error" : "");
+    if (msg && !isError) setTimeout(() => { el.textContent = ""; el.className = "config-msg"; }, 3000);
   }
 
+  function runCheck() {
+    const btn = document.getElementById("btn-check-run");
+    const summary = document.getElementById("check-summary");
+    btn.disabled = true;
+    summary.textContent = "正在检查…";
+    summary.className = "check-summary";
+    api("/api/check")
+      .then((r) => r.json())
+      .then((data) => {
+        if (!data.ok) throw new Error(data.error);
+        checkReport = data;
+        document.getElementById("check-block-publish").checked = data.blockOnCheckErrors;
+        summary.textContent = `${fmtDate(data.checkedAt)} 检查了 ${data.notes} 篇笔记、${data.files} 个文件：` +
+          `${data.errors} 个错误，${data.warnings} 个警告` +
+          (data.errors && data.blockOnCheckErrors ? "，修正错误前无法发布" : "") +
+          (data.truncated ? `（仅列出前 ${data.issues.length} 个问题）` : "");
+        summary.className = "check-summary" + (data.errors ? " fail" : "");
+        renderCheckIssues();
+      })
+      .catch((err) => {
+        checkReport = null;
+        summary.textContent = "检查失败: " + err.message;
+        summary.className = "check-summary fail";
+        renderCheckIssues();
+      })
+      .finally(() => { btn.disabled = false; });
+  }
+
+  function renderCheckIssues() {
+    const tbody = document.getElementById("check-tbody");
+    const emptyEl = document.getElementById("check-empty");
+    const severity = document.getElementById("check-filter-severity").value;
+    const type = document.getElementById("check-filter-type").value;
+    const issues = (checkReport ? checkReport.issues : [])
+      .filter((i) => (!severity || i.severity === severity) && (!type || i.type === type));
+    emptyEl.textContent = !checkReport ? "暂无检查结果" : checkReport.issues.length ? "没有符合筛选条件的问题" : "没有发现问题";
+    emptyEl.classList.toggle("hidden", issues.length > 0);
+    tbody.innerHTML = issues
+      .map((i) => `<tr>
+          <td class="check-severity ${i.severity}">${i.severity === "error" ? "错误" : "警告"}</td>
+          <td>${escapeHtml(CHECK_TYPE_LABELS[i.type] || i.type)}</td>
+          <td class="check-file">${escapeHtml(i.file + (i.line ? ":" + i.line : ""))}</td>
+          <td>${escapeHtml(i.message)}</td>
+        </tr>`)
+      .join("");
+  }
+
+  document.getElementById("btn-check-run").addEventListener("click", runCheck);
+  document.getElementById("check-filter-severity").addEventListener("change", renderCheckIssues);
+  document.getElementById("check-filter-type").addEventListener("change", renderCheckIssues);
+
+  document.getElementById("check-block-publish").addEventListener("change", (e) => {
+    const blockOnCheckErrors = e.target.checked;
+    api("/api/config", { method: "PATCH", body: JSON.stringify({ publish: { blockOnCheckErrors } }) })
+      .then((r) => r.json())
+      .then((res) => {
+        if (res.error) throw new Error(res.error);
+        e.target.checked = res.publish.blockOnCheckErrors;
+        showCheckMsg(blockOnCheckErrors ? "已开启：发布前检查有错误时中止发布" : "已关闭发布前检查");
+      })
+      .catch((err) => {
+        e.target.checked = !blockOnCheckErrors;
+        showCheckMsg("保存失败: " + err.message, true);
+      });
+  });
+
+  // --- 发布历史与回滚 ---
+  let publishes = [];
+
+  function fmtNoteChanges(notes) {
+    if (!notes) return "-";
+    const parts = [];
+    if (notes.added) parts.push("新增 " + notes.added);
+    if (notes.modified) parts.push("更新 " + notes.modified);
+    if (notes.deleted) parts.push("删除 " + notes.deleted);
+    return parts.join("，") || "无";
+  }
+
+  function refreshPublishes() {
+    const tbody = document.getElementById("publishes-tbody");
+    const emptyEl = document.getElementById("publishes-empty");
+    api("/api/publishes")
+      .then((r) => r.json())
+      .then((data) => {
+        publishes = data.publishes || [];
+        emptyEl.textContent = "暂无发布记录";
+        emptyEl.classList.toggle("hidden", publishes.length > 0);
+        tbody.innerHTML = publishes
+          .map((p) => {
+            const subject = p.rollbackOf
+              ? "回滚：" + (p.message || "").split("\n")[0]
+              : p.message ? p.message.split("\n")[0] : "（无新提交）";
+            const actions = p.snapshot
+              ? `<button type="button" class="btn btn-secondary btn-small" data-rollback="${escapeHtml(p.id)}">回滚</button>
+                 <button type="button" class="btn btn-secondary btn-small" data-rollback="${escapeHtml(p.id)}" data-republish="1">回滚并发布</button>`
+              : `<span class="publish-path">无快照</span>`;
+            return `<tr>
+                <td>${fmtDate(p.at)}</td>
+                <td><code>${escapeHtml(p.commit.slice(0, 8))}</code></td>
+                <td>${escapeHtml(p.remote + "/" + p.target)}</td>
+                <td>${fmtNoteChanges(p.notes)}</td>
+                <td class="log-summary">${escapeHtml(subject)}</td>
+                <td class="publish-actions">${actions}</td>
+              </tr>`;
+          })
+          .join("");
+      })
+      .catch(() => {
+        tbody.innerHTML = "";
+        emptyEl.textContent = "加载失败";
+        emptyEl.classList.remove("hidden");
+      });
+  }
+
+  document.getElementById("publishes-tbody").addEventListener("click", (e) => {
+    const id = e.target.getAttribute("data-rollback");
+    if (!id) return;
+    const record = publishes.find((p) => p.id === id);
+    if (!record) return;
+    const republish = e.target.hasAttribute("data-republish");
+    const tip = "将 content 目录恢复到 " + fmtDate(record.at) + " 的发布（" + record.commit.slice(0, 8) + "）" +
+      (republish ? "，并立即提交推送" : "，稍后可在主页发布") + "？";
+    if (!confirm(tip)) return;
+    api("/api/publishes/" + encodeURIComponent(id) + "/rollback", { method: "POST", body: JSON.stringify({ republish }) })
+      .then((r) => r.json())
+      .then((res) => {
+        if (res.error) throw new Error(res.error);
+        switchTab("ops");
+      })
+      .catch((err) => alert("回滚失败: " + err.message));
+  });
+
   document.querySelectorAll(".tab").forEach((t) => {
     t.addEventListener("click", () => switchTab(t.getAttribute("data-tab")));
   });
 
+  // 同步结果摘要，如「笔记 +2 ~1 -0，资源 +1 ~0 -0，警告 1」
+  function fmtSyncSummary(sync) {
+    if (!sync) return "-";
+    const count = (g) => `+${g.added.length} ~${g.updated.length} -${g.deleted.length}`;
+    const parts = [`笔记 ${count(sync.notes)}`, `资源 ${count(sync.assets)}`];
+    if (sync.warnings && sync.warnings.length) parts.push(`警告 ${sync.warnings.length}`);
+    return parts.join("，");
+  }
+
+  const LOG_TRIGGER_LABELS = { manual: "手动", watcher: "自动同步", cron: "定时", hook: "外部触发", cli: "命令行" };
+
+  // 定时任务或外部触发器的名称
+  function triggerSource(item) {
+    if (item.schedule) return "「" + item.schedule.name + "」";
+    if (item.hook) return "「" + item.hook.name + "」";
+    return "";
+  }
+  const LOGS_PAGE_SIZE = 20;
+  let logsPage = 1;
+
+  function fmtDuration(ms) {
+    if (ms == null) return "-";
+    return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+  }
+
+  function logsQuery() {
+    const params = new URLSearchParams({ page: logsPage, pageSize: LOGS_PAGE_SIZE });
+    [["type", "logs-filter-type"], ["trigger", "logs-filter-trigger"], ["result", "logs-filter-result"], ["q", "logs-filter-q"]]
+      .forEach(([key, id]) => {
+        const v = document.getElementById(id).value.trim();
+        if (v) params.set(key, v);
+      });
+    return params.toString();
+  }
+
   function refreshLogs() {
-    api("/api/logs")
+    api("/api/logs?" + logsQuery())
       .then((r) => r.json())
       .then((data) => {
         const tbody = document.getElementById("logs-tbody");
         const emptyEl = document.getElementById("logs-empty");
         const logs = data.logs || [];
+        const pages = Math.max(1, Math.ceil((data.total || 0) / LOGS_PAGE_SIZE));
+        document.getElementById("logs-page-info").textContent = `第 ${logsPage} / ${pages} 页，共 ${data.total || 0} 条`;
+        document.getElementById("logs-prev").disabled = logsPage <= 1;
+        document.getElementById("logs-next").disabled = logsPage >= pages;
         if (logs.length === 0) {
           tbody.innerHTML = "";
+          emptyEl.textContent = "暂无记录";
           emptyEl.classList.remove("hidden");
           return;
         }
@@ -248,10 +1063,13 @@
         tbody.innerHTML = logs
           .map(
             (log) =>
-              `<tr>
-                <td>${LOG_TYPE_LABELS[log.type] || log.type}</td>
+              `<tr class="log-row" data-id="${escapeHtml(log.id)}">
+                <td>${LOG_TYPE_LABELS[log.type] || escapeHtml(log.type)}</td>
+                <td>${LOG_TRIGGER_LABELS[log.trigger] || escapeHtml(log.trigger || "-")}${escapeHtml(triggerSource(log))}</td>
                 <td>${fmtDate(log.at)}</td>
+                <td>${fmtDuration(log.durationMs)}</td>
                 <td class="log-result ${log.result}">${LOG_RESULT_LABELS[log.result] || log.result}</td>
+                <td class="log-summary">${escapeHtml(log.result === "fail" ? log.error || "" : fmtSyncSummary(log.sync))}</td>
               </tr>`
           )
           .join("");
@@ -265,8 +1083,237 @@
       });
   }
 
-  loadConfig();
-  refreshStatus();
-  setInterval(refreshStatus, 3000);
-  setInterval(refreshLogs, 3000);
+  function renderSyncFiles(sync) {
+    if (!sync) return "";
+    const groups = [
+      ["新增笔记", sync.notes.added],
+      ["更新笔记", sync.notes.updated],
+      ["删除笔记", sync.notes.deleted],
+      ["新增资源", sync.assets.added],
+      ["更新资源", sync.assets.updated],
+      ["删除资源", sync.assets.deleted],
+      ["警告", sync.warnings || []],
+    ];
+    return groups
+      .filter(([, list]) => list.length > 0)
+      .map(([label, list]) =>
+        `<div class="plan-group"><h3>${label}（${list.length}）</h3><ul>${list.map((f) => `<li>${escapeHtml(f)}</li>`).join("")}</ul></div>`
+      )
+      .join("");
+  }
+
+  function openLogDetail(id) {
+    api("/api/logs/" + encodeURIComponent(id))
+      .then((r) => r.json().then((body) => {
+        if (!r.ok) throw new Error(body.error || r.statusText);
+        return body;
+      }))
+      .then((log) => {
+        const meta = [
+          ["操作类型", LOG_TYPE_LABELS[log.type] || log.type],
+          ["触发方式", (LOG_TRIGGER_LABELS[log.trigger] || log.trigger || "-") + triggerSource(log)],
+          ["开始时间", new Date(log.at).toLocaleString("zh-CN")],
+          ["结束时间", log.finishedAt ? new Date(log.finishedAt).toLocaleString("zh-CN") : "-"],
+          ["用时", fmtDuration(log.durationMs)],
+          ["操作结果", LOG_RESULT_LABELS[log.result] || log.result],
+        ];
+        if (log.error) meta.push(["错误", log.error]);
+        if (log.sync && log.sync.mode) {
+          meta.push(["同步方式", log.sync.mode === "incremental" ? "增量（重新处理 " + log.sync.rendered + " 篇笔记）" : "完整"]);
+        }
+        if (log.rollback) {
+          meta.push(["回滚到", log.rollback.commit.slice(0, 8) + (log.rollback.republished ? "（已发布）" : "（未发布）")]);
+        }
+        if (log.publish) {
+          meta.push(["推送到", log.publish.remote + "/" + log.publish.target]);
+          meta.push(["提交", log.publish.commit ? log.publish.commit.slice(0, 8) + " " + log.publish.message.split("\n")[0] : "无新提交"]);
+          if (log.publish.compareUrl) meta.push(["Pull Request", log.publish.compareUrl]);
+        }
+        document.getElementById("log-drawer-meta").innerHTML = meta
+          .map(([k, v]) => `<dt>${k}</dt><dd>${escapeHtml(v)}</dd>`)
+          .join("");
+        document.getElementById("log-drawer-sync").innerHTML = renderSyncFiles(log.sync);
+        const out = document.getElementById("log-drawer-output");
+        out.innerHTML = "";
+        (log.output || []).forEach((o) => {
+          const line = document.createElement("span");
+          line.className = "console-line " + o.stream;
+          line.textContent = o.line + "\n";
+          out.appendChild(line);
+        });
+        if (!out.childNodes.length) out.textContent = "（无输出）";
+        document.getElementById("log-drawer").classList.remove("hidden");
+      })
+      .catch((e) => setError(null, "加载日志详情失败: " + e.message));
+  }
+
+  document.getElementById("logs-tbody").addEventListener("click", (e) => {
+    const row = e.target.closest(".log-row");
+    if (row) openLogDetail(row.getAttribute("data-id"));
+  });
+  document.getElementById("log-drawer-close").addEventListener("click", () => {
+    document.getElementById("log-drawer").classList.add("hidden");
+  });
+  document.getElementById("logs-prev").addEventListener("click", () => {
+    logsPage = Math.max(1, logsPage - 1);
+    refreshLogs();
+  });
+  document.getElementById("logs-next").addEventListener("click", () => {
+    logsPage += 1;
+    refreshLogs();
+  });
+  ["logs-filter-type", "logs-filter-trigger", "logs-filter-result"].forEach((id) =>
+    document.getElementById(id).addEventListener("change", () => {
+      logsPage = 1;
+      refreshLogs();
+    })
+  );
+  let logsSearchTimer = null;
+  document.getElementById("logs-filter-q").addEventListener("input", () => {
+    clearTimeout(logsSearchTimer);
+    logsSearchTimer = setTimeout(() => {
+      logsPage = 1;
+      refreshLogs();
+    }, 300);
+  });
+
+  // --- 登录 ---
+  function showLogin() {
+    document.getElementById("app").classList.add("hidden");
+    document.getElementById("login-screen").classList.remove("hidden");
+    document.getElementById("login-secret").focus();
+  }
+
+  document.getElementById("login-form").addEventListener("submit", (e) => {
+    e.preventDefault();
+    const btn = document.getElementById("btn-login");
+    const msg = document.getElementById("login-msg");
+    btn.disabled = true;
+    msg.textContent = "";
+    api("/api/auth/login", { method: "POST", body: JSON.stringify({ secret: document.getElementById("login-secret").value }) })
+      .then((r) => r.json())
+      .then((res) => {
+        if (!res.authenticated) throw new Error(res.error || "登录失败");
+        // 重新加载以建立事件流并载入全部数据
+        location.reload();
+      })
+      .catch((err) => {
+        msg.textContent = err.message;
+        btn.disabled = false;
+      });
+  });
+
+  document.getElementById("btn-logout").addEventListener("click", () => {
+    api("/api/auth/logout", { method: "POST" }).finally(() => location.reload());
+  });
+
+  // --- 配置方案 ---
+  function loadProfiles() {
+    return api("/api/profiles")
+      .then((r) => r.json())
+      .then((res) => {
+        profiles = res.profiles || [];
+        // 本地记住的方案已被删除时改用默认方案
+        if (!profiles.some((p) => p.id === currentProfile)) {
+          const def = profiles.find((p) => p.isDefault) || profiles[0];
+          currentProfile = def ? def.id : "";
+        }
+        const select = document.getElementById("profile-select");
+        select.innerHTML = profiles
+          .map((p) => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}${p.isDefault ? "（默认）" : ""}</option>`)
+          .join("");
+        select.value = currentProfile;
+        // 只有一个方案时不显示切换器
+        document.getElementById("profile-switcher").classList.toggle("hidden", profiles.length < 2);
+        document.getElementById("btn-delete-profile").disabled = profiles.length < 2;
+      });
+  }
+
+  function switchProfile(id) {
+    currentProfile = id;
+    localStorage.setItem(PROFILE_STORAGE_KEY, id);
+    document.getElementById("profile-select").value = id;
+    hidePlan();
+    setError(null, null);
+    document.getElementById("task-console").innerHTML = "";
+    document.getElementById("task-console-wrap").classList.add("hidden");
+    logsPage = 1;
+    loadConfig();
+    loadNotifications();
+    refreshPublishes();
+    if (document.getElementById("panel-check").classList.contains("active")) runCheck();
+    if (window.EventSource) connectEvents();
+    else refreshStatus();
+  }
+
+  document.getElementById("profile-select").addEventListener("change", (e) => switchProfile(e.target.value));
+
+  function showProfileMsg(msg, isError) {
+    const el = document.getElementById("profile-msg");
+    el.textContent = msg;
+    el.className = "config-msg" + (isError ? " error" : "");
+    if (msg && !isError) setTimeout(() => { el.textContent = ""; el.className = "config-msg"; }, 3000);
+  }
+
+  document.getElementById("btn-add-profile").addEventListener("click", () => {
+    const value = (id) => document.getElementById(id).value.trim();
+    const body = {
+      id: value("profile-id"),
+      name: value("profile-name"),
+      obsidianDir: value("profile-obsidian"),
+      quartzContentDir: value("profile-quartz"),
+    };
+    api("/api/profiles", { method: "POST", body: JSON.stringify(body) })
+      .then((r) => r.json())
+      .then((res) => {
+        if (res.error) return showProfileMsg(res.error, true);
+        ["profile-id", "profile-name", "profile-obsidian", "profile-quartz"].forEach((id) => {
+          document.getElementById(id).value = "";
+        });
+        showProfileMsg("已新增配置方案「" + res.profile.name + "」");
+        return loadProfiles().then(() => switchProfile(res.profile.id));
+      })
+      .catch((e) => showProfileMsg("新增失败: " + e.message, true));
+  });
+
+  document.getElementById("btn-delete-profile").addEventListener("click", () => {
+    const name = profileName(currentProfile);
+    if (!confirm("删除配置方案「" + name + "」？其监听与定时任务会停止，已同步到 Quartz 的内容与同步记录保留。")) return;
+    api("/api/profiles/" + encodeURIComponent(currentProfile), { method: "DELETE" })
+      .then((r) => r.json())
+      .then((res) => {
+        if (res.error) return showProfileMsg(res.error, true);
+        showProfileMsg("已删除配置方案「" + name + "」");
+        return loadProfiles().then(() => switchProfile(currentProfile));
+      })
+      .catch((e) => showProfileMsg("删除失败: " + e.message, true));
+  });
+
+  function start() {
+    document.getElementById("quartz-preview").src = QUARTZ_PREVIEW_BASE;
+    loadProfiles()
+      .catch((e) => setError(null, "读取配置方案失败: " + e.message))
+      .then(() => {
+        loadConfig();
+        loadNotifications();
+        if (window.EventSource) {
+          connectEvents();
+        } else {
+          refreshStatus();
+          loadPreview();
+          setInterval(refreshStatus, 3000);
+          setInterval(loadPreview, 3000);
+        }
+      });
+  }
+
+  api("/api/auth/session")
+    .then((r) => r.json())
+    .then((session) => {
+      if (!session.authenticated) return showLogin();
+      csrfToken = session.csrfToken;
+      document.getElementById("btn-logout").classList.toggle("hidden", !session.authRequired);
+      start();
+    })
+    .catch((e) => setError(null, "连接面板失败: " + e.message));
 })();
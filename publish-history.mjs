@@ -0,0 +1,89 @@
+/**
+ * 发布历史
+ * 每次发布成功后记录推送的 Quartz 提交，并保存当时的同步 manifest 快照，供回滚使用。
+ * 每个配置方案各有一份（见 profiles.mjs 的 profileFiles）：记录保存在 publishHistory（最新的在前），
+ * 快照保存在 snapshots/<id>.json。
+ */
+
+import fs from "fs/promises";
+import path from "path";
+
+// 最多保留的发布记录数，超出的记录连同快照一并删除
+export const MAX_PUBLISH_RECORDS = 30;
+
+/** @typedef {{ manifest: string, publishHistory: string, snapshots: string }} PublishFiles */
+
+function snapshotPath(files, id) {
+  return path.join(files.snapshots, `${id}.json`);
+}
+
+// 尚未发布过时没有记录文件；文件损坏时抛出异常，避免写入新记录时覆盖原有的记录
+async function readRecords(files) {
+  let text;
+  try {
+    text = await fs.readFile(files.publishHistory, "utf-8");
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+  const records = JSON.parse(text);
+  if (!Array.isArray(records)) throw new Error(`发布历史格式不正确: ${files.publishHistory}`);
+  return records;
+}
+
+// 写入串行执行，避免并发发布时互相覆盖
+let writeQueue = Promise.resolve();
+
+/**
+ * 记录一次发布，并复制 manifest 作为快照。
+ * @param {PublishFiles} files - 所属配置方案的文件
+ * @param {{ commit: string, newCommit: boolean, message: string | null, remote: string, target: string, notes: object, files: number, trigger?: string, rollbackOf?: string }} record
+ * @returns {Promise<object>} 保存的记录（含 id、at、snapshot）
+ */
+export function recordPublish(files, record) {
+  const saved = { id: `${Date.now().toString(36)}-${record.commit.slice(0, 8)}`, at: new Date().toISOString(), ...record, snapshot: false };
+  const task = writeQueue.then(async () => {
+    const existing = await readRecords(files);
+    await fs.mkdir(files.snapshots, { recursive: true });
+    try {
+      await fs.copyFile(files.manifest, snapshotPath(files, saved.id));
+      saved.snapshot = true;
+    } catch (e) {
+      // 从未同步过时没有 manifest
+      if (e.code !== "ENOENT") throw e;
+    }
+    const records = [saved, ...existing];
+    for (const old of records.splice(MAX_PUBLISH_RECORDS)) {
+      await fs.rm(snapshotPath(files, old.id), { force: true });
+    }
+    await fs.writeFile(files.publishHistory, JSON.stringify(records, null, 2), "utf-8");
+    return saved;
+  });
+  writeQueue = task.catch(() => {});
+  return task;
+}
+
+/** 全部发布记录，最新的在前 */
+export async function listPublishes(files) {
+  await writeQueue;
+  return readRecords(files);
+}
+
+/** 按 id 读取发布记录，不存在时返回 null */
+export async function getPublish(files, id) {
+  return (await listPublishes(files)).find((r) => r.id === id) ?? null;
+}
+
+/**
+ * 用发布时的快照覆盖 manifest。
+ * @returns {Promise<boolean>} 该发布没有快照时返回 false，manifest 保持不变
+ */
+export async function restoreSnapshot(files, id) {
+  try {
+    await fs.copyFile(snapshotPath(files, id), files.manifest);
+    return true;
+  } catch (e) {
+    if (e.code === "ENOENT") return false;
+    throw e;
+  }
+}
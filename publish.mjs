@@ -0,0 +1,311 @@
+/**
+ * 发布：在 Quartz 仓库中提交并推送
+ * 发布前可预览 git 变更（按笔记标题汇总 content/ 下的改动），提交信息按模板生成，可改为推送到预发布分支。
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { spawn } from "child_process";
+import { parseFrontmatter } from "./frontmatter.mjs";
+
+export const DEFAULT_PUBLISH_SETTINGS = {
+  // 推送到的远程仓库
+  remote: "origin",
+  // 非空时推送到该分支（如 staging），不直接更新当前分支对应的远程分支，可再向默认分支发起 PR
+  stagingBranch: "",
+  // 提交信息模板，占位符见 renderCommitMessage
+  commitMessage: "发布 {count} 篇笔记（{date}）\n\n{list}",
+  // 为 true 时发布前运行内容检查（见 check.mjs），有错误则中止发布
+  blockOnCheckErrors: false,
+};
+
+/** 规整 config.json 中的 publish，缺省项使用默认值 */
+export function normalizePublishSettings(settings) {
+  const s = settings && typeof settings === "object" ? settings : {};
+  const str = (v, fallback) => (typeof v === "string" && v.trim() ? v.trim() : fallback);
+  return {
+    remote: str(s.remote, DEFAULT_PUBLISH_SETTINGS.remote),
+    stagingBranch: str(s.stagingBranch, ""),
+    commitMessage: str(s.commitMessage, DEFAULT_PUBLISH_SETTINGS.commitMessage),
+    blockOnCheckErrors: s.blockOnCheckErrors === true,
+  };
+}
+
+/**
+ * 在 cwd 中执行 git，逐行回调输出；非 0 退出时以 stderr 作为错误信息抛出。
+ * @param {string[]} args
+ * @param {{ cwd: string, signal?: AbortSignal, onOutput?: (stream: 'stdout'|'stderr', line: string) => void, allowFail?: boolean }} opts
+ *   allowFail 为 true 时不抛错，返回 { code, stdout }
+ */
+function git(args, { cwd, signal, onOutput, allowFail = false }) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const proc = spawn("git", args, { cwd, stdio: ["ignore", "pipe", "pipe"] });
+    const onAbort = () => proc.kill("SIGTERM");
+    signal?.addEventListener("abort", onAbort, { once: true });
+    const chunks = { stdout: "", stderr: "" };
+    const rest = { stdout: "", stderr: "" };
+    const emit = (stream, text, final) => {
+      if (!onOutput) return;
+      const lines = (rest[stream] + text).split(/\r\n|\r|\n/);
+      rest[stream] = final ? "" : lines.pop();
+      lines.filter((l) => l.trim()).forEach((l) => onOutput(stream, l));
+    };
+    for (const stream of ["stdout", "stderr"]) {
+      proc[stream].on("data", (d) => {
+        chunks[stream] += d.toString();
+        emit(stream, d.toString(), false);
+      });
+    }
+    proc.on("error", (e) => {
+      signal?.removeEventListener("abort", onAbort);
+      reject(e.code === "ENOENT" ? new Error("未找到 git 命令，请先安装 Git") : e);
+    });
+    proc.on("close", (code) => {
+      signal?.removeEventListener("abort", onAbort);
+      emit("stdout", "", true);
+      emit("stderr", "", true);
+      if (signal?.aborted) return reject(signal.reason);
+      if (code === 0 || allowFail) return resolve({ code, stdout: chunks.stdout });
+      reject(new Error(chunks.stderr.trim() || chunks.stdout.trim() || `git ${args[0]} 退出码 ${code}`));
+    });
+  });
+}
+
+function toPosix(p) {
+  return p.split(path.sep).join("/");
+}
+
+// git status --porcelain 的 XY 状态 → added / modified / deleted
+function statusKind(xy) {
+  if (xy === "??" || xy[0] === "A") return "added";
+  if (xy.includes("D")) return "deleted";
+  return "modified";
+}
+
+async function noteTitle(absPath, fallback) {
+  try {
+    const { data } = parseFrontmatter(await fs.readFile(absPath, "utf-8"));
+    if (data && typeof data.title === "string" && data.title.trim()) return data.title.trim();
+  } catch {
+    // 已删除或无法读取时使用文件名
+  }
+  return fallback;
+}
+
+/** 解析 GitHub 远程地址，返回 https://github.com/owner/repo；不是 GitHub 时返回 null */
+function githubRepoUrl(remoteUrl) {
+  const m = remoteUrl.trim().match(/github\.com[:/]([^/]+)\/([^/]+?)(?:\.git)?\/?$/);
+  return m ? `https://github.com/${m[1]}/${m[2]}` : null;
+}
+
+async function revParse(cwd, rev) {
+  return (await git(["rev-parse", rev], { cwd })).stdout.trim();
+}
+
+/**
+ * 读取 Quartz 仓库的待发布变更。
+ * @param {string} quartzDir - Quartz 仓库目录
+ * @param {string} quartzContentDir - content 目录，其中的 md 视为笔记
+ * @param {ReturnType<typeof normalizePublishSettings>} settings
+ */
+export async function getPublishPreview(quartzDir, quartzContentDir, settings) {
+  const opts = { cwd: quartzDir };
+  const probe = await git(["rev-parse", "--show-toplevel"], { ...opts, allowFail: true });
+  if (probe.code !== 0) throw new Error(`Quartz 目录不是 Git 仓库: ${quartzDir}`);
+  const repoRoot = probe.stdout.trim();
+
+  const head = await git(["symbolic-ref", "--quiet", "--short", "HEAD"], { ...opts, allowFail: true });
+  if (head.code !== 0) throw new Error("Quartz 仓库处于分离 HEAD 状态，请先切换到分支");
+  const branch = head.stdout.trim();
+  const target = settings.stagingBranch || branch;
+  const hasHead = (await git(["rev-parse", "--verify", "--quiet", "HEAD"], { ...opts, allowFail: true })).code === 0;
+
+  // 路径均相对仓库根目录
+  const status = await git(["status", "--porcelain=v1", "-z", "--untracked-files=all", "--no-renames"], opts);
+  const entries = status.stdout.split("\0").filter(Boolean);
+  const stats = new Map();
+  if (hasHead) {
+    const numstat = await git(["diff", "HEAD", "--numstat", "-z", "--no-renames"], opts);
+    for (const item of numstat.stdout.split("\0").filter(Boolean)) {
+      const [ins, del, file] = item.split("\t");
+      // 二进制文件为 "-"
+      stats.set(file, { insertions: ins === "-" ? null : Number(ins), deletions: del === "-" ? null : Number(del) });
+    }
+  }
+
+  let contentPrefix = toPosix(path.relative(await fs.realpath(repoRoot), await fs.realpath(quartzContentDir).catch(() => quartzContentDir)));
+  if (contentPrefix) contentPrefix += "/";
+  const files = [];
+  for (const entry of entries) {
+    const xy = entry.slice(0, 2);
+    const file = entry.slice(3);
+    const kind = statusKind(xy);
+    const isNote = file.startsWith(contentPrefix) && file.endsWith(".md");
+    const item = { path: file, status: kind, isNote, ...(stats.get(file) || { insertions: null, deletions: null }) };
+    if (isNote) {
+      const fallback = path.posix.basename(file, ".md");
+      item.title = kind === "deleted" ? fallback : await noteTitle(path.join(repoRoot, file), fallback);
+    }
+    files.push(item);
+  }
+
+  const upstream = `refs/remotes/${settings.remote}/${target}`;
+  const ahead = hasHead && (await git(["rev-parse", "--verify", "--quiet", upstream], { ...opts, allowFail: true })).code === 0
+    ? Number((await git(["rev-list", "--count", `${upstream}..HEAD`], opts)).stdout.trim())
+    : null;
+  const remoteUrl = await git(["remote", "get-url", settings.remote], { ...opts, allowFail: true });
+
+  return {
+    repoRoot,
+    contentDir: contentPrefix.replace(/\/$/, ""),
+    branch,
+    remote: settings.remote,
+    remoteUrl: remoteUrl.code === 0 ? remoteUrl.stdout.trim() : null,
+    target,
+    staging: !!settings.stagingBranch,
+    // 远程跟踪分支之后的本地提交数；未知（从未推送或未 fetch）时为 null
+    ahead,
+    files,
+    notes: {
+      added: files.filter((f) => f.isNote && f.status === "added").length,
+      modified: files.filter((f) => f.isNote && f.status === "modified").length,
+      deleted: files.filter((f) => f.isNote && f.status === "deleted").length,
+    },
+  };
+}
+
+const MAX_TITLES = 10;
+const STATUS_LABELS = { added: "新增", modified: "更新", deleted: "删除" };
+
+function formatDate(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * 按模板生成提交信息。占位符：
+ * {date} 发布时间；{count} 变更笔记数；{added} / {modified} / {deleted} 各类笔记数；
+ * {titles} 笔记标题（顿号分隔，最多 10 个）；{list} 每行一篇「- 新增：标题」；{files} 变更文件总数
+ */
+export function renderCommitMessage(template, preview, date = new Date()) {
+  const notes = preview.files.filter((f) => f.isNote);
+  const titles = notes.slice(0, MAX_TITLES).map((f) => f.title).join("、") +
+    (notes.length > MAX_TITLES ? ` 等 ${notes.length} 篇` : "");
+  const values = {
+    date: formatDate(date),
+    count: notes.length,
+    added: preview.notes.added,
+    modified: preview.notes.modified,
+    deleted: preview.notes.deleted,
+    titles,
+    list: notes.map((f) => `- ${STATUS_LABELS[f.status]}：${f.title}`).join("\n"),
+    files: preview.files.length,
+  };
+  const message = template.replace(/\{(\w+)\}/g, (m, key) => (key in values ? String(values[key]) : m));
+  // 占位符为空时可能留下多余空行
+  return message.replace(/\n{3,}/g, "\n\n").trim() || `Quartz sync: ${values.date}`;
+}
+
+/**
+ * 预发布：在本地的同名分支上提交，不移动当前分支，之后的正常发布不会把只属于预发布的提交推送到正式分支。
+ * 预发布提交的内容为当前工作区（含当前分支的全部提交）；当前分支不是预发布分支的祖先时将其作为第二个父提交，
+ * 这样预发布分支向当前分支发起的 PR 只包含工作区的变更。变更留在工作区（已暂存），正常发布时再提交到当前分支。
+ * @returns {Promise<{ commit: string | null, head: string }>} commit 为新建的提交，head 为要推送的提交
+ */
+async function commitStaging(quartzDir, preview, commitMessage, opts) {
+  const { onOutput } = opts;
+  const verify = async (ref) => {
+    const r = await git(["rev-parse", "--verify", "--quiet", `${ref}^{commit}`], { cwd: quartzDir, allowFail: true });
+    return r.code === 0 ? r.stdout.trim() : null;
+  };
+  const current = await verify("HEAD");
+  // 本地预发布分支不存在时从远程的同名分支继续，否则从当前分支开始
+  const base = (await verify(`refs/heads/${preview.target}`)) ?? (await verify(`refs/remotes/${preview.remote}/${preview.target}`)) ?? current;
+  if (!base) throw new Error("Quartz 仓库还没有任何提交，请先在当前分支完成一次发布");
+
+  await git(["add", "-A"], opts);
+  opts.signal?.throwIfAborted();
+  const tree = (await git(["write-tree"], { cwd: quartzDir })).stdout.trim();
+  const parents = [base];
+  if (base !== current && (await git(["merge-base", "--is-ancestor", current, base], { cwd: quartzDir, allowFail: true })).code !== 0) {
+    parents.push(current);
+  }
+  if (parents.length === 1 && tree === (await revParse(quartzDir, `${base}^{tree}`))) {
+    onOutput("stdout", "没有需要提交的变更");
+    await git(["update-ref", `refs/heads/${preview.target}`, base], { cwd: quartzDir });
+    return { commit: null, head: base };
+  }
+  const message = commitMessage || `合并 ${preview.branch} 到 ${preview.target}`;
+  onOutput("stdout", `在本地分支 ${preview.target} 上提交 ${preview.files.length} 个文件（笔记 ${preview.files.filter((f) => f.isNote).length} 篇）`);
+  const args = ["commit-tree", tree, ...parents.flatMap((p) => ["-p", p]), "-m", message];
+  const commit = (await git(args, { cwd: quartzDir })).stdout.trim();
+  await git(["update-ref", `refs/heads/${preview.target}`, commit], { cwd: quartzDir });
+  return { commit, head: commit };
+}
+
+/**
+ * 提交 Quartz 仓库中的全部变更并推送。没有变更时只推送尚未推送的提交。配置了预发布分支时见 commitStaging。
+ * @param {{ quartzDir: string, quartzContentDir: string, settings: ReturnType<typeof normalizePublishSettings>, message?: string, signal?: AbortSignal, onOutput?: (stream: 'stdout'|'stderr', line: string) => void }} options
+ *   message 为本次使用的提交信息模板，缺省时使用 settings.commitMessage
+ * @returns {Promise<{ commit: string | null, head: string, message: string | null, branch: string, target: string, remote: string, files: number, notes: { added: number, modified: number, deleted: number }, compareUrl: string | null }>}
+ *   commit 为本次新建的提交（没有变更时为 null）；head 为推送的提交
+ */
+export async function publish({ quartzDir, quartzContentDir, settings, message, signal, onOutput = () => {} }) {
+  const preview = await getPublishPreview(quartzDir, quartzContentDir, settings);
+  const opts = { cwd: quartzDir, signal, onOutput };
+  const commitMessage = preview.files.length > 0 ? renderCommitMessage(message?.trim() || settings.commitMessage, preview) : null;
+
+  let commit = null;
+  let head;
+  if (preview.staging) {
+    ({ commit, head } = await commitStaging(quartzDir, preview, commitMessage, opts));
+  } else {
+    if (commitMessage) {
+      onOutput("stdout", `提交 ${preview.files.length} 个文件（笔记 ${preview.files.filter((f) => f.isNote).length} 篇）`);
+      await git(["add", "-A"], opts);
+      signal?.throwIfAborted();
+      await git(["commit", "-m", commitMessage], opts);
+      commit = await revParse(quartzDir, "HEAD");
+    } else {
+      onOutput("stdout", "没有需要提交的变更");
+    }
+    head = commit ?? (await revParse(quartzDir, "HEAD"));
+  }
+
+  signal?.throwIfAborted();
+  onOutput("stdout", `推送到 ${preview.remote}/${preview.target}`);
+  await git(["push", preview.remote, `${head}:refs/heads/${preview.target}`], opts);
+
+  let compareUrl = null;
+  const repoUrl = preview.staging && preview.remoteUrl ? githubRepoUrl(preview.remoteUrl) : null;
+  if (repoUrl) {
+    compareUrl = `${repoUrl}/compare/${encodeURIComponent(preview.branch)}...${encodeURIComponent(preview.target)}?expand=1`;
+    onOutput("stdout", `创建 Pull Request：${compareUrl}`);
+  }
+  return {
+    commit,
+    head,
+    message: commitMessage,
+    branch: preview.branch,
+    target: preview.target,
+    remote: preview.remote,
+    files: preview.files.length,
+    notes: preview.notes,
+    compareUrl,
+  };
+}
+
+/**
+ * 将 content 目录恢复为某次提交时的内容（工作区与暂存区），此后发布即提交回滚结果。
+ * 该提交之后新增的已跟踪文件会被删除；未跟踪的文件保持不变。
+ * @param {{ quartzDir: string, quartzContentDir: string, commit: string, signal?: AbortSignal, onOutput?: (stream: 'stdout'|'stderr', line: string) => void }} options
+ */
+export async function restoreContent({ quartzDir, quartzContentDir, commit, signal, onOutput = () => {} }) {
+  const opts = { cwd: quartzDir, signal, onOutput };
+  const exists = await git(["cat-file", "-e", `${commit}^{commit}`], { cwd: quartzDir, allowFail: true });
+  if (exists.code !== 0) throw new Error(`Quartz 仓库中找不到提交 ${commit.slice(0, 8)}`);
+  const contentRel = toPosix(path.relative(quartzDir, quartzContentDir)) || ".";
+  onOutput("stdout", `将 ${contentRel}/ 恢复到提交 ${commit.slice(0, 8)}`);
+  await git(["restore", `--source=${commit}`, "--staged", "--worktree", "--", contentRel], opts);
+}
@@ -0,0 +1,137 @@
+/**
+ * 私密内容剔除
+ * 写入 Quartz 前删除笔记中的私密区域：%% 注释 %%、指定类型的 callout、指定语言的代码块、带指定标签的行。
+ */
+
+import { parseFrontmatter } from "./frontmatter.mjs";
+
+export const DEFAULT_REDACTION_RULES = {
+  // 删除 Obsidian 注释 %% ... %%（未闭合时删除到文末，与 Obsidian 一致）
+  comments: true,
+  // 删除这些类型的 callout，如 > [!private]（含嵌套在其它引用中的）
+  callouts: ["private"],
+  // 删除语言标记为这些值的围栏代码块，如 ```private
+  fences: ["private"],
+  // 删除带这些标签的整行，如 #private
+  tags: ["private"],
+};
+
+function toStringList(value) {
+  if (value == null) return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((v) => String(v).trim().replace(/^#/, "")).filter(Boolean);
+}
+
+/** 规整 config.json 中的 redaction，缺省项使用默认值；某项设为 false 或 [] 即关闭 */
+export function normalizeRedactionRules(rules) {
+  const r = rules && typeof rules === "object" ? rules : {};
+  const list = (key) => (r[key] === false ? [] : r[key] != null ? toStringList(r[key]) : [...DEFAULT_REDACTION_RULES[key]]);
+  return {
+    comments: typeof r.comments === "boolean" ? r.comments : DEFAULT_REDACTION_RULES.comments,
+    callouts: list("callouts"),
+    fences: list("fences"),
+    tags: list("tags"),
+  };
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// 围栏代码块与行内代码：其中的 %%、#tag 不是注释或标签
+const CODE_REGEX = /^(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:^\1[^\n]*$|(?![\s\S]))|`[^`\n]+`/gm;
+const CODE_TOKEN_REGEX = /\u0001(\d+)\u0001/g;
+const COMMENT_REGEX = /%%[\s\S]*?(?:%%|$(?![\s\S]))/g;
+
+function fenceRegex(langs) {
+  const alt = langs.map(escapeRegExp).join("|");
+  return new RegExp(`^(\`{3,}|~{3,})[ \\t]*(?:${alt})(?![\\w-])[^\\n]*\\n[\\s\\S]*?(?:^\\1[ \\t]*(?:\\n|$(?![\\s\\S]))|(?![\\s\\S]))`, "gim");
+}
+
+function calloutRegex(types) {
+  return new RegExp(`^((?:[ \\t]*>)+)[ \\t]*\\[!(?:${types.map(escapeRegExp).join("|")})\\][+-]?`, "i");
+}
+
+function tagRegex(tags) {
+  return new RegExp(`(?:^|\\s)#(?:${tags.map(escapeRegExp).join("|")})(?![\\p{L}\\p{N}_/-])`, "iu");
+}
+
+function quoteDepth(line) {
+  const m = line.match(/^((?:[ \t]*>)*)/);
+  return (m[1].match(/>/g) || []).length;
+}
+
+/**
+ * 删除正文中的私密区域，frontmatter 保持不变。
+ * @param {string} content - 整篇 md
+ * @param {ReturnType<typeof normalizeRedactionRules>} rules
+ * @returns {{ content: string, stats: { comments: number, callouts: number, fences: number, lines: number } }}
+ */
+export function redactPrivate(content, rules) {
+  const { body } = parseFrontmatter(content);
+  const head = content.slice(0, content.length - body.length);
+  const stats = { comments: 0, callouts: 0, fences: 0, lines: 0 };
+
+  let text = body;
+  if (rules.fences.length > 0) {
+    text = text.replace(fenceRegex(rules.fences), () => {
+      stats.fences++;
+      return "";
+    });
+  }
+  // 其余代码先换成占位符，处理完再代回；落在被删区域内的代码随之删除
+  const code = [];
+  text = text.replace(CODE_REGEX, (m) => `\u0001${code.push(m) - 1}\u0001`);
+  if (rules.comments) {
+    text = text.replace(COMMENT_REGEX, () => {
+      stats.comments++;
+      return "";
+    });
+  }
+  if (rules.callouts.length > 0 || rules.tags.length > 0) {
+    const callout = rules.callouts.length > 0 ? calloutRegex(rules.callouts) : null;
+    const tag = rules.tags.length > 0 ? tagRegex(rules.tags) : null;
+    const kept = [];
+    let skipDepth = 0;
+    for (const line of text.split("\n")) {
+      if (skipDepth > 0) {
+        if (quoteDepth(line) >= skipDepth) continue;
+        skipDepth = 0;
+      }
+      const m = callout && line.match(callout);
+      if (m) {
+        stats.callouts++;
+        skipDepth = (m[1].match(/>/g) || []).length;
+        continue;
+      }
+      if (tag && tag.test(line.replace(CODE_TOKEN_REGEX, ""))) {
+        stats.lines++;
+        continue;
+      }
+      kept.push(line);
+    }
+    text = kept.join("\n");
+  }
+  text = text.replace(CODE_TOKEN_REGEX, (_, i) => code[Number(i)]);
+  return { content: head + text, stats };
+}
+
+/**
+ * 安全检查：返回输出内容中仍残留的私密标记（代码中的内容除外），为空表示通过。
+ * @returns {string[]}
+ */
+export function findRedactionLeaks(content, rules) {
+  const leaks = [];
+  const { body } = parseFrontmatter(content);
+  if (rules.fences.length > 0) {
+    const fence = new RegExp(`^(?:\`{3,}|~{3,})[ \\t]*(?:${rules.fences.map(escapeRegExp).join("|")})(?![\\w-])`, "im");
+    if (fence.test(body)) leaks.push("fence");
+  }
+  const text = body.replace(CODE_REGEX, "");
+  if (rules.comments && text.includes("%%")) leaks.push("comment");
+  if (rules.callouts.length > 0 && text.split("\n").some((l) => calloutRegex(rules.callouts).test(l))) {
+    leaks.push("callout");
+  }
+  if (rules.tags.length > 0 && tagRegex(rules.tags).test(text)) leaks.push("tag");
+  return leaks;
+}
@@ -0,0 +1,78 @@
+/**
+ * 同步安全检查
+ * 保存配置与同步前校验 Obsidian / Quartz 路径，并限制单次同步删除的文件数，
+ * 避免路径写错、填反时在错误的目录中删除文件。
+ */
+
+import fs from "fs/promises";
+import path from "path";
+
+// 单次同步最多删除的文件数（笔记与资源合计），超过时需确认
+export const DEFAULT_MAX_DELETIONS = 20;
+
+// Quartz v4 仓库根目录中的配置文件
+const QUARTZ_MARKERS = ["quartz.config.ts", "quartz.config.js", "quartz.config.mjs"];
+
+/** 规整 config.json 中的 maxDeletions：非负整数；null 表示不限制；缺省为 DEFAULT_MAX_DELETIONS */
+export function normalizeMaxDeletions(value) {
+  if (value === null) return null;
+  return Number.isInteger(value) && value >= 0 ? value : DEFAULT_MAX_DELETIONS;
+}
+
+async function isDirectory(p) {
+  try {
+    return (await fs.stat(p)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+async function hasAnyFile(dir, names) {
+  for (const name of names) {
+    try {
+      if ((await fs.stat(path.join(dir, name))).isFile()) return true;
+    } catch {
+      // 继续检查下一个
+    }
+  }
+  return false;
+}
+
+/** 目录是否为 Quartz 仓库根目录（含 quartz.config.*） */
+export function isQuartzRepo(dir) {
+  return hasAnyFile(dir, QUARTZ_MARKERS);
+}
+
+function isSameOrInside(child, parent) {
+  const rel = path.relative(parent, child);
+  return rel === "" || (!rel.startsWith("..") && !path.isAbsolute(rel));
+}
+
+/**
+ * 校验同步路径：两个目录都存在；Obsidian 目录含 .obsidian/；Quartz 内容目录的父目录是 Quartz 仓库；两者不重叠。
+ * @param {{ obsidianDir: string, quartzContentDir: string }} paths - 绝对路径
+ * @returns {Promise<{ ok: boolean, errors: string[] }>}
+ */
+export async function validatePaths({ obsidianDir, quartzContentDir }) {
+  const errors = [];
+  if (!(await isDirectory(obsidianDir))) {
+    errors.push(`Obsidian 目录不存在: ${obsidianDir}`);
+  } else if (!(await isDirectory(path.join(obsidianDir, ".obsidian")))) {
+    errors.push(`不是 Obsidian 库（缺少 .obsidian 目录）: ${obsidianDir}`);
+  }
+  if (!(await isDirectory(quartzContentDir))) {
+    errors.push(`Quartz 内容目录不存在: ${quartzContentDir}`);
+  }
+  const quartzDir = path.dirname(quartzContentDir);
+  if (!(await isQuartzRepo(quartzDir))) {
+    errors.push(`不是 Quartz 仓库（缺少 quartz.config.ts）: ${quartzDir}`);
+  }
+  if (errors.length === 0) {
+    // 按真实路径比较，符号链接指向同一位置也算重叠
+    const [o, q] = await Promise.all([fs.realpath(obsidianDir), fs.realpath(quartzContentDir)]);
+    if (isSameOrInside(o, q) || isSameOrInside(q, o)) {
+      errors.push("Obsidian 目录与 Quartz 内容目录不能相同或互相包含");
+    }
+  }
+  return { ok: errors.length === 0, errors };
+}
@@ -0,0 +1,121 @@
+/**
+ * 定时任务配置
+ * config.json 中的 schedules：每项包含 cron 表达式、时区与要执行的操作。
+ */
+
+import cron from "node-cron";
+import { CronExpressionParser } from "cron-parser";
+
+export const SCHEDULE_ACTIONS = ["sync", "publish", "sync-and-publish"];
+
+const MAX_NAME_LENGTH = 50;
+
+/**
+ * 未配置 schedules 时的默认定时任务：沿用旧配置 cronHour（或环境变量 CRON_SCHEDULE），每天执行同步并发布。
+ * @param {number} [cronHour]
+ */
+export function defaultSchedules(cronHour) {
+  const hour = Number.isInteger(cronHour) && cronHour >= 0 && cronHour <= 23 ? cronHour : 2;
+  return [
+    {
+      id: "daily",
+      name: "每日同步并发布",
+      cron: process.env.CRON_SCHEDULE || `0 ${hour} * * *`,
+      timezone: "",
+      action: "sync-and-publish",
+      enabled: true,
+    },
+  ];
+}
+
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 校验并规整单个定时任务。
+ * @param {object} input
+ * @returns {{ schedule: { id?: string, name: string, cron: string, timezone: string, action: string, enabled: boolean } } | { error: string }}
+ */
+export function validateSchedule(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) return { error: "定时任务必须为对象" };
+  const name = typeof input.name === "string" ? input.name.trim() : "";
+  if (!name) return { error: "名称不能为空" };
+  if (name.length > MAX_NAME_LENGTH) return { error: `名称不能超过 ${MAX_NAME_LENGTH} 个字符` };
+  const expr = typeof input.cron === "string" ? input.cron.trim().replace(/\s+/g, " ") : "";
+  if (!expr || !cron.validate(expr)) return { error: `无效的 cron 表达式: ${expr || "（空）"}` };
+  try {
+    CronExpressionParser.parse(expr);
+  } catch (e) {
+    return { error: `无效的 cron 表达式: ${expr}（${e.message}）` };
+  }
+  const timezone = typeof input.timezone === "string" ? input.timezone.trim() : "";
+  if (timezone && !isValidTimezone(timezone)) return { error: `未知的时区: ${timezone}` };
+  if (!SCHEDULE_ACTIONS.includes(input.action)) {
+    return { error: `action 必须为 ${SCHEDULE_ACTIONS.join(" / ")} 之一` };
+  }
+  const schedule = {
+    id: typeof input.id === "string" && input.id.trim() ? input.id.trim() : undefined,
+    name,
+    cron: expr,
+    timezone,
+    action: input.action,
+    enabled: input.enabled !== false,
+  };
+  if (!schedule.id) delete schedule.id;
+  return { schedule };
+}
+
+// 校验 config.json 中的 schedules：有效项规整后放入 schedules，无效项连同原始内容放入 invalid
+function inspectSchedules(cfg) {
+  if (!cfg || !Array.isArray(cfg.schedules)) return { schedules: defaultSchedules(cfg?.cronHour), invalid: [] };
+  const schedules = [];
+  const invalid = [];
+  const ids = new Set();
+  cfg.schedules.forEach((item, i) => {
+    const { schedule, error } = validateSchedule(item);
+    if (error) {
+      invalid.push({ index: i, item, error });
+      return;
+    }
+    if (!schedule.id || ids.has(schedule.id)) schedule.id = `schedule-${i + 1}`;
+    ids.add(schedule.id);
+    schedules.push(schedule);
+  });
+  return { schedules, invalid };
+}
+
+/**
+ * 读取 config.json 中的 schedules；无效项跳过（见 invalidSchedules）。未配置时返回 defaultSchedules。
+ * @param {Record<string, any>} cfg - config.json 内容
+ */
+export function normalizeSchedules(cfg) {
+  return inspectSchedules(cfg).schedules;
+}
+
+/**
+ * config.json 中无效的定时任务。注册定时任务时提示一次；保存定时任务时原样写回，不丢弃手动编辑的内容。
+ * @returns {{ index: number, item: any, error: string }[]} index 为在 schedules 中的位置（从 0 开始）
+ */
+export function invalidSchedules(cfg) {
+  return inspectSchedules(cfg).invalid;
+}
+
+/**
+ * 按表达式与时区计算下次触发时间。
+ * @returns {string | null} ISO 时间；表达式无法解析时为 null
+ */
+export function nextRunAt(schedule, from = new Date()) {
+  try {
+    const options = { currentDate: from };
+    if (schedule.timezone) options.tz = schedule.timezone;
+    return CronExpressionParser.parse(schedule.cron, options).next().toISOString();
+  } catch {
+    return null;
+  }
+}
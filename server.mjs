@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 /**
  * Obsidian-Quartz Dashboard
- * Web UI for sync, publish, watcher, and daily cron.
+ * Web UI for sync, publish, watcher, and scheduled jobs.
  */
 
 import express from "express";
@@ -13,60 +13,107 @@ import chokidar from "chokidar";
 import cron from "node-cron";
 import fs from "fs/promises";
 import os from "os";
+import {
+  parseFrontmatter,
+  normalizePublishRules,
+  isPublishable,
+  normalizeFrontmatterRules,
+  transformFrontmatterData,
+} from "./frontmatter.mjs";
+import { sync, loadConfig, resolvePaths, filterRelevantChanges, isWatchIgnored } from "./sync.mjs";
+import { appendHistory, queryHistory, getHistory, MAX_HISTORY_OUTPUT_LINES } from "./history.mjs";
+import { normalizeSchedules, invalidSchedules, validateSchedule, nextRunAt } from "./schedules.mjs";
+import { publish, getPublishPreview, renderCommitMessage, restoreContent } from "./publish.mjs";
+import { recordPublish, listPublishes, getPublish, restoreSnapshot } from "./publish-history.mjs";
+import { validatePaths, normalizeMaxDeletions, isQuartzRepo } from "./safety.mjs";
+import { normalizeHooks, authorizeHook, describeHooks } from "./hooks.mjs";
+import { notifyTask, sendTestNotification, describeChannels, readDeliveryLog } from "./notify.mjs";
+import { checkContent, checkBeforePublish } from "./check.mjs";
+import { createJobQueue, CANCELLED_MESSAGE } from "./jobs.mjs";
+import {
+  normalizePreviewSettings,
+  startPreview,
+  stopPreview,
+  restartPreview,
+  killPreview,
+  getPreviewStatus,
+  getPreviewOutput,
+  onPreviewEvent,
+} from "./preview.mjs";
+import {
+  readConfigFile,
+  writeConfigFile,
+  profileIds,
+  defaultProfileId,
+  listProfiles,
+  profileConfig,
+  updateProfileConfig,
+  addProfile,
+  removeProfile,
+  profileFiles,
+  isValidProfileId,
+  DEFAULT_PROFILE_ID,
+} from "./profiles.mjs";
+import {
+  loadAuthSettings,
+  configureAuth,
+  authEnabled,
+  isLoopbackHost,
+  login,
+  logout,
+  loginRetryAfter,
+  describeSession,
+  requireAuth,
+  requireLocalHost,
+  authorizeUpgrade,
+} from "./auth.mjs";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const PROJECT_ROOT = path.resolve(__dirname, "..");
-const SYNC_DIR = __dirname;
-const SYNC_SCRIPT = path.join(__dirname, "sync.mjs");
-const CONFIG_PATH = path.join(__dirname, "config.json");
 // Quartz 仓库根目录由配置中的 quartzContentDir 推导（其父目录），支持独立部署时 Quartz 在任意路径
 
-const DEFAULT_CONFIG = { obsidianDir: "obsidian", quartzContentDir: "quartz/content", cronHour: 2 };
+const DEFAULT_CONFIG = { obsidianDir: "obsidian", quartzContentDir: "quartz/content" };
 
-async function loadSyncConfig() {
-  const defaults = {
-    obsidianDir: path.join(PROJECT_ROOT, "obsidian"),
-    quartzContentDir: path.join(PROJECT_ROOT, "quartz", "content"),
-  };
-  try {
-    const raw = await fs.readFile(CONFIG_PATH, "utf-8");
-    const cfg = JSON.parse(raw);
-    const resolvePath = (p) =>
-      path.isAbsolute(p) ? p : path.resolve(PROJECT_ROOT, p);
-    return {
-      obsidianDir: cfg.obsidianDir != null ? resolvePath(cfg.obsidianDir) : defaults.obsidianDir,
-      quartzContentDir: cfg.quartzContentDir != null ? resolvePath(cfg.quartzContentDir) : defaults.quartzContentDir,
-    };
-  } catch {
-    return defaults;
-  }
+// 与 sync.mjs 使用同一套配置解析（环境变量 > config.json > 默认值）
+async function loadSyncConfig(profileId) {
+  return resolvePaths(await loadConfig(profileId));
 }
 
-async function loadRawConfig() {
-  try {
-    const raw = await fs.readFile(CONFIG_PATH, "utf-8");
-    const cfg = JSON.parse(raw);
-    const h = cfg.cronHour;
-    const cronHour = typeof h === "number" && h >= 0 && h <= 23 ? h : DEFAULT_CONFIG.cronHour;
-    return {
-      obsidianDir: cfg.obsidianDir ?? DEFAULT_CONFIG.obsidianDir,
-      quartzContentDir: cfg.quartzContentDir ?? DEFAULT_CONFIG.quartzContentDir,
-      cronHour,
-    };
-  } catch {
-    return { ...DEFAULT_CONFIG };
-  }
+// 某个配置方案在 config.json 中的配置（含从顶层继承的公共配置）
+async function loadRawConfig(profileId) {
+  const cfg = profileConfig(await readConfigFile(), profileId) ?? {};
+  return {
+    obsidianDir: cfg.obsidianDir ?? DEFAULT_CONFIG.obsidianDir,
+    quartzContentDir: cfg.quartzContentDir ?? DEFAULT_CONFIG.quartzContentDir,
+    publishRules: normalizePublishRules(cfg.publishRules),
+    frontmatter: normalizeFrontmatterRules(cfg.frontmatter),
+    // 旧配置只有 cronHour 时迁移为一个每日定时任务，保存时写入 schedules
+    schedules: normalizeSchedules(cfg),
+    invalidSchedules: invalidSchedules(cfg),
+  };
 }
 
-async function saveRawConfig(config) {
-  const toSave = {
-    obsidianDir: config.obsidianDir,
-    quartzContentDir: config.quartzContentDir,
-  };
-  if (typeof config.cronHour === "number" && config.cronHour >= 0 && config.cronHour <= 23) {
-    toSave.cronHour = config.cronHour;
-  }
-  await fs.writeFile(CONFIG_PATH, JSON.stringify(toSave, null, 2), "utf-8");
+/**
+ * 修改某个配置方案的配置项。只写入 changes 中给出的项，config.json 中的其它配置（如 attachments、公共配置）保持不变。
+ * @param {string} profileId
+ * @param {{ obsidianDir?: string, quartzContentDir?: string, schedules?: object[], publishRules?: object, maxDeletions?: number | null, publish?: object }} changes
+ *   publish 只覆盖给出的项，其余沿用方案当前生效的发布设置
+ */
+async function saveRawConfig(profileId, changes) {
+  const file = await readConfigFile();
+  const next = updateProfileConfig(file, profileId, (entry) => {
+    if (changes.obsidianDir !== undefined) entry.obsidianDir = changes.obsidianDir;
+    if (changes.quartzContentDir !== undefined) entry.quartzContentDir = changes.quartzContentDir;
+    if (changes.schedules) {
+      entry.schedules = changes.schedules;
+      delete entry.cronHour;
+    }
+    if (changes.publishRules) entry.publishRules = normalizePublishRules(changes.publishRules);
+    if (changes.maxDeletions !== undefined) entry.maxDeletions = changes.maxDeletions;
+    if (changes.publish) entry.publish = { ...profileConfig(file, profileId)?.publish, ...changes.publish };
+    return entry;
+  });
+  await writeConfigFile(next);
 }
 
 /**
@@ -130,244 +177,578 @@ if ($d.SelectedPath) { $d.SelectedPath }`;
   });
 }
 
-const STATE_FILE = path.join(__dirname, ".dashboard-state.json");
-
-const PORT = process.env.PORT || 3001;
+const PORT = Number(process.env.PORT) || 3001;
 const DEBOUNCE_MS = 2000;
-const DEFAULT_CRON = "0 2 * * *"; // 02:00 daily
-const MAX_TASK_LOGS = 50;
 
 // --- State ---
-let state = {
-  lastSyncAt: null,
-  lastSyncSuccess: null,
-  lastSyncError: null,
-  lastPublishAt: null,
-  lastPublishSuccess: null,
-  lastPublishError: null,
-  watcherEnabled: false,
-  lastCronRunAt: null,
-  lastCronSuccess: null,
-  lastCronError: null,
-  isRunning: false,
-};
+// 每个配置方案各自保存的运行状态（写入该方案的状态文件）
+function createProfileState() {
+  return {
+    lastSyncAt: null,
+    lastSyncSuccess: null,
+    lastSyncError: null,
+    lastPublishAt: null,
+    lastPublishSuccess: null,
+    lastPublishError: null,
+    watcherEnabled: false,
+    lastCronRunAt: null,
+    lastCronSuccess: null,
+    lastCronError: null,
+    // 各定时任务上次执行：{ [id]: { at, ok, error } }
+    scheduleRuns: {},
+  };
+}
 
-/** @type {{ type: string, at: string, result: 'running'|'success'|'fail', error?: string }[]} */
-let taskLogs = [];
+/**
+ * 各配置方案的运行时：状态、文件监听与定时任务。由 syncProfileRuntimes 按 config.json 创建与移除。
+ * @type {Map<string, { id: string, files: ReturnType<typeof profileFiles>, state: ReturnType<typeof createProfileState>, watcher: import("chokidar").FSWatcher | null, syncDebounceTimer: NodeJS.Timeout | null, cronTasks: Map<string, import("node-cron").ScheduledTask> }>}
+ */
+const profiles = new Map();
+// 接口未指定方案时使用的方案
+let defaultProfile = DEFAULT_PROFILE_ID;
+// 正在进行的同步的最新进度（sync 的 onProgress 事件）；任务队列全局共用，同一时间只有一个任务在运行
+let syncProgress = null;
 
-function appendLog(type, result, error) {
-  taskLogs.unshift({ type, at: new Date().toISOString(), result, error });
-  if (taskLogs.length > MAX_TASK_LOGS) taskLogs.pop();
+function runtime(profileId) {
+  const rt = profiles.get(profileId);
+  if (!rt) throw new Error(`配置方案不存在: ${profileId}`);
+  return rt;
 }
 
-function updateLastRunningLog(type, result, error) {
-  const idx = taskLogs.findIndex((l) => l.type === type && l.result === "running");
-  if (idx >= 0) {
-    taskLogs[idx] = { ...taskLogs[idx], result, error };
+// --- Events (SSE) ---
+// 推送给面板的事件：status（状态快照）、task（任务开始 / 结束，即日志记录）、output（任务输出行）
+// 每个连接只接收所选配置方案的事件：{ res => profileId }
+const sseClients = new Map();
+const SSE_HEARTBEAT_MS = 25000;
+const MAX_TASK_OUTPUT_LINES = MAX_HISTORY_OUTPUT_LINES;
+// 当前（或最近一次）任务的输出，面板中途连接时先补发
+let taskOutput = [];
+
+/** 推送事件；指定 profile 时只发给选择了该配置方案的连接 */
+function broadcast(event, data, profile) {
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const [res, p] of sseClients) {
+    if (!profile || p === profile) res.write(payload);
   }
 }
 
-let watcher = null;
-let syncDebounceTimer = null;
+/**
+ * 记录并推送一行任务输出。
+ * @param {'sync'|'publish'} source - 输出来源
+ * @param {'stdout'|'stderr'|'progress'} stream
+ */
+function emitOutput(source, stream, line) {
+  const item = { task: currentTaskId, profile: currentTaskProfile, source, stream, line, at: new Date().toISOString() };
+  taskOutput.push(item);
+  if (taskOutput.length > MAX_TASK_OUTPUT_LINES) taskOutput.shift();
+  broadcast("output", item, item.profile);
+}
+
+/** @type {{ id: string, profile: string, type: string, trigger: string, at: string, result: 'running' }[]} 尚未结束的任务，结束后写入任务历史 */
+let runningLogs = [];
+let taskSeq = 0;
+// 正在运行的顶层任务（有日志记录的任务）id 及所属配置方案，输出行据此归属
+let currentTaskId = null;
+let currentTaskProfile = null;
+
+/** 任务输出写入日志时去掉归属字段 */
+function logOutput(logId) {
+  return taskOutput.filter((o) => o.task === logId).map(({ task, profile, ...o }) => o);
+}
+
+/**
+ * 记录一个开始运行的任务。
+ * @param {'manual'|'watcher'|'cron'|'hook'} trigger - 触发方式
+ * @param {object} [extra] - 附加字段：所属配置方案 { profile }，定时任务触发时另有 { schedule: { id, name } }，外部触发时另有 { hook: { name } }
+ */
+function appendLog(type, trigger = "manual", extra) {
+  const log = { id: `${Date.now().toString(36)}-${++taskSeq}`, type, trigger, ...extra, at: new Date().toISOString(), result: "running" };
+  runningLogs.unshift(log);
+  currentTaskId = log.id;
+  currentTaskProfile = log.profile;
+  taskOutput = [];
+  broadcast("task", log, log.profile);
+}
+
+/** 结束任务并写入任务历史；extra 为附加到记录的字段，如 { sync: 同步结果 } */
+function updateLastRunningLog(type, result, error, extra) {
+  const idx = runningLogs.findIndex((l) => l.type === type);
+  if (idx < 0) return;
+  const [log] = runningLogs.splice(idx, 1);
+  const finishedAt = new Date();
+  const record = {
+    ...log,
+    ...extra,
+    result,
+    error,
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - new Date(log.at),
+    output: logOutput(log.id),
+  };
+  if (log.id === currentTaskId) currentTaskId = null;
+  const { output, ...summary } = record;
+  broadcast("task", { ...summary, outputLines: output.length }, log.profile);
+  appendHistory(record).catch((e) => console.error("Failed to write task history:", e));
+  sendTaskNotifications(record);
+}
+
+// 任务结果通知在后台发送（含重试），不阻塞任务队列；投递结果见 /api/notifications
+function sendTaskNotifications(record) {
+  loadConfig(record.profile)
+    .then((config) => notifyTask(config.notifications, record))
+    .catch((e) => console.error("Failed to send notifications:", e));
+}
 
-async function loadState() {
+async function loadState(rt) {
   try {
-    const raw = await fs.readFile(STATE_FILE, "utf-8");
-    state = { ...state, ...JSON.parse(raw) };
+    const raw = await fs.readFile(rt.files.state, "utf-8");
+    // 旧版状态文件中的 isRunning / syncProgress 是运行时字段，不恢复
+    const { isRunning, syncProgress, ...saved } = JSON.parse(raw);
+    rt.state = { ...rt.state, ...saved };
   } catch {
     // use defaults
   }
 }
 
-async function saveState() {
+async function saveState(rt) {
+  broadcastStatus();
   try {
-    const toSave = { ...state };
-    delete toSave.isRunning;
-    await fs.writeFile(STATE_FILE, JSON.stringify(toSave, null, 2), "utf-8");
+    await fs.mkdir(rt.files.dir, { recursive: true });
+    await fs.writeFile(rt.files.state, JSON.stringify(rt.state, null, 2), "utf-8");
   } catch (e) {
     console.error("Failed to save state:", e);
   }
 }
 
 // --- Run sync ---
-function runSync(opts = {}) {
-  if (state.isRunning) return Promise.resolve({ ok: false, error: "已有任务在运行" });
-  state.isRunning = true;
+// 写入任务日志的同步结果（去掉 plan，避免重复保存）
+function syncSummary(result) {
+  const { mode, rendered, notes, assets, warnings, durationMs } = result;
+  return { mode, rendered, notes, assets, warnings, durationMs };
+}
+
+/**
+ * 执行同步。由任务队列调用，不直接调用。
+ * @param {{ profile: string, trigger?: string, noLog?: boolean, signal?: AbortSignal, logExtra?: object, confirmDeletions?: boolean, incremental?: boolean }} opts
+ *   profile 为配置方案 id；noLog 为 true 时作为组合任务的一步，不单独记录日志；confirmDeletions 为 true 时允许超过 maxDeletions 的删除；
+ *   incremental 为 true 时只处理监听到的变更（rt.changedPaths）
+ */
+async function runSync(opts) {
+  const rt = runtime(opts.profile);
+  const { state } = rt;
+  // 取走累积的变更；失败时放回，下次同步再处理（完整同步同样涵盖这些变更）
+  const changedPaths = [...rt.changedPaths];
+  rt.changedPaths.clear();
   state.lastSyncAt = new Date().toISOString();
-  if (!opts.noLog) appendLog("sync", "running");
+  syncProgress = null;
+  if (!opts.noLog) appendLog("sync", opts.trigger, opts.logExtra);
+  broadcastStatus();
 
-  return new Promise((resolve) => {
-    const proc = spawn("node", [SYNC_SCRIPT], {
-      cwd: PROJECT_ROOT,
-      stdio: ["ignore", "pipe", "pipe"],
-    });
-    let out = "";
-    let err = "";
-    proc.stdout?.on("data", (d) => { out += d.toString(); });
-    proc.stderr?.on("data", (d) => { err += d.toString(); });
-    proc.on("close", (code) => {
-      state.isRunning = false;
-      state.lastSyncSuccess = code === 0;
-      state.lastSyncError = code !== 0 ? (err || out || `exit ${code}`) : null;
-      if (!opts.noLog) updateLastRunningLog("sync", code === 0 ? "success" : "fail", state.lastSyncError || undefined);
-      saveState();
-      resolve({ ok: code === 0, stdout: out, stderr: err, code });
-    });
-    proc.on("error", (e) => {
-      state.isRunning = false;
-      state.lastSyncSuccess = false;
-      state.lastSyncError = e.message;
-      if (!opts.noLog) updateLastRunningLog("sync", "fail", e.message);
-      saveState();
-      resolve({ ok: false, error: e.message });
+  try {
+    const result = await sync({
+      profile: rt.id,
+      changedPaths: opts.incremental ? changedPaths : undefined,
+      signal: opts.signal,
+      confirmDeletions: opts.confirmDeletions === true,
+      onProgress: (event) => {
+        syncProgress = event;
+        emitOutput("sync", "progress", event.total ? `${event.message}（${event.current}/${event.total}）` : event.message);
+      },
     });
-  });
+    const summary = syncSummary(result);
+    for (const w of summary.warnings) emitOutput("sync", "stderr", w);
+    state.lastSyncSuccess = true;
+    state.lastSyncError = null;
+    if (!opts.noLog) updateLastRunningLog("sync", "success", undefined, { sync: summary });
+    return { ok: true, result: summary };
+  } catch (e) {
+    changedPaths.forEach((p) => rt.changedPaths.add(p));
+    if (opts.signal?.aborted) {
+      emitOutput("sync", "stderr", CANCELLED_MESSAGE);
+      if (!opts.noLog) updateLastRunningLog("sync", "cancelled", CANCELLED_MESSAGE);
+      return { ok: false, cancelled: true, error: CANCELLED_MESSAGE };
+    }
+    emitOutput("sync", "stderr", e.message);
+    state.lastSyncSuccess = false;
+    state.lastSyncError = e.message;
+    // 删除数超限：日志带上删除统计，面板据此提示确认后重新同步
+    const deletionLimit = e.code === "DELETION_LIMIT" ? e.deletions : undefined;
+    if (!opts.noLog) updateLastRunningLog("sync", "fail", e.message, deletionLimit && { deletionLimit });
+    return { ok: false, error: e.message, deletionLimit };
+  } finally {
+    syncProgress = null;
+    saveState(rt);
+  }
 }
 
-// --- Run publish (quartz sync) ---
-async function runPublish(opts = {}) {
-  if (state.isRunning) return { ok: false, error: "已有任务在运行" };
-  state.isRunning = true;
+// --- Sync plan (dry-run) ---
+async function runSyncPlan(profile) {
+  try {
+    const result = await sync({ profile, dryRun: true });
+    return { ok: true, plan: result.plan };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+// --- Run publish (git commit + push) ---
+/**
+ * 执行发布：提交 Quartz 仓库的变更并推送。由任务队列调用；signal 中止时结束正在运行的 git 进程。
+ * 成功后记录到发布历史（含 manifest 快照）。
+ * @param {{ profile: string, trigger?: string, noLog?: boolean, signal?: AbortSignal, logExtra?: object, message?: string, rollbackOf?: string }} opts
+ *   profile 为配置方案 id；message 为提交信息模板，缺省时用 config.json 中的 publish.commitMessage；rollbackOf 为回滚到的发布记录 id
+ */
+async function runPublish(opts) {
+  const rt = runtime(opts.profile);
+  const { state } = rt;
   state.lastPublishAt = new Date().toISOString();
-  if (!opts.noLog) appendLog("publish", "running");
-  let quartzDir;
+  if (!opts.noLog) appendLog("publish", opts.trigger, opts.logExtra);
+  broadcastStatus();
   try {
-    const cfg = await loadSyncConfig();
-    quartzDir = path.dirname(cfg.quartzContentDir);
+    const cfg = await loadConfig(rt.id);
+    const { quartzContentDir } = resolvePaths(cfg);
+    if (cfg.publish.blockOnCheckErrors) await checkBeforePublish(cfg, (stream, line) => emitOutput("publish", stream, line));
+    const result = await publish({
+      quartzDir: path.dirname(quartzContentDir),
+      quartzContentDir,
+      settings: cfg.publish,
+      message: opts.message,
+      signal: opts.signal,
+      onOutput: (stream, line) => emitOutput("publish", stream, line),
+    });
+    try {
+      const record = await recordPublish(rt.files, {
+        commit: result.head,
+        newCommit: !!result.commit,
+        message: result.message,
+        remote: result.remote,
+        target: result.target,
+        notes: result.notes,
+        files: result.files,
+        trigger: opts.trigger,
+        rollbackOf: opts.rollbackOf,
+      });
+      result.publishId = record.id;
+    } catch (e) {
+      // 已推送成功，记录失败只影响回滚
+      emitOutput("publish", "stderr", "写入发布历史失败: " + e.message);
+    }
+    state.lastPublishSuccess = true;
+    state.lastPublishError = null;
+    if (!opts.noLog) updateLastRunningLog("publish", "success", undefined, { publish: result });
+    return { ok: true, publish: result };
   } catch (e) {
-    state.isRunning = false;
+    if (opts.signal?.aborted) {
+      emitOutput("publish", "stderr", CANCELLED_MESSAGE);
+      if (!opts.noLog) updateLastRunningLog("publish", "cancelled", CANCELLED_MESSAGE);
+      return { ok: false, cancelled: true, error: CANCELLED_MESSAGE };
+    }
+    emitOutput("publish", "stderr", e.message);
+    state.lastPublishSuccess = false;
+    state.lastPublishError = e.message;
     if (!opts.noLog) updateLastRunningLog("publish", "fail", e.message);
-    saveState();
-    return { ok: false, error: "无法读取配置以确定 Quartz 目录: " + e.message };
+    return { ok: false, error: e.message };
+  } finally {
+    saveState(rt);
   }
+}
 
-  return new Promise((resolve) => {
-    const proc = spawn("npx", ["quartz", "sync", "--no-pull"], {
-      cwd: quartzDir,
-      stdio: ["ignore", "pipe", "pipe"],
-    });
-    let out = "";
-    let err = "";
-    proc.stdout?.on("data", (d) => { out += d.toString(); });
-    proc.stderr?.on("data", (d) => { err += d.toString(); });
-    proc.on("close", (code) => {
-      state.isRunning = false;
-      state.lastPublishSuccess = code === 0;
-      state.lastPublishError = code !== 0 ? (err || out || `exit ${code}`) : null;
-      if (!opts.noLog) updateLastRunningLog("publish", code === 0 ? "success" : "fail", state.lastPublishError || undefined);
-      saveState();
-      resolve({ ok: code === 0, stdout: out, stderr: err, code });
-    });
-    proc.on("error", (e) => {
-      state.isRunning = false;
-      state.lastPublishSuccess = false;
-      state.lastPublishError = e.message;
-      if (!opts.noLog) updateLastRunningLog("publish", "fail", e.message);
-      saveState();
-      resolve({ ok: false, error: e.message });
+// --- Sync + publish（作为一个任务执行，两步之间不会插入其它任务） ---
+async function runSyncAndPublish({ profile, trigger, signal, logExtra, message, confirmDeletions }) {
+  const type = "sync-and-publish";
+  const { state } = runtime(profile);
+  appendLog(type, trigger, logExtra);
+  const syncRes = await runSync({ profile, noLog: true, signal, confirmDeletions });
+  if (!syncRes.ok) {
+    const error = syncRes.cancelled ? CANCELLED_MESSAGE : "Sync failed: " + (state.lastSyncError || "unknown");
+    const deletionLimit = syncRes.deletionLimit;
+    updateLastRunningLog(type, syncRes.cancelled ? "cancelled" : "fail", error, deletionLimit && { deletionLimit });
+    return { ok: false, cancelled: syncRes.cancelled, error, deletionLimit };
+  }
+  const pubRes = await runPublish({ profile, noLog: true, trigger, signal, message });
+  const error = pubRes.ok ? undefined : pubRes.cancelled ? CANCELLED_MESSAGE : "Publish failed: " + (state.lastPublishError || "unknown");
+  updateLastRunningLog(type, pubRes.ok ? "success" : pubRes.cancelled ? "cancelled" : "fail", error, { sync: syncRes.result, publish: pubRes.publish });
+  return { ok: pubRes.ok, cancelled: pubRes.cancelled, error, result: syncRes.result, publish: pubRes.publish };
+}
+
+// --- Rollback ---
+/**
+ * 回滚到某次发布：content 目录恢复为该次推送的提交，manifest 恢复为当时的快照；republish 为 true 时随后发布回滚结果。
+ * @param {{ profile: string, trigger?: string, signal?: AbortSignal, logExtra?: object, publishId: string, republish?: boolean }} opts
+ */
+async function runRollback({ profile, trigger, signal, logExtra, publishId, republish }) {
+  const type = "rollback";
+  const rt = runtime(profile);
+  appendLog(type, trigger, logExtra);
+  broadcastStatus();
+  try {
+    const record = await getPublish(rt.files, publishId);
+    if (!record) throw new Error("发布记录不存在");
+    if (!record.snapshot) throw new Error("该发布没有同步 manifest 快照，无法回滚");
+    const cfg = await loadConfig(rt.id);
+    const { quartzContentDir } = resolvePaths(cfg);
+    await restoreContent({
+      quartzDir: path.dirname(quartzContentDir),
+      quartzContentDir,
+      commit: record.commit,
+      signal,
+      onOutput: (stream, line) => emitOutput("publish", stream, line),
     });
-  });
+    await restoreSnapshot(rt.files, record.id);
+    emitOutput("publish", "stdout", "已恢复同步 manifest 快照");
+    const rollback = { publishId: record.id, commit: record.commit, republished: false };
+    if (republish) {
+      const message = `回滚到 ${fmtRecordTime(record.at)} 的发布（${record.commit.slice(0, 8)}）\n\n{list}`;
+      const pubRes = await runPublish({ profile, noLog: true, trigger, signal, message, rollbackOf: record.id });
+      if (!pubRes.ok) {
+        const error = pubRes.cancelled ? CANCELLED_MESSAGE : "内容已回滚，但发布失败: " + pubRes.error;
+        updateLastRunningLog(type, pubRes.cancelled ? "cancelled" : "fail", error, { rollback });
+        return { ok: false, cancelled: pubRes.cancelled, error };
+      }
+      rollback.republished = true;
+      updateLastRunningLog(type, "success", undefined, { rollback, publish: pubRes.publish });
+      return { ok: true, rollback, publish: pubRes.publish };
+    }
+    updateLastRunningLog(type, "success", undefined, { rollback });
+    return { ok: true, rollback };
+  } catch (e) {
+    if (signal?.aborted) {
+      emitOutput("publish", "stderr", CANCELLED_MESSAGE);
+      updateLastRunningLog(type, "cancelled", CANCELLED_MESSAGE);
+      return { ok: false, cancelled: true, error: CANCELLED_MESSAGE };
+    }
+    emitOutput("publish", "stderr", e.message);
+    updateLastRunningLog(type, "fail", e.message);
+    return { ok: false, error: e.message };
+  }
+}
+
+function fmtRecordTime(iso) {
+  return new Date(iso).toLocaleString("zh-CN", { hour12: false });
+}
+
+// --- Job queue ---
+// 所有同步 / 发布任务按顺序执行；排队中的同类任务合并为一个（如自动同步连续触发多次只执行一次）
+const JOB_RUNNERS = {
+  sync: runSync,
+  publish: runPublish,
+  "sync-and-publish": runSyncAndPublish,
+  rollback: runRollback,
+};
+
+// 传给各 run* 函数的参数；日志中记录所属配置方案，定时任务触发的另记录所属定时任务
+function jobRunOptions(job) {
+  return {
+    ...job.params,
+    profile: job.profile,
+    trigger: job.trigger,
+    signal: job.controller.signal,
+    logExtra: { profile: job.profile, ...(job.schedule && { schedule: job.schedule }), ...(job.hook && { hook: job.hook }) },
+  };
+}
+
+const jobQueue = createJobQueue({
+  run: (job) => JOB_RUNNERS[job.type](jobRunOptions(job)),
+  onChange: () => broadcastStatus(),
+  onFinish: (job, result) => {
+    if (job.schedule) recordScheduleRun(job, result);
+  },
+});
+
+function publicJob({ id, profile, type, trigger, schedule, hook, status, enqueuedAt, startedAt }) {
+  return { id, profile, type, trigger, schedule, hook, status, enqueuedAt, startedAt };
+}
+
+function listJobs() {
+  const { running, queued } = jobQueue;
+  return { running: running ? publicJob(running) : null, queued: queued.map(publicJob) };
+}
+
+/**
+ * 加入任务队列，profile 缺省为默认方案；参数与合并规则见 jobs.mjs 的 enqueue。
+ * @returns job，job.done 在任务结束（或被取消）时 resolve 为执行结果
+ */
+function enqueueJob(type, trigger = "manual", { profile = defaultProfile, schedule, hook, params } = {}) {
+  return jobQueue.enqueue(type, trigger, { profile, schedule, hook, params });
+}
+
+function cancelJob(id) {
+  return jobQueue.cancel(id);
 }
 
 // --- Watcher ---
-async function startWatcher() {
-  if (watcher) return;
-  const config = await loadSyncConfig();
-  watcher = chokidar.watch(path.join(config.obsidianDir, "**/*.md"), {
-    ignored: /(^|[\/\\])\../,
+async function startWatcher(profileId) {
+  const rt = runtime(profileId);
+  if (rt.watcher) return;
+  const config = await loadConfig(rt.id);
+  const { obsidianDir } = resolvePaths(config);
+  // 监听整个库（笔记与附件）；以 . 开头的文件、目录与 watcher.ignore 匹配的路径不监听
+  const watcher = chokidar.watch(obsidianDir, {
+    ignored: (p) => {
+      const rel = path.relative(obsidianDir, p).replace(/\\/g, "/");
+      return !!rel && !rel.startsWith("../") && isWatchIgnored(rel, config.watcher);
+    },
+    ignoreInitial: true,
     persistent: true,
   });
-  watcher.on("change", () => scheduleSync());
-  watcher.on("add", () => scheduleSync());
-  watcher.on("unlink", () => scheduleSync());
-  state.watcherEnabled = true;
-  saveState();
-  console.log("Watcher started for", config.obsidianDir);
-}
-
-function scheduleSync() {
-  if (syncDebounceTimer) clearTimeout(syncDebounceTimer);
-  syncDebounceTimer = setTimeout(async () => {
-    syncDebounceTimer = null;
-    if (state.watcherEnabled) {
-      console.log("Watcher triggered sync");
-      await runSync();
+  // 未监听 error 时监听出错（如权限不足）会使进程退出
+  watcher.on("error", (e) => console.error(`[${rt.id}] Watcher error:`, e.message));
+  rt.watcher = watcher;
+  for (const event of ["add", "change", "unlink", "unlinkDir"]) {
+    rt.watcher.on(event, (p) => {
+      rt.watchEvents.push({ event, path: p });
+      scheduleSync(rt);
+    });
+  }
+  // 监听关闭期间的改动由开启时的一次完整同步补上
+  rt.watcher.on("ready", () => {
+    if (rt.state.watcherEnabled) enqueueJob("sync", "watcher", { profile: rt.id });
+  });
+  rt.state.watcherEnabled = true;
+  saveState(rt);
+  console.log(`[${rt.id}] Watcher started for`, obsidianDir);
+}
+
+// 防抖后筛出可能影响输出的变更，只有存在这样的变更时才入队增量同步
+function scheduleSync(rt) {
+  if (rt.syncDebounceTimer) clearTimeout(rt.syncDebounceTimer);
+  rt.syncDebounceTimer = setTimeout(async () => {
+    rt.syncDebounceTimer = null;
+    const changes = rt.watchEvents;
+    rt.watchEvents = [];
+    if (!rt.state.watcherEnabled) return;
+    let relevant;
+    try {
+      relevant = await filterRelevantChanges({ profile: rt.id, changes });
+    } catch (e) {
+      console.error(`[${rt.id}] Failed to filter watcher changes:`, e.message);
+      return;
     }
+    if (relevant.length === 0 || !profiles.has(rt.id)) return;
+    relevant.forEach((p) => rt.changedPaths.add(p));
+    console.log(`[${rt.id}] Watcher triggered sync (${relevant.length} changed)`);
+    enqueueJob("sync", "watcher", { profile: rt.id, params: { incremental: true } });
   }, DEBOUNCE_MS);
 }
 
-function stopWatcher() {
-  if (watcher) {
-    watcher.close();
-    watcher = null;
+function closeWatcher(rt) {
+  if (rt.watcher) {
+    rt.watcher.close();
+    rt.watcher = null;
   }
-  if (syncDebounceTimer) {
-    clearTimeout(syncDebounceTimer);
-    syncDebounceTimer = null;
+  if (rt.syncDebounceTimer) {
+    clearTimeout(rt.syncDebounceTimer);
+    rt.syncDebounceTimer = null;
   }
-  state.watcherEnabled = false;
-  saveState();
-  console.log("Watcher stopped");
+  rt.watchEvents = [];
 }
 
-// --- Cron ---
-let cronTask = null;
-
-function getCronSpec() {
-  if (process.env.CRON_SCHEDULE) return process.env.CRON_SCHEDULE;
-  return loadRawConfig().then((cfg) => `0 ${cfg.cronHour} * * *`).catch(() => DEFAULT_CRON);
+function stopWatcher(profileId) {
+  const rt = runtime(profileId);
+  closeWatcher(rt);
+  rt.state.watcherEnabled = false;
+  saveState(rt);
+  console.log(`[${rt.id}] Watcher stopped`);
 }
 
-async function scheduleCron() {
-  const spec = await getCronSpec();
-  if (cronTask) cronTask.stop();
-  cronTask = cron.schedule(spec, async () => {
-    state.lastCronRunAt = new Date().toISOString();
-    appendLog("cron", "running");
-    console.log("Daily cron: running sync + publish");
-    const syncRes = await runSync({ noLog: true });
-    if (!syncRes.ok) {
-      state.lastCronSuccess = false;
-      state.lastCronError = "Sync failed: " + (state.lastSyncError || "unknown");
-      updateLastRunningLog("cron", "fail", state.lastCronError);
-      saveState();
-      return;
-    }
-    const pubRes = await runPublish({ noLog: true });
-    state.lastCronSuccess = pubRes.ok;
-    state.lastCronError = pubRes.ok ? null : "Publish failed: " + (state.lastPublishError || "unknown");
-    updateLastRunningLog("cron", pubRes.ok ? "success" : "fail", state.lastCronError || undefined);
-    saveState();
-  });
-  console.log("Cron scheduled:", spec);
+// --- Schedules ---
+function stopCron(rt) {
+  for (const task of rt.cronTasks.values()) task.stop();
+  rt.cronTasks = new Map();
 }
 
-async function getNextCronRun() {
-  const spec = await getCronSpec();
-  const parts = spec.trim().split(/\s+/);
-  if (parts.length >= 5) {
-    const [min, hour] = parts;
-    return `每天 ${hour.padStart(2, "0")}:${min.padStart(2, "0")}`;
+/** 按配置方案的 schedules 重新注册该方案的全部定时任务 */
+async function scheduleCron(profileId) {
+  const rt = runtime(profileId);
+  stopCron(rt);
+  const { schedules, invalidSchedules: invalid } = await loadRawConfig(rt.id);
+  for (const { index, error } of invalid) console.warn(`[${rt.id}] 忽略定时任务 #${index + 1}: ${error}`);
+  for (const s of schedules) {
+    if (!s.enabled) continue;
+    const task = cron.schedule(
+      s.cron,
+      () => {
+        console.log(`[${rt.id}] 定时任务「${s.name}」触发：${s.action}`);
+        enqueueJob(s.action, "cron", { profile: rt.id, schedule: { id: s.id, name: s.name } });
+      },
+      s.timezone ? { timezone: s.timezone } : {}
+    );
+    rt.cronTasks.set(s.id, task);
+    console.log(`[${rt.id}] Schedule "${s.name}": ${s.cron}${s.timezone ? ` (${s.timezone})` : ""} → ${s.action}`);
   }
-  return spec;
+  broadcastStatus();
 }
 
-async function rescheduleCron() {
-  await scheduleCron();
+function recordScheduleRun(job, result) {
+  // 任务执行期间方案可能已被删除
+  const rt = profiles.get(job.profile);
+  if (!rt) return;
+  const run = { at: job.startedAt, ok: !!result.ok, error: result.ok ? null : result.error || null };
+  const { state } = rt;
+  state.scheduleRuns = { ...state.scheduleRuns, [job.schedule.id]: run };
+  state.lastCronRunAt = run.at;
+  state.lastCronSuccess = run.ok;
+  state.lastCronError = run.error;
+  saveState(rt);
 }
 
-// --- Express ---
-const app = express();
-app.use(express.json());
+/** 定时任务列表，附带下次触发时间与上次执行结果 */
+async function listSchedules(profileId) {
+  const rt = runtime(profileId);
+  const { schedules } = await loadRawConfig(rt.id);
+  return schedules.map((s) => ({
+    ...s,
+    nextRun: s.enabled ? nextRunAt(s) : null,
+    lastRun: rt.state.scheduleRuns?.[s.id] ?? null,
+  }));
+}
 
-// API 路由必须在 static 之前，避免 /api/* 被误当作静态或返回 HTML
-app.get("/api/logs", (req, res) => {
-  res.json({ logs: [...taskLogs] });
-});
+// --- Profiles ---
+/**
+ * 按 config.json 中的配置方案创建或移除运行时：新方案读取状态、恢复监听并注册定时任务；
+ * 已删除的方案停止监听与定时任务，排队中的任务取消。启动时及增删方案后调用。
+ */
+async function syncProfileRuntimes() {
+  const file = await readConfigFile();
+  const ids = profileIds(file);
+  defaultProfile = defaultProfileId(file);
+  for (const [id, rt] of profiles) {
+    if (ids.includes(id)) continue;
+    closeWatcher(rt);
+    stopCron(rt);
+    for (const job of jobQueue.queued.filter((j) => j.profile === id)) cancelJob(job.id);
+    profiles.delete(id);
+    console.log(`[${id}] 配置方案已移除`);
+  }
+  for (const id of ids) {
+    if (profiles.has(id)) continue;
+    const rt = {
+      id,
+      files: profileFiles(id),
+      state: createProfileState(),
+      watcher: null,
+      syncDebounceTimer: null,
+      // 防抖期间收到的监听事件，以及等待增量同步处理的变更路径（相对 Obsidian 根目录）
+      watchEvents: [],
+      changedPaths: new Set(),
+      cronTasks: new Map(),
+    };
+    profiles.set(id, rt);
+    await loadState(rt);
+    if (rt.state.watcherEnabled || autoWatch) await startWatcher(id);
+    await scheduleCron(id);
+  }
+  broadcastStatus();
+}
 
-app.get("/api/status", async (req, res) => {
-  const nextCron = await getNextCronRun();
-  res.json({
+async function getStatus(profileId) {
+  const rt = runtime(profileId);
+  const { state } = rt;
+  const schedules = await listSchedules(rt.id);
+  // 所有启用的定时任务中最近的一次触发时间
+  const nextCron = schedules.map((s) => s.nextRun).filter(Boolean).sort()[0] ?? null;
+  return {
+    profile: rt.id,
     lastSyncAt: state.lastSyncAt,
     lastSyncSuccess: state.lastSyncSuccess,
     lastSyncError: state.lastSyncError,
@@ -379,52 +760,289 @@ app.get("/api/status", async (req, res) => {
     lastCronSuccess: state.lastCronSuccess,
     lastCronError: state.lastCronError,
     nextCron,
-    isRunning: state.isRunning,
+    schedules,
+    // 队列为全部方案共用：其它方案的任务运行时本方案的任务也需等待
+    isRunning: !!jobQueue.running,
+    syncProgress: jobQueue.running?.profile === rt.id ? syncProgress : null,
+    jobs: listJobs(),
+  };
+}
+
+// 每个连接推送其所选配置方案的状态
+function broadcastStatus() {
+  for (const profileId of new Set(sseClients.values())) {
+    if (!profiles.has(profileId)) continue;
+    getStatus(profileId)
+      .then((status) => broadcast("status", status, profileId))
+      .catch((e) => console.error("Failed to broadcast status:", e));
+  }
+}
+
+// 定期发送注释行，防止代理或浏览器因长时间无数据断开连接
+setInterval(() => {
+  for (const res of sseClients.keys()) res.write(": ping\n\n");
+}, SSE_HEARTBEAT_MS).unref();
+
+// --- Express ---
+const app = express();
+
+// --- 外部触发 ---
+// 用触发器自身的令牌鉴权（Authorization: Bearer <令牌> 或 X-Hook-Token），不需要面板登录与 CSRF 令牌，
+// 也不限制 Host，可经反向代理或内网穿透调用；?wait=1 时等任务结束再返回结果
+app.post("/api/hooks/:name", async (req, res) => {
+  try {
+    const file = await readConfigFile();
+    const { hooks } = normalizeHooks(file.hooks, { profileIds: profileIds(file), defaultProfile: defaultProfileId(file) });
+    const bearer = (req.get("authorization") || "").match(/^Bearer\s+(.+)$/i);
+    const token = bearer ? bearer[1].trim() : req.get("x-hook-token") || "";
+    const { hook, status, error, retryAfter } = authorizeHook(hooks, req.params.name, token, req.ip);
+    if (!hook) {
+      if (retryAfter) res.set("Retry-After", String(retryAfter));
+      return res.status(status).json({ error });
+    }
+    if (!profiles.has(hook.profile)) return res.status(409).json({ error: `配置方案尚未加载: ${hook.profile}` });
+    const job = enqueueJob(hook.action, "hook", { profile: hook.profile, hook: { name: hook.name } });
+    if (/^(1|true)$/i.test(String(req.query.wait || ""))) {
+      return res.json({ ...(await job.done), job: publicJob(job) });
+    }
+    res.status(202).json({ ok: true, job: publicJob(job) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.use(requireLocalHost);
+app.use(express.json());
+
+// --- 登录 ---
+// 页面加载时调用：是否需要登录、是否已登录，以及写操作所需的 CSRF 令牌
+app.get("/api/auth/session", (req, res) => {
+  res.json(describeSession(req));
+});
+
+app.post("/api/auth/login", (req, res) => {
+  if (!authEnabled()) return res.json(describeSession(req));
+  const retryAfter = loginRetryAfter(req.ip);
+  if (retryAfter) {
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({ error: `登录失败次数过多，请 ${Math.ceil(retryAfter / 60)} 分钟后再试` });
+  }
+  const secret = typeof req.body?.secret === "string" ? req.body.secret : "";
+  const session = login(req, res, secret);
+  if (!session) return res.status(401).json({ error: "令牌或密码错误", authRequired: true });
+  res.json({ authRequired: true, authenticated: true, csrfToken: session.csrfToken });
+});
+
+// 其余 /api 接口均需登录；写操作需带 X-CSRF-Token
+app.use("/api", requireAuth);
+
+app.post("/api/auth/logout", (req, res) => {
+  logout(req, res);
+  res.json({ ok: true });
+});
+
+// 接口所属的配置方案：请求头 X-Profile 或查询参数 profile（EventSource 无法设置请求头），缺省为默认方案
+app.use("/api", (req, res, next) => {
+  const requested = req.get("x-profile") || (typeof req.query.profile === "string" ? req.query.profile : "");
+  if (requested && !profiles.has(requested)) {
+    return res.status(404).json({ error: `配置方案不存在: ${requested}` });
+  }
+  req.profile = requested || defaultProfile;
+  next();
+});
+
+// API 路由必须在 static 之前，避免 /api/* 被误当作静态或返回 HTML
+// 任务历史：?page=1&pageSize=20&type=sync&result=fail&trigger=cron&q=关键字，只含所选配置方案的任务
+app.get("/api/logs", async (req, res) => {
+  try {
+    res.json(await queryHistory({ ...req.query, profile: req.profile }, runningLogs));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 单条任务详情（含输出）；运行中的任务返回目前已有的输出
+// 与列表一样只返回所选配置方案的记录（配置方案之前的记录没有 profile，属于默认方案）
+app.get("/api/logs/:id", async (req, res) => {
+  const running = runningLogs.find((l) => l.id === req.params.id && l.profile === req.profile);
+  if (running) {
+    return res.json({ ...running, output: logOutput(running.id) });
+  }
+  try {
+    const record = await getHistory(req.params.id);
+    if (!record || (record.profile ?? DEFAULT_PROFILE_ID) !== req.profile) return res.status(404).json({ error: "任务记录不存在" });
+    res.json(record);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/api/status", async (req, res) => {
+  try {
+    res.json(await getStatus(req.profile));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 面板事件流：连接后先发送状态快照与当前任务已有的输出，之后实时推送；只推送所选配置方案（?profile=）的事件
+app.get("/api/events", async (req, res) => {
+  let status;
+  try {
+    status = await getStatus(req.profile);
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
   });
+  res.write(`event: status\ndata: ${JSON.stringify(status)}\n\n`);
+  for (const item of taskOutput) {
+    if (item.profile === req.profile) res.write(`event: output\ndata: ${JSON.stringify(item)}\n\n`);
+  }
+  sseClients.set(res, req.profile);
+  req.on("close", () => sseClients.delete(res));
+});
+
+// 同步 / 发布类接口只负责入队，立即返回任务信息（202）；带 ?wait=1 时等待任务结束再返回执行结果
+async function respondWithJob(req, res, type, params) {
+  const job = enqueueJob(type, "manual", { profile: req.profile, params });
+  if (/^(1|true)$/i.test(String(req.query.wait || ""))) {
+    return res.json({ ...(await job.done), job: publicJob(job) });
+  }
+  res.status(202).json({ ok: true, job: publicJob(job) });
+}
+
+// 请求体 { confirmDeletions: true } 表示已确认本次删除数超过 maxDeletions
+function syncParams(req) {
+  return req.body?.confirmDeletions === true ? { confirmDeletions: true } : undefined;
+}
+
+app.post("/api/sync", (req, res) => respondWithJob(req, res, "sync", syncParams(req)));
+
+app.get("/api/sync/plan", async (req, res) => {
+  const result = await runSyncPlan(req.profile);
+  res.status(result.ok ? 200 : 500).json(result);
 });
 
-app.post("/api/sync", async (req, res) => {
-  const result = await runSync();
-  res.json(result);
+// 发布前预览：Quartz 仓库的待提交文件、目标分支与按模板生成的提交信息（?message= 可试用其它模板）
+app.get("/api/publish/preview", async (req, res) => {
+  try {
+    const cfg = await loadConfig(req.profile);
+    const { quartzContentDir } = resolvePaths(cfg);
+    const preview = await getPublishPreview(path.dirname(quartzContentDir), quartzContentDir, cfg.publish);
+    const template = typeof req.query.message === "string" && req.query.message.trim() ? req.query.message : cfg.publish.commitMessage;
+    res.json({ ok: true, ...preview, template: cfg.publish.commitMessage, message: renderCommitMessage(template, preview) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
 });
 
-app.post("/api/publish", async (req, res) => {
-  const result = await runPublish();
-  res.json(result);
+// 内容检查：扫描 Quartz 内容目录中失效的链接与图片、缺失或多出的文件及无效的 frontmatter
+app.get("/api/check", async (req, res) => {
+  try {
+    const cfg = await loadConfig(req.profile);
+    res.json({ ok: true, ...(await checkContent(cfg)), blockOnCheckErrors: cfg.publish.blockOnCheckErrors });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
 });
 
-app.post("/api/sync-and-publish", async (req, res) => {
-  appendLog("sync-and-publish", "running");
-  const syncRes = await runSync({ noLog: true });
-  if (!syncRes.ok) {
-    updateLastRunningLog("sync-and-publish", "fail", "Sync failed: " + (state.lastSyncError || "unknown"));
-    return res.json({ ok: false, error: "Sync failed", details: syncRes });
+// 发布类接口可在请求体中以 message 指定本次的提交信息模板
+function publishParams(req) {
+  const message = typeof req.body?.message === "string" ? req.body.message.trim() : "";
+  return message ? { message } : undefined;
+}
+
+app.post("/api/publish", (req, res) => respondWithJob(req, res, "publish", publishParams(req)));
+
+app.post("/api/sync-and-publish", (req, res) => {
+  const params = { ...syncParams(req), ...publishParams(req) };
+  respondWithJob(req, res, "sync-and-publish", Object.keys(params).length ? params : undefined);
+});
+
+// 发布历史：最近的发布及其推送的提交，最新的在前
+app.get("/api/publishes", async (req, res) => {
+  try {
+    res.json({ publishes: await listPublishes(runtime(req.profile).files) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
   }
-  const pubRes = await runPublish({ noLog: true });
-  updateLastRunningLog("sync-and-publish", pubRes.ok ? "success" : "fail", pubRes.ok ? undefined : (state.lastPublishError || "unknown"));
-  res.json(pubRes);
+});
+
+// 回滚到某次发布；请求体 { republish: true } 时回滚后立即发布
+app.post("/api/publishes/:id/rollback", async (req, res) => {
+  let record;
+  try {
+    record = await getPublish(runtime(req.profile).files, req.params.id);
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+  if (!record) return res.status(404).json({ error: "发布记录不存在" });
+  respondWithJob(req, res, "rollback", { publishId: record.id, republish: req.body?.republish === true });
+});
+
+app.get("/api/jobs", (req, res) => {
+  res.json(listJobs());
+});
+
+app.delete("/api/jobs/:id", (req, res) => {
+  if (!cancelJob(req.params.id)) return res.status(404).json({ error: "任务不存在或已结束" });
+  res.json({ ok: true });
 });
 
 app.post("/api/watcher", async (req, res) => {
   const { enabled } = req.body || {};
-  if (enabled === true) {
-    await startWatcher();
-  } else {
-    stopWatcher();
+  try {
+    if (enabled === true) {
+      await startWatcher(req.profile);
+    } else {
+      stopWatcher(req.profile);
+    }
+  } catch (e) {
+    return res.status(500).json({ error: e.message, watcherEnabled: runtime(req.profile).state.watcherEnabled });
   }
-  res.json({ watcherEnabled: state.watcherEnabled });
+  res.json({ watcherEnabled: runtime(req.profile).state.watcherEnabled });
 });
 
+/**
+ * 校验配置方案的路径：validatePaths 的检查，另外不能与其它方案使用同一 Quartz 内容目录（各自的 manifest 会互相删除文件）。
+ * 相对路径与 sync.mjs 一致，基于项目根目录解析。
+ * @returns {Promise<string[]>} 错误信息，为空表示通过
+ */
+async function checkProfilePaths(profileId, obsidianDir, quartzContentDir) {
+  const resolved = {
+    obsidianDir: path.resolve(PROJECT_ROOT, obsidianDir),
+    quartzContentDir: path.resolve(PROJECT_ROOT, quartzContentDir),
+  };
+  const { errors } = await validatePaths(resolved);
+  for (const id of profiles.keys()) {
+    if (id === profileId) continue;
+    const other = await loadSyncConfig(id);
+    if (path.resolve(other.quartzContentDir) === resolved.quartzContentDir) {
+      errors.push(`Quartz 内容目录已被配置方案「${id}」使用: ${resolved.quartzContentDir}`);
+    }
+  }
+  return errors;
+}
+
 app.get("/api/config", async (req, res) => {
   try {
-    const raw = await loadRawConfig();
-    const resolved = await loadSyncConfig();
+    const raw = await loadRawConfig(req.profile);
+    const cfg = await loadConfig(req.profile);
+    const resolved = resolvePaths(cfg);
     res.json({
+      profile: cfg.profile,
       obsidianDir: raw.obsidianDir,
       quartzContentDir: raw.quartzContentDir,
-      cronHour: raw.cronHour,
+      publishRules: raw.publishRules,
+      maxDeletions: cfg.maxDeletions,
       obsidianDirResolved: resolved.obsidianDir,
       quartzContentDirResolved: resolved.quartzContentDir,
+      validation: await validatePaths(resolved),
     });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -436,16 +1054,16 @@ app.put("/api/config", async (req, res) => {
   if (typeof obsidianDir !== "string" || typeof quartzContentDir !== "string") {
     return res.status(400).json({ error: "obsidianDir 和 quartzContentDir 均为必填字符串" });
   }
+  const errors = await checkProfilePaths(req.profile, obsidianDir.trim(), quartzContentDir.trim());
+  if (errors.length) return res.status(400).json({ error: errors.join("；"), errors });
   try {
-    const raw = await loadRawConfig();
-    await saveRawConfig({
+    await saveRawConfig(req.profile, {
       obsidianDir: obsidianDir.trim(),
       quartzContentDir: quartzContentDir.trim(),
-      cronHour: raw.cronHour,
     });
-    if (state.watcherEnabled) {
-      stopWatcher();
-      await startWatcher();
+    if (runtime(req.profile).state.watcherEnabled) {
+      stopWatcher(req.profile);
+      await startWatcher(req.profile);
     }
     res.json({ ok: true });
   } catch (e) {
@@ -454,20 +1072,216 @@ app.put("/api/config", async (req, res) => {
 });
 
 app.patch("/api/config", async (req, res) => {
-  const { cronHour } = req.body || {};
-  if (typeof cronHour !== "number" || cronHour < 0 || cronHour > 23) {
-    return res.status(400).json({ error: "cronHour 必须为 0–23 的整数" });
+  const { publishRules, maxDeletions, publish: publishChanges } = req.body || {};
+  if (publishRules === undefined && maxDeletions === undefined && publishChanges === undefined) {
+    return res.status(400).json({ error: "缺少 publishRules、maxDeletions 或 publish" });
+  }
+  if (publishRules !== undefined && (publishRules === null || typeof publishRules !== "object" || Array.isArray(publishRules))) {
+    return res.status(400).json({ error: "publishRules 必须为对象" });
+  }
+  if (maxDeletions !== undefined && maxDeletions !== null && !(Number.isInteger(maxDeletions) && maxDeletions >= 0)) {
+    return res.status(400).json({ error: "maxDeletions 必须为非负整数，或 null 表示不限制" });
+  }
+  // 目前只能在面板中修改发布前检查的开关，其余发布设置请编辑 config.json
+  if (publishChanges !== undefined && (publishChanges === null || typeof publishChanges !== "object" || typeof publishChanges.blockOnCheckErrors !== "boolean")) {
+    return res.status(400).json({ error: "publish 必须为对象，且 blockOnCheckErrors 为布尔值" });
+  }
+  try {
+    await saveRawConfig(req.profile, {
+      publishRules,
+      maxDeletions: maxDeletions === undefined ? undefined : normalizeMaxDeletions(maxDeletions),
+      publish: publishChanges && { blockOnCheckErrors: publishChanges.blockOnCheckErrors },
+    });
+    const cfg = await loadConfig(req.profile);
+    res.json({ ok: true, publishRules: cfg.publishRules, maxDeletions: cfg.maxDeletions, publish: cfg.publish });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// --- 配置方案 ---
+app.get("/api/profiles", async (req, res) => {
+  try {
+    res.json({ profiles: listProfiles(await readConfigFile()) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 新增配置方案：{ id, name, obsidianDir, quartzContentDir }；新方案没有定时任务，发布规则等沿用顶层的公共配置
+app.post("/api/profiles", async (req, res) => {
+  const { id, name, obsidianDir, quartzContentDir } = req.body || {};
+  if (!isValidProfileId(id)) {
+    return res.status(400).json({ error: "方案 id 只能包含小写字母、数字、- 和 _，以字母或数字开头，最长 32 个字符" });
+  }
+  if (typeof obsidianDir !== "string" || typeof quartzContentDir !== "string") {
+    return res.status(400).json({ error: "obsidianDir 和 quartzContentDir 均为必填字符串" });
+  }
+  try {
+    const file = await readConfigFile();
+    if (profileIds(file).includes(id)) return res.status(409).json({ error: `配置方案已存在: ${id}` });
+    const errors = await checkProfilePaths(id, obsidianDir.trim(), quartzContentDir.trim());
+    if (errors.length) return res.status(400).json({ error: errors.join("；"), errors });
+    const entry = {
+      name: typeof name === "string" && name.trim() ? name.trim() : id,
+      obsidianDir: obsidianDir.trim(),
+      quartzContentDir: quartzContentDir.trim(),
+      schedules: [],
+    };
+    await writeConfigFile(addProfile(file, id, entry));
+    await syncProfileRuntimes();
+    res.status(201).json({ ok: true, profile: listProfiles(await readConfigFile()).find((p) => p.id === id) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 删除配置方案：停止其监听与定时任务；状态文件与同步过的 Quartz 内容保留
+app.delete("/api/profiles/:id", async (req, res) => {
+  try {
+    const file = await readConfigFile();
+    const ids = profileIds(file);
+    if (!ids.includes(req.params.id)) return res.status(404).json({ error: `配置方案不存在: ${req.params.id}` });
+    if (ids.length === 1) return res.status(400).json({ error: "至少保留一个配置方案" });
+    if (jobQueue.running?.profile === req.params.id) return res.status(409).json({ error: "该方案有任务正在执行，请稍后再删除" });
+    await writeConfigFile(removeProfile(file, req.params.id));
+    await syncProfileRuntimes();
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// --- 定时任务 ---
+app.get("/api/schedules", async (req, res) => {
+  try {
+    res.json({ schedules: await listSchedules(req.profile) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 保存配置方案的定时任务列表并重新注册；config.json 中无效的定时任务原样保留在列表末尾
+async function saveSchedules(profileId, schedules) {
+  const { invalidSchedules: invalid } = await loadRawConfig(profileId);
+  await saveRawConfig(profileId, { schedules: [...schedules, ...invalid.map((x) => x.item)] });
+  await scheduleCron(profileId);
+}
+
+app.post("/api/schedules", async (req, res) => {
+  const { schedule, error } = validateSchedule({ ...req.body, id: `schedule-${Date.now().toString(36)}` });
+  if (error) return res.status(400).json({ error });
+  try {
+    const { schedules } = await loadRawConfig(req.profile);
+    await saveSchedules(req.profile, [...schedules, schedule]);
+    res.status(201).json({ ok: true, schedule });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
   }
+});
+
+// 部分更新，如 { enabled: false } 停用
+app.patch("/api/schedules/:id", async (req, res) => {
+  try {
+    const { schedules } = await loadRawConfig(req.profile);
+    const idx = schedules.findIndex((s) => s.id === req.params.id);
+    if (idx < 0) return res.status(404).json({ error: "定时任务不存在" });
+    const { schedule, error } = validateSchedule({ ...schedules[idx], ...req.body, id: schedules[idx].id });
+    if (error) return res.status(400).json({ error });
+    const next = [...schedules];
+    next[idx] = schedule;
+    await saveSchedules(req.profile, next);
+    res.json({ ok: true, schedule });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete("/api/schedules/:id", async (req, res) => {
   try {
-    const raw = await loadRawConfig();
-    await saveRawConfig({ ...raw, cronHour: Math.floor(cronHour) });
-    await rescheduleCron();
+    const { schedules } = await loadRawConfig(req.profile);
+    if (!schedules.some((s) => s.id === req.params.id)) return res.status(404).json({ error: "定时任务不存在" });
+    await saveSchedules(req.profile, schedules.filter((s) => s.id !== req.params.id));
     res.json({ ok: true });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
+// --- 任务结果通知 ---
+app.get("/api/notifications", async (req, res) => {
+  try {
+    const { notifications } = await loadConfig(req.profile);
+    res.json({
+      channels: describeChannels(notifications),
+      errors: notifications.errors,
+      retries: notifications.retries,
+      retryDelayMs: notifications.retryDelayMs,
+      deliveries: await readDeliveryLog({ limit: 50, profile: req.profile }),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 发送测试通知；body.channel 为渠道名称，缺省时发给全部渠道
+app.post("/api/notifications/test", async (req, res) => {
+  try {
+    const { notifications } = await loadConfig(req.profile);
+    if (notifications.channels.length === 0) return res.status(400).json({ error: "尚未配置通知渠道" });
+    const channel = typeof req.body?.channel === "string" && req.body.channel ? req.body.channel : undefined;
+    if (channel && !notifications.channels.some((ch) => ch.name === channel)) {
+      return res.status(404).json({ error: `通知渠道不存在: ${channel}` });
+    }
+    const results = await sendTestNotification(notifications, { channel, profile: req.profile });
+    res.json({ ok: results.every((r) => r.ok), results });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 外部触发器列表（不含令牌）与配置错误
+app.get("/api/hooks", async (req, res) => {
+  try {
+    const file = await readConfigFile();
+    const { hooks, errors } = normalizeHooks(file.hooks, { profileIds: profileIds(file), defaultProfile: defaultProfileId(file) });
+    res.json({ hooks: describeHooks(hooks), errors });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 按当前 frontmatter 规则预览单篇笔记写入 Quartz 时的属性，note 为相对 Obsidian 根目录的路径
+app.get("/api/frontmatter/preview", async (req, res) => {
+  const note = typeof req.query.note === "string" ? req.query.note.replace(/\\/g, "/") : "";
+  if (!note.toLowerCase().endsWith(".md")) {
+    return res.status(400).json({ error: "note 必须为 md 文件的相对路径" });
+  }
+  try {
+    const config = await loadConfig(req.profile);
+    const cfg = resolvePaths(config);
+    const full = path.resolve(cfg.obsidianDir, note);
+    const rel = path.relative(cfg.obsidianDir, full);
+    if (rel.startsWith("..") || path.isAbsolute(rel)) {
+      return res.status(400).json({ error: "note 必须位于 Obsidian 目录内" });
+    }
+    const content = await fs.readFile(full, "utf-8");
+    const stat = await fs.stat(full);
+    const { data, error } = parseFrontmatter(content);
+    if (error) return res.status(422).json({ error: "frontmatter 解析失败: " + error });
+    const relPosix = rel.replace(/\\/g, "/");
+    res.json({
+      note: relPosix,
+      publishable: isPublishable(relPosix, data, config.publishRules),
+      before: data ?? {},
+      after: transformFrontmatterData(data ?? {}, { rel: relPosix, mtime: stat.mtimeMs }, config.frontmatter),
+    });
+  } catch (e) {
+    if (e.code === "ENOENT") return res.status(404).json({ error: "笔记不存在: " + note });
+    res.status(500).json({ error: e.message });
+  }
+});
+
 app.post("/api/pick-dir", async (req, res) => {
   const { which } = req.body || {};
   const prompt = which === "quartz" ? "选择 Quartz 内容目录" : "选择 Obsidian 目录";
@@ -479,81 +1293,151 @@ app.post("/api/pick-dir", async (req, res) => {
   }
 });
 
-// Quartz 预览代理：/quartz-preview -> http://localhost:8082，同源 iframe 无跨域问题
-const QUARTZ_PREVIEW_PORT = 8082;
-const QUARTZ_PREVIEW_WS_PORT = 3004;
+// --- Quartz 预览 ---
+// 预览进程只有一个：可预览任一配置方案的 Quartz 站点，状态与输出推送给所有连接
 const QUARTZ_PREVIEW_PREFIX = "/quartz-preview";
+// Quartz 热重载 WebSocket 经面板转发的路径
+const QUARTZ_PREVIEW_WS_PATH = `${QUARTZ_PREVIEW_PREFIX}/__ws`;
 
-let quartzPreviewProcess = null;
+onPreviewEvent((event, data) => {
+  if (event === "status") {
+    broadcast("preview", data);
+    if (data.state === "running") console.log(`Quartz 预览已启动：http://localhost:${data.port}（[${data.profile}] ${data.quartzDir}）`);
+    else if (data.state === "exited") console.warn("Quartz 预览已退出:", data.error);
+  } else {
+    broadcast("preview-output", data);
+  }
+});
+
+/** 启动或重启指定配置方案的预览；端口取自 config.json 的 preview 与环境变量 */
+async function launchPreview(profileId, restart = false) {
+  const cfg = await loadSyncConfig(profileId);
+  const quartzDir = path.dirname(cfg.quartzContentDir);
+  if (!(await isQuartzRepo(quartzDir))) {
+    const err = new Error(`不是 Quartz 仓库（缺少 quartz.config.ts）: ${quartzDir}`);
+    err.status = 400;
+    throw err;
+  }
+  const settings = normalizePreviewSettings((await readConfigFile()).preview);
+  const options = { quartzDir, profile: profileId, settings };
+  return restart ? restartPreview(options) : startPreview(options);
+}
 
-async function startQuartzPreview() {
-  if (quartzPreviewProcess) return;
-  let quartzDir;
+function previewResponse() {
+  return { ...getPreviewStatus(), output: getPreviewOutput() };
+}
+
+app.get("/api/preview", (req, res) => {
+  res.json(previewResponse());
+});
+
+// 启动 / 重启预览所选配置方案（X-Profile）的 Quartz 站点；进程启动后立即返回，首次构建完成后状态变为 running
+app.post("/api/preview/start", async (req, res) => {
+  if (getPreviewStatus().pid) return res.status(409).json({ ...previewResponse(), error: "预览已在运行" });
   try {
-    const cfg = await loadSyncConfig();
-    quartzDir = path.dirname(cfg.quartzContentDir);
+    await launchPreview(req.profile);
+    res.json(previewResponse());
   } catch (e) {
-    console.warn("Quartz 预览自动启动跳过：无法读取配置", e.message);
-    return;
+    res.status(e.status || 500).json({ error: e.message });
   }
-  const proc = spawn("npx", ["quartz", "build", "--serve", "--port", String(QUARTZ_PREVIEW_PORT), "--wsPort", String(QUARTZ_PREVIEW_WS_PORT)], {
-    cwd: quartzDir,
-    stdio: ["ignore", "pipe", "pipe"],
-    shell: process.platform === "win32",
-  });
-  quartzPreviewProcess = proc;
-  proc.stdout?.on("data", (d) => process.stdout.write(d));
-  proc.stderr?.on("data", (d) => process.stderr.write(d));
-  proc.on("close", (code, signal) => {
-    quartzPreviewProcess = null;
-    if (code != null && code !== 0) console.log("Quartz 预览进程退出:", code, signal || "");
-  });
-  proc.on("error", (e) => {
-    quartzPreviewProcess = null;
-    console.warn("Quartz 预览启动失败:", e.message);
-  });
-  console.log("Quartz 预览已启动（工作目录:", quartzDir, "）");
-}
+});
 
-function stopQuartzPreview() {
-  if (quartzPreviewProcess) {
-    quartzPreviewProcess.kill("SIGTERM");
-    quartzPreviewProcess = null;
-    console.log("Quartz 预览已停止");
+app.post("/api/preview/restart", async (req, res) => {
+  try {
+    await launchPreview(req.profile, true);
+    res.json(previewResponse());
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
   }
+});
+
+app.post("/api/preview/stop", async (req, res) => {
+  await stopPreview();
+  res.json(previewResponse());
+});
+
+// Quartz 注入页面的热重载脚本连接 ws://localhost:<wsPort>，改为经面板同源转发，远程访问面板时也能自动刷新
+function rewritePreviewWsUrl(body, wsPort) {
+  const wsUrl = new RegExp(`(['"\`])ws://localhost:${wsPort}/?\\1`, "g");
+  return body.replace(wsUrl, `((location.protocol === "https:" ? "wss://" : "ws://") + location.host + "${QUARTZ_PREVIEW_WS_PATH}")`);
 }
-app.use(QUARTZ_PREVIEW_PREFIX, (req, res) => {
-  const upstreamPath = req.url || "/";
+
+// Quartz 预览代理：/quartz-preview -> http://localhost:<port>，同源 iframe 无跨域问题
+app.use(QUARTZ_PREVIEW_PREFIX, requireAuth, (req, res) => {
+  const { port, wsPort, state } = getPreviewStatus();
+  if (state !== "running") {
+    const hint = state === "starting" ? "Quartz 正在构建站点，完成后会自动显示" : "请在面板「预览」区域点击「启动」";
+    return res.status(503).setHeader("Content-Type", "text/html; charset=utf-8").send(
+      `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Quartz 预览未启动</title></head><body style="font-family:sans-serif;padding:2rem;max-width:32rem;">
+        <h2>Quartz 预览${state === "starting" ? "启动中" : "服务未启动"}</h2>
+        <p>${hint}。</p>
+        </body></html>`
+    );
+  }
   const opt = {
     hostname: "localhost",
-    port: QUARTZ_PREVIEW_PORT,
-    path: upstreamPath,
+    port,
+    path: req.url || "/",
     method: req.method,
-    headers: { ...req.headers, host: `localhost:${QUARTZ_PREVIEW_PORT}` },
+    // 不接受压缩，便于改写页面与脚本中的热重载地址
+    headers: { ...req.headers, host: `localhost:${port}`, "accept-encoding": "identity" },
   };
   const proxyReq = http.request(opt, (proxyRes) => {
     res.status(proxyRes.statusCode);
-    Object.keys(proxyRes.headers).forEach((k) => res.setHeader(k, proxyRes.headers[k]));
-    proxyRes.pipe(res);
+    const type = String(proxyRes.headers["content-type"] || "");
+    const rewrite = /text\/html|javascript/.test(type);
+    Object.keys(proxyRes.headers).forEach((k) => {
+      if (!(rewrite && k === "content-length")) res.setHeader(k, proxyRes.headers[k]);
+    });
+    if (!rewrite) return proxyRes.pipe(res);
+    const chunks = [];
+    proxyRes.on("data", (c) => chunks.push(c));
+    proxyRes.on("end", () => res.send(rewritePreviewWsUrl(Buffer.concat(chunks).toString("utf-8"), wsPort)));
   });
   proxyReq.on("error", (err) => {
-    if (err.code === "ECONNREFUSED") {
-      res.status(503).setHeader("Content-Type", "text/html; charset=utf-8").send(
-        `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Quartz 预览未启动</title></head><body style="font-family:sans-serif;padding:2rem;max-width:32rem;">
-        <h2>Quartz 预览服务未启动</h2>
-        <p>请在<strong>项目根目录</strong>下先进入 quartz 目录，再执行：</p>
-        <pre style="background:#f0f0f0;padding:1rem;border-radius:6px;">cd quartz
-npx quartz build --serve --port ${QUARTZ_PREVIEW_PORT} --wsPort ${QUARTZ_PREVIEW_WS_PORT}</pre>
-        <p>（若已在 quartz 目录，直接执行第二行即可。启动后刷新本页即可看到预览。）</p>
-        </body></html>`
-      );
-    } else {
-      res.status(502).send("Proxy error: " + err.message);
-    }
+    res.status(502).send("Proxy error: " + err.message);
   });
   req.pipe(proxyReq);
 });
 
+// 热重载 WebSocket：HTTP 代理无法转发协议升级，这里直接对接两端的 socket
+function proxyPreviewUpgrade(req, socket, head) {
+  const { wsPort, state } = getPreviewStatus();
+  if (!authorizeUpgrade(req)) {
+    socket.end("HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n");
+    return;
+  }
+  if (state !== "running") {
+    socket.end("HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n");
+    return;
+  }
+  const proxyReq = http.request({
+    hostname: "localhost",
+    port: wsPort,
+    path: "/",
+    method: req.method,
+    headers: { ...req.headers, host: `localhost:${wsPort}` },
+  });
+  proxyReq.on("upgrade", (proxyRes, proxySocket, proxyHead) => {
+    const lines = [`HTTP/1.1 ${proxyRes.statusCode} ${proxyRes.statusMessage}`];
+    for (let i = 0; i < proxyRes.rawHeaders.length; i += 2) {
+      lines.push(`${proxyRes.rawHeaders[i]}: ${proxyRes.rawHeaders[i + 1]}`);
+    }
+    socket.write(lines.join("\r\n") + "\r\n\r\n");
+    if (proxyHead.length) socket.write(proxyHead);
+    proxySocket.on("error", () => socket.destroy());
+    socket.on("error", () => proxySocket.destroy());
+    proxySocket.pipe(socket).pipe(proxySocket);
+  });
+  proxyReq.on("response", (proxyRes) => {
+    socket.end(`HTTP/1.1 ${proxyRes.statusCode} ${proxyRes.statusMessage}\r\nConnection: close\r\n\r\n`);
+    proxyRes.resume();
+  });
+  proxyReq.on("error", () => socket.end("HTTP/1.1 502 Bad Gateway\r\nConnection: close\r\n\r\n"));
+  if (head.length) proxyReq.write(head);
+  proxyReq.end();
+}
+
 app.use(express.static(path.join(__dirname, "public")));
 
 // 环境变量 AUTO_WATCH=1 时，启动时自动开启监听（无需打开浏览器勾选）
@@ -561,8 +1445,10 @@ const autoWatch = /^(1|true|yes)$/i.test(String(process.env.AUTO_WATCH || "").tr
 // 环境变量 AUTO_QUARTZ_PREVIEW=1 时，启动时自动启动 Quartz 预览服务
 const autoQuartzPreview = /^(1|true|yes)$/i.test(String(process.env.AUTO_QUARTZ_PREVIEW || "").trim());
 
+// 预览进程在独立进程组中，不会随终端的 Ctrl+C 一起退出，需要主动结束
 function onExit() {
-  stopQuartzPreview();
+  killPreview();
+  process.exit(0);
 }
 process.on("SIGINT", onExit);
 process.on("SIGTERM", onExit);
@@ -570,25 +1456,49 @@ process.on("SIGTERM", onExit);
 // --- Start ---
 const MAX_PORT_ATTEMPTS = 10;
 
-function tryListen(port) {
-  const server = app.listen(port, () => {
-    console.log(`Dashboard: http://localhost:${server.address().port}`);
-    if (state.watcherEnabled) console.log("自动同步已开启（监听 Obsidian 下 md 变更）");
+function tryListen(port, host) {
+  const server = app.listen(port, host, () => {
+    console.log(`Dashboard: http://${host.includes(":") ? `[${host}]` : host}:${server.address().port}`);
+    for (const rt of profiles.values()) {
+      if (rt.state.watcherEnabled) console.log(`[${rt.id}] 自动同步已开启（监听 Obsidian 库的笔记与附件变更）`);
+    }
+  });
+  server.on("upgrade", (req, socket, head) => {
+    if (req.url.split("?")[0] === QUARTZ_PREVIEW_WS_PATH) proxyPreviewUpgrade(req, socket, head);
+    else socket.destroy();
   });
   server.once("error", (err) => {
     if (err.code === "EADDRINUSE" && port < PORT + MAX_PORT_ATTEMPTS) {
       console.log(`端口 ${port} 已被占用，尝试 ${port + 1}...`);
-      server.close(() => tryListen(port + 1));
+      server.close(() => tryListen(port + 1, host));
     } else {
       throw err;
     }
   });
 }
 
+// 监听地址与登录设置：环境变量 HOST / DASHBOARD_TOKEN / DASHBOARD_PASSWORD 优先于 config.json
+async function loadServerSettings() {
+  return loadAuthSettings(await readConfigFile());
+}
+
 (async () => {
-  await loadState();
-  if (state.watcherEnabled || autoWatch) await startWatcher();
-  if (autoQuartzPreview) await startQuartzPreview();
-  await scheduleCron();
-  tryListen(PORT);
+  let settings;
+  try {
+    settings = await loadServerSettings();
+  } catch (e) {
+    // 不能按空配置启动：那样会在未启用登录的情况下运行
+    console.error(`无法读取 config.json，面板未启动：${e.message}`);
+    process.exit(1);
+  }
+  configureAuth(settings);
+  if (!authEnabled() && !isLoopbackHost(settings.host)) {
+    console.error(`监听 ${settings.host} 时必须设置访问令牌或密码（DASHBOARD_TOKEN / DASHBOARD_PASSWORD，或 config.json 中的 auth），否则局域网内任何人都能操作面板。`);
+    process.exit(1);
+  }
+  await syncProfileRuntimes();
+  if (autoQuartzPreview) {
+    await launchPreview(defaultProfile).catch((e) => console.warn("Quartz 预览自动启动失败:", e.message));
+  }
+  tryListen(PORT, settings.host);
 })();
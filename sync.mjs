@@ -1,39 +1,63 @@
 #!/usr/bin/env node
 /**
  * Obsidian 可发布内容 → Quartz content 同步脚本
- * 以「相对路径 + 最后修改时间」比对：新增、更新、删除。
+ * 以「相对路径 + 内容哈希」比对：新增、更新、删除。
  * 不修改 index.md 等非本工具写入的文件。
  */
 
 import fs from "fs/promises";
 import path from "path";
+import { createHash } from "crypto";
 import { fileURLToPath } from "url";
+import {
+  parseFrontmatter,
+  normalizePublishRules,
+  isPathAllowed,
+  isPublishable,
+  matchesGlob,
+  normalizeFrontmatterRules,
+  transformFrontmatter,
+} from "./frontmatter.mjs";
+import { normalizeRedactionRules, redactPrivate, findRedactionLeaks } from "./redact.mjs";
+import { normalizePublishSettings } from "./publish.mjs";
+import { validatePaths, normalizeMaxDeletions } from "./safety.mjs";
+import { normalizeNotificationSettings } from "./notify.mjs";
+import { readConfigFile, defaultProfileId, listProfiles, profileConfig, profileFiles } from "./profiles.mjs";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const PROJECT_ROOT = path.resolve(__dirname, "..");
-const CONFIG_PATH = path.join(__dirname, "config.json");
 
-async function loadConfig() {
-  const defaults = {
-    obsidianDir: path.join(PROJECT_ROOT, "obsidian"),
-    quartzContentDir: path.join(PROJECT_ROOT, "quartz", "content"),
+/**
+ * 读取某个配置方案的同步配置。
+ * @param {string} [profileId] - 缺省为默认方案；指定的方案不存在时抛出异常
+ */
+export async function loadConfig(profileId) {
+  const file = await readConfigFile();
+  const id = profileId ?? defaultProfileId(file);
+  const cfg = profileConfig(file, id);
+  if (!cfg) throw new Error(`配置方案不存在: ${id}`);
+  const resolvePath = (p) =>
+    path.isAbsolute(p) ? p : path.resolve(PROJECT_ROOT, p);
+  return {
+    profile: listProfiles(file).find((p) => p.id === id),
+    obsidianDir: cfg.obsidianDir != null ? resolvePath(cfg.obsidianDir) : path.join(PROJECT_ROOT, "obsidian"),
+    quartzContentDir: cfg.quartzContentDir != null ? resolvePath(cfg.quartzContentDir) : path.join(PROJECT_ROOT, "quartz", "content"),
+    publishRules: normalizePublishRules(cfg.publishRules),
+    frontmatter: normalizeFrontmatterRules(cfg.frontmatter),
+    attachments: normalizeAttachments(cfg.attachments),
+    redaction: normalizeRedactionRules(cfg.redaction),
+    publish: normalizePublishSettings(cfg.publish),
+    maxDeletions: normalizeMaxDeletions(cfg.maxDeletions),
+    watcher: normalizeWatcherSettings(cfg.watcher),
+    notifications: normalizeNotificationSettings(cfg.notifications),
   };
-  try {
-    const raw = await fs.readFile(CONFIG_PATH, "utf-8");
-    const cfg = JSON.parse(raw);
-    const resolvePath = (p) =>
-      path.isAbsolute(p) ? p : path.resolve(PROJECT_ROOT, p);
-    return {
-      obsidianDir: cfg.obsidianDir != null ? resolvePath(cfg.obsidianDir) : defaults.obsidianDir,
-      quartzContentDir: cfg.quartzContentDir != null ? resolvePath(cfg.quartzContentDir) : defaults.quartzContentDir,
-    };
-  } catch {
-    return defaults;
-  }
 }
 
-// 优先级：环境变量 > config.json > 默认值
-function resolvePaths(config) {
+// 优先级：环境变量 > config.json > 默认值；环境变量只作用于默认方案
+export function resolvePaths(config) {
+  if (config.profile && !config.profile.isDefault) {
+    return { obsidianDir: config.obsidianDir, quartzContentDir: config.quartzContentDir };
+  }
   const obsidianDir = process.env.OBSIDIAN_DIR
     ? path.resolve(PROJECT_ROOT, process.env.OBSIDIAN_DIR)
     : config.obsidianDir;
@@ -43,33 +67,124 @@ function resolvePaths(config) {
   return { obsidianDir, quartzContentDir };
 }
 
-// 同步状态放在工具目录内，与 obsidian / quartz 解耦
-const MANIFEST_PATH = path.join(__dirname, ".obsidian-sync-manifest.json");
+// 同步状态放在工具目录内，与 obsidian / quartz 解耦；每个配置方案一个 manifest
+export function manifestPath(profileId) {
+  return profileFiles(profileId).manifest;
+}
+
+// --- attachments: ![[file]]、[[file.pdf]]、![alt](path)、[text](path) ---
+// 附件按扩展名分类，决定写入 Quartz 时的嵌入方式
+const ATTACHMENT_TYPES = {
+  image: ["png", "jpg", "jpeg", "gif", "bmp", "svg", "webp", "avif", "ico", "tif", "tiff"],
+  audio: ["mp3", "wav", "m4a", "ogg", "flac", "aac", "3gp"],
+  video: ["mp4", "webm", "ogv", "mov", "mkv"],
+  pdf: ["pdf"],
+};
+// 未配置 attachments.outputDir 且 Obsidian 未设置附件目录时沿用的目录
+const DEFAULT_ATTACHMENT_DIR = "image";
 
-// --- frontmatter & publishable ---
-const FRONTMATTER_REGEX = /^---\s*\n([\s\S]*?)\n---/;
-// 同时匹配「可发布」与「已发布」
-const PUBLISHABLE_REGEX = /(?:可发布|已发布)\s*:\s*true/;
+// 一次匹配三种写法，避免改写后的输出被再次匹配：
+// 1: ![[inner]]  2: [[inner]]  3-5: (!)[text](href "title")
+export const ATTACHMENT_LINK_REGEX =
+  /!\[\[([^\]]+)\]\]|\[\[([^\]]+)\]\]|(!?)\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+// Obsidian 尺寸写法：|300 或 |300x200
+const SIZE_HINT_REGEX = /^(\d+)(?:x(\d+))?$/;
+
+function classifyAttachment(filename) {
+  const ext = path.extname(filename).slice(1).toLowerCase();
+  for (const [type, exts] of Object.entries(ATTACHMENT_TYPES)) {
+    if (exts.includes(ext)) return type;
+  }
+  return "file";
+}
 
-function hasPublishableFrontmatter(content) {
-  const match = content.match(FRONTMATTER_REGEX);
-  if (!match) return false;
-  return PUBLISHABLE_REGEX.test(match[1]);
+function normalizeAttachments(cfg) {
+  const outputDir =
+    typeof cfg?.outputDir === "string"
+      ? cfg.outputDir.trim().replace(/\\/g, "/").replace(/^\/+|\/+$/g, "")
+      : "";
+  return {
+    outputDir: outputDir && !outputDir.split("/").includes("..") ? outputDir : DEFAULT_ATTACHMENT_DIR,
+  };
 }
 
-// --- asset extraction: ![[...]] and ![...](relative path) ---
-const WIKI_IMAGE_REGEX = /!\[\[([^\]]+)\]\]/g;
-const MD_IMAGE_REGEX = /!\[[^\]]*\]\((?!https?:\/\/)([^)]+)\)/g;
+// 自动同步默认忽略的文件：编辑器的临时文件与交换文件（以 . 开头的文件与目录始终忽略）
+const DEFAULT_WATCHER_IGNORE = ["**/*.tmp", "**/*.swp", "**/*~"];
 
-function extractAssetRefs(content) {
-  const refs = new Set();
-  let m;
-  while ((m = WIKI_IMAGE_REGEX.exec(content)) !== null) refs.add(m[1].trim());
-  WIKI_IMAGE_REGEX.lastIndex = 0;
-  while ((m = MD_IMAGE_REGEX.exec(content)) !== null) {
-    const href = m[1].trim();
-    if (!href.startsWith("http")) refs.add(href);
+function normalizeWatcherSettings(cfg) {
+  const ignore = Array.isArray(cfg?.ignore)
+    ? cfg.ignore.filter((g) => typeof g === "string" && g.trim()).map((g) => g.trim())
+    : DEFAULT_WATCHER_IGNORE;
+  return { ignore };
+}
+
+/**
+ * 自动同步是否忽略该路径：以 . 开头的文件或目录（.obsidian、.trash 等），或匹配 watcher.ignore 中的 glob。
+ * @param {string} rel - 相对 Obsidian 根目录的路径
+ */
+export function isWatchIgnored(rel, watcher) {
+  if (rel.split("/").some((seg) => seg.startsWith("."))) return true;
+  return watcher.ignore.some((glob) => matchesGlob(rel, glob));
+}
+
+// 拆分 wikilink 内部：目标、#锚点与 | 之后的别名（表格中的分隔符写作 \|）
+export function parseWikiInner(inner) {
+  const pipe = inner.match(/\\?\|/);
+  const linkPart = pipe ? inner.slice(0, pipe.index) : inner;
+  const hashIdx = linkPart.indexOf("#");
+  return {
+    linkPart: linkPart.trim(),
+    target: (hashIdx >= 0 ? linkPart.slice(0, hashIdx) : linkPart).trim(),
+    anchor: hashIdx >= 0 ? linkPart.slice(hashIdx + 1).trim() : "",
+    alias: pipe ? inner.slice(pipe.index + pipe[0].length).trim() : "",
+    sep: pipe ? pipe[0] : "|",
+  };
+}
+
+function isAttachmentTarget(target) {
+  return ATTACHMENT_EXT_REGEX.test(target) && !/\.md$/i.test(target);
+}
+
+// md 链接中的相对路径；外链、站内绝对路径与页内锚点返回 null
+export function mdLinkTarget(href) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith("#") || href.startsWith("/")) return null;
+  const target = href.split("#")[0];
+  try {
+    return decodeURI(target);
+  } catch {
+    return target;
   }
+}
+
+// 遍历笔记中的附件引用，fn(match, { embed, target, label, anchor }) 返回替换文本
+function replaceAttachmentRefs(content, fn) {
+  return replaceOutsideCode(content, (text) =>
+    text.replace(ATTACHMENT_LINK_REGEX, (whole, embedInner, linkInner, bang, mdText, href) => {
+      if (embedInner != null) {
+        const { target, anchor, alias } = parseWikiInner(embedInner);
+        return fn(whole, { embed: true, target, label: alias, anchor });
+      }
+      if (linkInner != null) {
+        const { target, anchor, alias } = parseWikiInner(linkInner);
+        if (!isAttachmentTarget(target)) return whole;
+        return fn(whole, { embed: false, target, label: alias, anchor });
+      }
+      const target = mdLinkTarget(href);
+      if (!target || /\.md$/i.test(target)) return whole;
+      if (!bang && !isAttachmentTarget(target)) return whole;
+      return fn(whole, { embed: bang === "!", target, label: mdText, anchor: "" });
+    })
+  );
+}
+
+function extractAttachmentRefs(content) {
+  const refs = new Set();
+  replaceAttachmentRefs(content, (whole, { embed, target }) => {
+    // 无扩展名的 ![[...]] 是笔记嵌入，不是附件
+    if (embed && !ATTACHMENT_EXT_REGEX.test(target)) return whole;
+    refs.add(target);
+    return whole;
+  });
   return [...refs];
 }
 
@@ -77,7 +192,7 @@ function extractAssetRefs(content) {
 // 同步时使用相同的 slugify 规则，确保 markdown 中的引用与 Quartz 构建后的实际路径一致。
 function slugifyBasename(basename) {
   const ext = path.extname(basename);
-  const base = basename.slice(0, -ext.length);
+  const base = ext ? basename.slice(0, -ext.length) : basename;
   const slug = base
     .replace(/\s/g, "-")
     .replace(/&/g, "-and-")
@@ -87,164 +202,600 @@ function slugifyBasename(basename) {
   return slug + ext;
 }
 
-// Resolve asset path in obsidian: first image/, then same dir as md
-function resolveAssetPath(obsidianDir, mdDir, ref) {
-  const base = path.join(obsidianDir, mdDir);
-  const inImage = path.join(obsidianDir, "image", path.basename(ref));
-  const inSameDir = path.join(base, ref);
-  return { inImage, inSameDir, basename: path.basename(ref) };
-}
-
-async function findAssetFile(obsidianDir, mdDir, ref) {
-  const basename = path.basename(ref);
-  const slugified = slugifyBasename(basename);
-  const imageDir = path.join(obsidianDir, "image");
-  const base = path.join(obsidianDir, mdDir);
-  const candidates = [
-    path.join(imageDir, basename),
-    path.join(base, ref),
-    path.join(imageDir, slugified),
-  ];
-  // 额外：在 image 目录下按 slugify 名模糊匹配（处理 Obsidian 粘贴命名差异）
-  for (const p of candidates) {
-    try {
-      await fs.access(p);
-      return p;
-    } catch {
-      // continue
-    }
-  }
-  // 最后尝试：遍历 image 目录，按 slugify 后的 basename 匹配
+// Obsidian「新附件的默认位置」（.obsidian/app.json 的 attachmentFolderPath）
+async function readAttachmentFolderSetting(obsidianDir) {
   try {
-    const files = await fs.readdir(imageDir);
-    const wantSlug = slugified.toLowerCase();
-    for (const f of files) {
-      if (slugifyBasename(f).toLowerCase() === wantSlug) {
-        return path.join(imageDir, f);
-      }
-    }
+    const raw = await fs.readFile(path.join(obsidianDir, ".obsidian", "app.json"), "utf-8");
+    const value = JSON.parse(raw).attachmentFolderPath;
+    return typeof value === "string" && value.trim() ? value.trim() : null;
   } catch {
-    // ignore
+    return null;
   }
-  return null;
 }
 
-// Recursively list all .md under dir, relative to base
-async function listMdFiles(dir, base = dir) {
+// "/" 为库根目录，"./" 或 "./子目录" 相对当前笔记，其余为库内固定目录；未设置时沿用 image/
+function attachmentFolderFor(setting, noteDir) {
+  if (setting == null) return DEFAULT_ATTACHMENT_DIR;
+  if (setting === "/") return "";
+  const dir = setting === "." || setting.startsWith("./")
+    ? path.posix.normalize(path.posix.join(noteDir, setting))
+    : setting.replace(/^\/+/, "");
+  return dir.replace(/\/+$/, "").replace(/^\.$/, "");
+}
+
+function dirOf(rel) {
+  const d = path.posix.dirname(rel);
+  return d === "." ? "" : d;
+}
+
+// Recursively list vault files (skip hidden dirs), split into md notes and other files
+async function listVaultFiles(dir, base = dir) {
   const entries = await fs.readdir(dir, { withFileTypes: true });
-  const out = [];
+  const out = { notes: [], files: [] };
   for (const e of entries) {
     const full = path.join(dir, e.name);
-    const rel = path.relative(base, full);
-    if (e.isDirectory() && !e.name.startsWith(".") && e.name !== "image") {
-      out.push(...(await listMdFiles(full, base)));
-    } else if (e.isFile() && e.name.endsWith(".md")) {
-      out.push({ full, rel: rel.replace(/\\/g, "/") });
+    const rel = path.relative(base, full).replace(/\\/g, "/");
+    if (e.isDirectory() && !e.name.startsWith(".")) {
+      const sub = await listVaultFiles(full, base);
+      out.notes.push(...sub.notes);
+      out.files.push(...sub.files);
+    } else if (e.isFile()) {
+      (e.name.endsWith(".md") ? out.notes : out.files).push({ full, rel });
     }
   }
   return out;
 }
 
-async function getPublishableSet(obsidianDir) {
-  const candidates = await listMdFiles(obsidianDir);
-  const result = new Map();
-  for (const { full, rel } of candidates) {
-    const content = await fs.readFile(full, "utf-8");
-    if (!hasPublishableFrontmatter(content)) continue;
-    const stat = await fs.stat(full);
-    const refs = extractAssetRefs(content);
-    const mdDir = path.dirname(rel);
-    const resolvedAssets = [];
-    for (const ref of refs) {
-      const assetPath = await findAssetFile(obsidianDir, mdDir, ref);
-      if (assetPath) {
-        const basename = path.basename(ref);
-        const slugifiedBasename = slugifyBasename(basename);
-        resolvedAssets.push({ ref, basename, slugifiedBasename, sourcePath: assetPath });
-      }
+/** 扫描 Obsidian 库：笔记列表、附件索引与附件目录设置 */
+async function scanVault(obsidianDir) {
+  const { notes, files } = await listVaultFiles(obsidianDir);
+  const byPath = new Map();
+  const byName = new Map();
+  const bySlug = new Map();
+  const push = (map, key, rel) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(rel);
+  };
+  for (const { full, rel } of files) {
+    byPath.set(rel.toLowerCase(), full);
+    const name = path.posix.basename(rel);
+    push(byName, name.toLowerCase(), rel);
+    push(bySlug, slugifyBasename(name).toLowerCase(), rel);
+  }
+  return {
+    dir: obsidianDir,
+    notes,
+    attachments: { byPath, byName, bySlug },
+    attachmentFolder: await readAttachmentFolderSetting(obsidianDir),
+  };
+}
+
+// 解析附件引用：先按路径（相对笔记、相对库根、附件目录），再按文件名，最后按 slugify 后的文件名模糊匹配
+function resolveAttachment(target, fromRel, vault) {
+  const { byPath, byName, bySlug } = vault.attachments;
+  const t = target.replace(/\\/g, "/");
+  const fromDir = dirOf(fromRel);
+  const attachDir = attachmentFolderFor(vault.attachmentFolder, fromDir);
+  const name = path.posix.basename(t);
+  const candidates = [path.posix.join(fromDir, t), t.replace(/^\/+/, ""), path.posix.join(attachDir, name)];
+  for (const c of candidates) {
+    const full = byPath.get(path.posix.normalize(c).toLowerCase());
+    if (full) return full;
+  }
+  // 同名文件：优先附件目录，其次与笔记同目录，其次路径最短
+  const pick = (rels) => {
+    if (!rels) return null;
+    const rel =
+      rels.find((r) => dirOf(r) === attachDir) ??
+      rels.find((r) => dirOf(r) === fromDir) ??
+      [...rels].sort((a, b) => a.split("/").length - b.split("/").length || a.localeCompare(b))[0];
+    return byPath.get(rel.toLowerCase());
+  };
+  return pick(byName.get(name.toLowerCase())) ?? pick(bySlug.get(slugifyBasename(name).toLowerCase()));
+}
+
+// 可发布判断见 frontmatter.mjs：YAML 解析 frontmatter 后按 publishRules 匹配
+// 读取一篇笔记并解析其附件引用；不可发布或文件已删除时返回 null
+async function readNote(rel, vault, publishRules, attachments) {
+  if (!isPathAllowed(rel, publishRules)) return null;
+  const full = path.join(vault.dir, rel);
+  let content;
+  try {
+    content = await fs.readFile(full, "utf-8");
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+  if (!isPublishable(rel, parseFrontmatter(content).data, publishRules)) return null;
+  const stat = await fs.stat(full);
+  const resolvedAssets = [];
+  // 找不到源文件的引用：增量同步时据此判断新增的附件会影响哪些笔记
+  const missingAssets = [];
+  for (const ref of extractAttachmentRefs(content)) {
+    const sourcePath = resolveAttachment(ref, rel, vault);
+    if (!sourcePath) {
+      missingAssets.push(ref);
+      continue;
     }
-    result.set(rel, {
-      mtime: stat.mtimeMs,
-      content,
-      assets: resolvedAssets,
+    const slugifiedBasename = slugifyBasename(path.basename(sourcePath));
+    resolvedAssets.push({
+      ref,
+      type: classifyAttachment(sourcePath),
+      slugifiedBasename,
+      sourcePath,
+      path: `${attachments.outputDir}/${slugifiedBasename}`,
     });
   }
+  return { mtime: stat.mtimeMs, content, assets: resolvedAssets, missingAssets };
+}
+
+async function getPublishableSet(vault, publishRules, attachments) {
+  const result = new Map();
+  for (const { rel } of vault.notes) {
+    const data = await readNote(rel, vault, publishRules, attachments);
+    if (data) result.set(rel, data);
+  }
   return result;
 }
 
-function convertContentForQuartz(content, assets) {
-  let out = content;
-  for (const { ref, slugifiedBasename } of assets) {
-    const wiki = `![[${ref}]]`;
-    const replacement = `![](../image/${slugifiedBasename})`;
-    out = out.split(wiki).join(replacement);
+// --- wikilinks: [[Note]] / [[Note|alias]] / [[Note#Heading]]（不含 ![[...]] 嵌入） ---
+const WIKILINK_REGEX = /(?<!!)\[\[([^\]]+)\]\]/g;
+// 围栏代码块与行内代码：其中的内容原样保留，不做链接转换
+const CODE_REGEX = /^(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:^\1[^\n]*$|(?![\s\S]))|`[^`\n]+`/gm;
+const ATTACHMENT_EXT_REGEX = /\.[a-z0-9]{1,5}$/i;
+
+function replaceOutsideCode(content, fn) {
+  let out = "";
+  let last = 0;
+  for (const m of content.matchAll(CODE_REGEX)) {
+    out += fn(content.slice(last, m.index)) + m[0];
+    last = m.index + m[0].length;
+  }
+  return out + fn(content.slice(last));
+}
+
+/** 代码块与行内代码替换为等长的空白（保留换行），用于按位置查找代码以外的链接并计算行号 */
+export function maskCode(content) {
+  return content.replace(CODE_REGEX, (m) => m.replace(/[^\n]/g, " "));
+}
+
+// 按 Obsidian 的规则建立笔记索引：完整路径（不含 .md）与文件名均可作为链接目标
+function buildNoteIndex(noteRels) {
+  const byPath = new Map();
+  const byName = new Map();
+  for (const rel of noteRels) {
+    const noExt = rel.replace(/\.md$/i, "").toLowerCase();
+    byPath.set(noExt, rel);
+    const name = path.posix.basename(noExt);
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push(rel);
+  }
+  return { byPath, byName };
+}
+
+function resolveNoteLink(target, fromRel, index) {
+  const t = target.replace(/\\/g, "/").replace(/^\/+/, "").replace(/\.md$/i, "").toLowerCase();
+  const fromDir = path.posix.dirname(fromRel);
+  if (t.includes("/")) {
+    return index.byPath.get(t) ?? index.byPath.get(path.posix.normalize(path.posix.join(fromDir, t))) ?? null;
   }
-  // Also replace any remaining ![[...]] that might use same basename (fallback to slugify)
-  const wikiGlobal = /!\[\[([^\]]+)\]\]/g;
-  out = out.replace(wikiGlobal, (_, inner) => {
-    const base = path.basename(inner.trim());
-    const slugified = slugifyBasename(base);
-    return `![](../image/${slugified})`;
+  const matches = index.byName.get(t);
+  if (!matches) return null;
+  // 同名笔记：优先与当前笔记同目录，其次路径最短
+  return (
+    matches.find((r) => path.posix.dirname(r) === fromDir) ??
+    [...matches].sort((a, b) => a.split("/").length - b.split("/").length || a.localeCompare(b))[0]
+  );
+}
+
+/**
+ * 将指向可发布笔记的 wikilink 改写为以 content 根为起点的完整路径（Quartz 可直接解析），
+ * 指向未发布或不存在笔记的链接替换为纯文本，并返回链接报告。
+ * @returns {{ content: string, links: { resolved: string[], broken: { link: string, reason: 'unpublished'|'missing' }[] } }}
+ */
+function convertWikilinks(content, fromRel, published, index) {
+  const resolved = new Set();
+  const broken = [];
+  const out = replaceOutsideCode(content, (text) =>
+    text.replace(WIKILINK_REGEX, (whole, inner) => {
+      const { linkPart, target, anchor: heading, alias, sep } = parseWikiInner(inner);
+      // [[#Heading]] 为页内链接，Quartz 可直接处理
+      if (!target) return whole;
+      const targetRel = resolveNoteLink(target, fromRel, index);
+      // 非 md 附件（如 [[file.pdf]]）由 convertContentForQuartz 处理
+      if (!targetRel && isAttachmentTarget(target)) return whole;
+      const display = alias || (heading ? `${target} > ${heading}` : target);
+      if (targetRel && published.has(targetRel)) {
+        resolved.add(targetRel);
+        const anchor = heading ? `#${heading}` : "";
+        // 表格中的分隔符 \| 保持原样
+        return `[[${targetRel.replace(/\.md$/i, "")}${anchor}${sep}${display}]]`;
+      }
+      broken.push({ link: linkPart, reason: targetRel ? "unpublished" : "missing" });
+      return display;
+    })
+  );
+  return { content: out, links: { resolved: [...resolved].sort(), broken } };
+}
+
+function escapeAttr(str) {
+  return String(str).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+}
+
+// 渲染附件嵌入：图片保留尺寸，PDF / 音视频使用 Quartz 可渲染的 HTML 标签，其它附件输出为链接
+function renderEmbed(asset, label, anchor) {
+  const src = `../${asset.path}`;
+  // 别名末段为尺寸：![[img.png|300]]、![alt|300x200](img.png)
+  const parts = label.split("|");
+  const size = parts[parts.length - 1].trim().match(SIZE_HINT_REGEX);
+  const alt = size ? parts.slice(0, -1).join("|").trim() : label;
+  const sizeAttrs = size ? ` width="${size[1]}"${size[2] ? ` height="${size[2]}"` : ""}` : "";
+  switch (asset.type) {
+    case "image":
+      return size ? `<img src="${escapeAttr(src)}" alt="${escapeAttr(alt)}"${sizeAttrs}>` : `![${alt}](${src})`;
+    case "pdf":
+      return `<iframe src="${escapeAttr(src + (anchor ? `#${anchor}` : ""))}" class="pdf"${sizeAttrs}></iframe>`;
+    case "video":
+      return `<video src="${escapeAttr(src)}" controls${sizeAttrs}></video>`;
+    case "audio":
+      return `<audio src="${escapeAttr(src)}" controls></audio>`;
+    default:
+      return `[${alt || path.basename(asset.sourcePath)}](${src})`;
+  }
+}
+
+function convertContentForQuartz(content, assets, attachments) {
+  const byRef = new Map(assets.map((a) => [a.ref, a]));
+  return replaceAttachmentRefs(content, (whole, { embed, target, label, anchor }) => {
+    const asset = byRef.get(target);
+    if (asset) {
+      return embed ? renderEmbed(asset, label, anchor) : `[${label || target}](../${asset.path})`;
+    }
+    // 未找到源文件的 ![[...]]：按 slugify 后的文件名兜底
+    if (whole.startsWith("![[")) {
+      return `![](../${attachments.outputDir}/${slugifyBasename(path.basename(target))})`;
+    }
+    return whole;
   });
-  return out;
 }
 
-async function readManifest() {
+// --- transclusion: ![[Note]]、![[Note#Heading]]、![[Note#^blockid]] ---
+const NOTE_EMBED_REGEX = /!\[\[([^\]]+)\]\]/g;
+const EMBED_TOKEN_REGEX = /\u0000(\d+)\u0000/g;
+const MAX_EMBED_DEPTH = 10;
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * 截取嵌入的段落：#标题 取到下一个同级或更高级标题为止，#^blockid 取该块（段落或列表项）。
+ * 找不到时返回 null。
+ */
+function extractSection(body, anchor) {
+  if (!anchor) return body;
+  const lines = body.split(/\r?\n/);
+  if (anchor.startsWith("^")) {
+    const marker = new RegExp(`(?:^|\\s)\\^${escapeRegExp(anchor.slice(1))}\\s*$`);
+    const idx = lines.findIndex((l) => marker.test(l));
+    if (idx < 0) return null;
+    // 块 ID 独占一行时指向上方的块（如列表、引用、表格）
+    if (lines[idx].trim() === anchor) {
+      let end = idx - 1;
+      while (end >= 0 && !lines[end].trim()) end--;
+      if (end < 0) return null;
+      let begin = end;
+      while (begin > 0 && lines[begin - 1].trim() && !/^#{1,6}\s/.test(lines[begin - 1])) begin--;
+      return lines.slice(begin, end + 1).join("\n");
+    }
+    const strip = (l) => l.replace(marker, "").trimEnd();
+    if (/^\s*(?:[-*+]|\d+[.)])\s/.test(lines[idx])) return strip(lines[idx]);
+    let begin = idx;
+    while (begin > 0 && lines[begin - 1].trim() && !/^#{1,6}\s/.test(lines[begin - 1])) begin--;
+    return [...lines.slice(begin, idx), strip(lines[idx])].join("\n");
+  }
+  // [[Note#H1#H2]] 取最后一级标题
+  const want = anchor.split("#").pop().trim().toLowerCase();
+  let fence = null;
+  let start = -1;
+  let level = 0;
+  for (let i = 0; i < lines.length; i++) {
+    const f = lines[i].match(/^\s*(`{3,}|~{3,})/);
+    if (f) {
+      if (!fence) fence = f[1];
+      else if (f[1].startsWith(fence)) fence = null;
+      continue;
+    }
+    if (fence) continue;
+    const h = lines[i].match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (!h) continue;
+    if (start < 0) {
+      if (h[2].trim().toLowerCase() === want) {
+        start = i;
+        level = h[1].length;
+      }
+    } else if (h[1].length <= level) {
+      return lines.slice(start, i).join("\n").trimEnd();
+    }
+  }
+  return start < 0 ? null : lines.slice(start).join("\n").trimEnd();
+}
+
+const EMBED_PLACEHOLDERS = {
+  unpublished: (link) => `*（嵌入的笔记「${link}」未发布）*`,
+  missing: (link) => `*（嵌入的笔记「${link}」不存在）*`,
+  cycle: (link) => `*（循环嵌入「${link}」已省略）*`,
+  section: (link) => `*（未找到嵌入的段落「${link}」）*`,
+};
+
+/**
+ * 渲染笔记正文：展开笔记嵌入，改写 wikilink 与附件引用。
+ * 嵌入内容按被嵌入笔记自身的目录渲染，先以占位符代替，外层改写完成后再代回，避免被再次改写。
+ * ctx.published 为全部可发布笔记（判断链接目标是否发布），ctx.publishable 为已读取内容的笔记（须含被嵌入的笔记）。
+ * @param {string[]} stack - 正在展开的「笔记#段落」，用于检测循环嵌入
+ * @returns {{ content: string, links: { resolved: string[], broken: { link: string, reason: string }[] }, embeds: string[] }}
+ */
+function renderNote(rel, content, ctx, stack = [`${rel}#`]) {
+  const { publishable, published, noteIndex, attachments } = ctx;
+  const rendered = [];
+  const resolved = new Set();
+  const broken = [];
+  const embeds = new Set();
+  const withTokens = replaceOutsideCode(content, (text) =>
+    text.replace(NOTE_EMBED_REGEX, (whole, inner) => {
+      const { linkPart, target, anchor } = parseWikiInner(inner);
+      // ![[#标题]] 嵌入当前笔记的段落
+      const targetRel = target ? resolveNoteLink(target, rel, noteIndex) : rel;
+      // 附件嵌入由 convertContentForQuartz 处理
+      if (!targetRel && isAttachmentTarget(target)) return whole;
+      const fail = (reason) => {
+        broken.push({ link: linkPart, reason });
+        rendered.push(EMBED_PLACEHOLDERS[reason](linkPart));
+        return `\u0000${rendered.length - 1}\u0000`;
+      };
+      if (!targetRel) return fail("missing");
+      if (!published.has(targetRel)) return fail("unpublished");
+      const key = `${targetRel}#${anchor}`;
+      if (stack.includes(key) || stack.length > MAX_EMBED_DEPTH) return fail("cycle");
+      embeds.add(targetRel);
+      const section = extractSection(parseFrontmatter(publishable.get(targetRel).content).body, anchor);
+      if (section == null) return fail("section");
+      const embedded = renderNote(targetRel, section, ctx, [...stack, key]);
+      embedded.links.resolved.forEach((r) => resolved.add(r));
+      broken.push(...embedded.links.broken);
+      embedded.embeds.forEach((r) => embeds.add(r));
+      // 多行内容作为独立的块插入，避免与嵌入语法所在行的文字连在一起
+      const text = embedded.content.trim();
+      rendered.push(text.includes("\n") ? `\n\n${text}\n\n` : text);
+      return `\u0000${rendered.length - 1}\u0000`;
+    })
+  );
+  const { content: linked, links } = convertWikilinks(withTokens, rel, published, noteIndex);
+  links.resolved.forEach((r) => resolved.add(r));
+  const converted = convertContentForQuartz(linked, publishable.get(rel).assets, attachments);
+  return {
+    content: converted.replace(EMBED_TOKEN_REGEX, (_, i) => rendered[Number(i)]),
+    links: { resolved: [...resolved].sort(), broken: [...links.broken, ...broken] },
+    embeds: [...embeds].sort(),
+  };
+}
+
+// --- manifest ---
+// v1：{ entries: { [rel]: { mtime, assets } } }，仅按 mtime 判断更新
+// v2：笔记与资源均记录内容哈希，assets 为 { [相对 content 的资源路径]: { hash, size, mtime, source } }
+//     contentDir 记录写入时 Quartz 内容目录的真实路径，目录变化时拒绝同步（旧 manifest 没有该字段，下次同步时补上）
+//     configHash 为影响输出的配置的摘要，与当前配置不同时增量同步改为完整同步
+const MANIFEST_VERSION = 2;
+
+function sha256(data) {
+  return createHash("sha256").update(data).digest("hex");
+}
+
+async function hashFileIfExists(filePath) {
   try {
-    const raw = await fs.readFile(MANIFEST_PATH, "utf-8");
+    return sha256(await fs.readFile(filePath));
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+async function readManifest(file) {
+  try {
+    const raw = await fs.readFile(file, "utf-8");
     return JSON.parse(raw);
   } catch {
-    return { version: 1, entries: {} };
+    return { version: MANIFEST_VERSION, entries: {}, assets: {} };
+  }
+}
+
+/**
+ * 将 v1 manifest 迁移为 v2。v1 没有哈希，以 quartzContentDir 中已写出的文件内容补齐，
+ * 这样迁移后只有内容确实不同的笔记与资源才会被重写。
+ */
+async function migrateManifest(manifest, quartzContentDir) {
+  if (manifest.version === MANIFEST_VERSION) {
+    return {
+      version: MANIFEST_VERSION,
+      contentDir: manifest.contentDir,
+      configHash: manifest.configHash,
+      entries: manifest.entries || {},
+      assets: manifest.assets || {},
+    };
   }
+  const entries = {};
+  const assets = {};
+  for (const [rel, e] of Object.entries(manifest.entries || {})) {
+    entries[rel] = {
+      hash: null,
+      outputHash: await hashFileIfExists(path.join(quartzContentDir, rel)),
+      mtime: e.mtime,
+      assets: e.assets || [],
+      links: e.links,
+    };
+    for (const a of e.assets || []) {
+      if (!assets[a]) assets[a] = { hash: await hashFileIfExists(path.join(quartzContentDir, a)) };
+    }
+  }
+  return { version: MANIFEST_VERSION, contentDir: manifest.contentDir, entries, assets };
 }
 
-async function writeManifest(entriesObj) {
+async function writeManifest(file, manifest) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
   await fs.writeFile(
-    MANIFEST_PATH,
-    JSON.stringify({ version: 1, entries: entriesObj }, null, 2),
+    file,
+    JSON.stringify(
+      {
+        version: MANIFEST_VERSION,
+        contentDir: manifest.contentDir,
+        configHash: manifest.configHash,
+        entries: manifest.entries,
+        assets: manifest.assets,
+      },
+      null,
+      2
+    ),
     "utf-8"
   );
 }
 
-async function run() {
-  const config = await loadConfig();
-  const { obsidianDir: OBSIDIAN_DIR, quartzContentDir: QUARTZ_CONTENT_DIR } =
-    resolvePaths(config);
+/**
+ * 收集所有可发布笔记引用的资源并计算源文件哈希。
+ * 大小与 mtime 均未变化时沿用 manifest 中的哈希，避免每次读取全部资源。
+ * @returns {Promise<Map<string, { hash: string, size: number, mtime: number }>>} 以源文件绝对路径为 key
+ */
+async function hashAssetSources(publishable, prevAssets, obsidianDir) {
+  const prevBySource = new Map(Object.values(prevAssets).map((a) => [a.source, a]));
+  const result = new Map();
+  for (const [, data] of publishable) {
+    for (const { sourcePath } of data.assets) {
+      if (result.has(sourcePath)) continue;
+      const stat = await fs.stat(sourcePath);
+      const prev = prevBySource.get(path.relative(obsidianDir, sourcePath).replace(/\\/g, "/"));
+      const hash =
+        prev?.hash && prev.size === stat.size && prev.mtime === stat.mtimeMs
+          ? prev.hash
+          : sha256(await fs.readFile(sourcePath));
+      result.set(sourcePath, { hash, size: stat.size, mtime: stat.mtimeMs });
+    }
+  }
+  return result;
+}
 
-  const publishable = await getPublishableSet(OBSIDIAN_DIR);
-  const manifest = await readManifest();
-  const entries = manifest.entries || {};
-  const newEntries = {};
+/**
+ * 为资源分配输出路径。不同源文件 slugify 后落到同一路径（如两个目录下的 a b.png，或 a b.png 与 a-b.png）时，
+ * 这些文件都改用「文件名-内容哈希前 8 位」，避免互相覆盖；内容相同的文件仍共用一个路径。
+ * 比较路径时忽略大小写，兼容大小写不敏感的文件系统。会直接改写各 asset 的 path。
+ * @returns {{ assetInfo: Map<string, { sourcePath: string, hash: string, size: number, mtime: number }>, collisions: { path: string, sources: { source: string, path: string }[] }[] }}
+ */
+function assignAssetPaths(publishable, sourceInfo, obsidianDir) {
+  const groups = new Map();
+  for (const [, data] of publishable) {
+    for (const asset of data.assets) {
+      const key = asset.path.toLowerCase();
+      if (!groups.has(key)) groups.set(key, { path: asset.path, sources: new Set() });
+      groups.get(key).sources.add(asset.sourcePath);
+    }
+  }
+  const finalPath = new Map();
+  const collisions = [];
+  for (const { path: assetPath, sources } of groups.values()) {
+    const sorted = [...sources].sort();
+    const hashes = new Set(sorted.map((src) => sourceInfo.get(src).hash));
+    if (hashes.size === 1) {
+      for (const src of sorted) finalPath.set(src, assetPath);
+      continue;
+    }
+    const dir = path.posix.dirname(assetPath);
+    const collision = { path: assetPath, sources: [] };
+    for (const src of sorted) {
+      const slug = slugifyBasename(path.basename(src));
+      const ext = path.extname(slug);
+      const stem = ext ? slug.slice(0, -ext.length) : slug;
+      const unique = `${dir}/${stem}-${sourceInfo.get(src).hash.slice(0, 8)}${ext}`;
+      finalPath.set(src, unique);
+      collision.sources.push({ source: path.relative(obsidianDir, src).replace(/\\/g, "/"), path: unique });
+    }
+    collisions.push(collision);
+  }
 
-  // 1. Delete: in manifest but not in publishable
-  const toDeleteMd = Object.keys(entries).filter((rel) => !publishable.has(rel));
-  const assetsStillReferenced = new Set();
+  const assetInfo = new Map();
   for (const [, data] of publishable) {
-    for (const a of data.assets) assetsStillReferenced.add(`image/${a.slugifiedBasename}`);
+    for (const asset of data.assets) {
+      asset.path = finalPath.get(asset.sourcePath);
+      asset.slugifiedBasename = path.posix.basename(asset.path);
+      if (!assetInfo.has(asset.path)) {
+        assetInfo.set(asset.path, { sourcePath: asset.sourcePath, ...sourceInfo.get(asset.sourcePath) });
+      }
+    }
   }
-  for (const rel of toDeleteMd) {
-    const quartzMdPath = path.join(QUARTZ_CONTENT_DIR, rel);
+  return { assetInfo, collisions };
+}
+
+/**
+ * 对比可发布集合与上次 manifest，生成变更计划（不触碰文件系统）。
+ * 笔记以转换后输出内容的哈希判断是否需要重写，资源以源文件内容哈希判断是否需要重新复制。
+ * 资源路径均为相对 quartzContentDir 的路径，如 image/foo.png。
+ * brokenLinks 为各笔记中失效的链接与嵌入（reason 见 renderNote），collisions 为 assignAssetPaths 找到的同名资源。
+ * rendered 为本次渲染的笔记（完整同步时即全部可发布笔记），published 为全部可发布笔记；
+ * 增量同步时 assetInfo 另含未重新渲染的笔记沿用的资源。
+ * @returns {{ notes: { add: string[], update: string[], delete: string[] }, assets: { add: { path: string, source: string }[], update: { path: string, source: string }[], delete: string[] }, brokenLinks: Record<string, { link: string, reason: string }[]>, collisions: { path: string, sources: { source: string, path: string }[] }[] }}
+ */
+function buildSyncPlan(rendered, published, manifest, assetInfo, collisions) {
+  const { entries, assets: prevAssets } = manifest;
+  const plan = {
+    notes: { add: [], update: [], delete: [] },
+    assets: { add: [], update: [], delete: [] },
+    brokenLinks: {},
+    collisions,
+  };
+
+  // Delete: in manifest but not in publishable
+  plan.notes.delete = Object.keys(entries).filter((rel) => !published.has(rel));
+
+  // Add / Update: in publishable; new or output changed
+  // 输出内容涵盖正文、被链接笔记的发布状态与 frontmatter 转换结果
+  for (const [rel, data] of rendered) {
+    const prev = entries[rel];
+    if (!prev) plan.notes.add.push(rel);
+    else if (prev.outputHash !== data.outputHash) plan.notes.update.push(rel);
+  }
+
+  // 资源：未记录过的新增，内容哈希变化的更新；不再被任何可发布 md 引用的删除（孤立资源）
+  for (const [assetPath, { sourcePath, hash }] of assetInfo) {
+    const prev = prevAssets[assetPath];
+    if (!prev) plan.assets.add.push({ path: assetPath, source: sourcePath });
+    else if (prev.hash !== hash) plan.assets.update.push({ path: assetPath, source: sourcePath });
+  }
+  plan.assets.delete = Object.keys(prevAssets).filter((a) => !assetInfo.has(a));
+
+  for (const [rel, data] of rendered) {
+    if (data.links.broken.length > 0) plan.brokenLinks[rel] = data.links.broken;
+  }
+  return plan;
+}
+
+async function applySyncPlan(plan, publishable, assetInfo, obsidianDir, quartzContentDir, emit = () => {}) {
+  for (const rel of plan.notes.delete) {
+    const quartzMdPath = path.join(quartzContentDir, rel);
     try {
       await fs.unlink(quartzMdPath);
     } catch (e) {
       if (e.code !== "ENOENT") throw e;
     }
-    for (const a of entries[rel].assets || []) {
-      if (!assetsStillReferenced.has(a)) {
-        const assetPath = path.join(QUARTZ_CONTENT_DIR, a);
-        try {
-          await fs.unlink(assetPath);
-        } catch (err) {
-          if (err.code !== "ENOENT") throw err;
-        }
-      }
+  }
+  for (const a of plan.assets.delete) {
+    try {
+      await fs.unlink(path.join(quartzContentDir, a));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
     }
   }
   // Remove empty dirs under content (e.g. 玩家/ if empty)
-  const dirsToCheck = new Set(toDeleteMd.map((r) => path.dirname(r)));
+  const dirsToCheck = new Set(plan.notes.delete.map((r) => path.dirname(r)));
   for (const d of dirsToCheck) {
     if (!d || d === ".") continue;
-    const fullDir = path.join(QUARTZ_CONTENT_DIR, d);
+    const fullDir = path.join(quartzContentDir, d);
     try {
       const names = await fs.readdir(fullDir);
       if (names.length === 0) await fs.rmdir(fullDir);
@@ -253,45 +804,382 @@ async function run() {
     }
   }
 
-  // 2. Add / Update: in publishable; new or mtime newer
-  const contentImageDir = path.join(QUARTZ_CONTENT_DIR, "image");
-  await fs.mkdir(contentImageDir, { recursive: true });
+  const copies = [...plan.assets.add, ...plan.assets.update];
+  const changed = new Set([...plan.notes.add, ...plan.notes.update]);
+  const total = copies.length + changed.size;
+  let done = 0;
+  for (const { path: assetPath, source } of copies) {
+    emit({ phase: "write", message: `复制 ${assetPath}`, current: ++done, total, file: assetPath });
+    const dest = path.join(quartzContentDir, assetPath);
+    await fs.mkdir(path.dirname(dest), { recursive: true });
+    await fs.copyFile(source, dest);
+  }
 
+  const entries = {};
   for (const [rel, data] of publishable) {
-    const prev = entries[rel];
-    const isNew = !prev;
-    const isUpdated = prev && data.mtime > prev.mtime;
-    const prevAssets = new Set(prev?.assets || []);
-    const currAssets = new Set(data.assets.map((a) => `image/${a.slugifiedBasename}`));
-    const assetsChanged =
-      prevAssets.size !== currAssets.size ||
-      [...currAssets].some((a) => !prevAssets.has(a));
-    if (!isNew && !isUpdated && !assetsChanged) {
-      newEntries[rel] = prev;
+    if (changed.has(rel)) {
+      emit({ phase: "write", message: `写入 ${rel}`, current: ++done, total, file: rel });
+      const quartzMdPath = path.join(quartzContentDir, rel);
+      await fs.mkdir(path.dirname(quartzMdPath), { recursive: true });
+      await fs.writeFile(quartzMdPath, data.output, "utf-8");
+    }
+    entries[rel] = {
+      hash: data.hash,
+      outputHash: data.outputHash,
+      mtime: data.mtime,
+      assets: data.assets.map((a) => a.path),
+      links: data.links,
+      embeds: data.embeds,
+      redaction: data.redaction,
+      missingAssets: data.missingAssets,
+    };
+  }
+  const assets = {};
+  for (const [assetPath, { sourcePath, hash, size, mtime }] of assetInfo) {
+    assets[assetPath] = {
+      hash,
+      size,
+      mtime,
+      source: path.relative(obsidianDir, sourcePath).replace(/\\/g, "/"),
+    };
+  }
+  return { entries, assets };
+}
+
+// --- 增量同步 ---
+// 影响输出的配置：变化后沿用的 manifest 记录不再可信，需完整同步
+function configFingerprint(config, attachmentFolder) {
+  const { publishRules, frontmatter, attachments, redaction } = config;
+  return sha256(JSON.stringify({ publishRules, frontmatter, attachments, redaction, attachmentFolder }));
+}
+
+const noteName = (rel) => path.posix.basename(rel).replace(/\.md$/i, "").toLowerCase();
+
+// 笔记嵌入的其它笔记（不含附件嵌入）
+function embedTargets(rel, content, noteIndex) {
+  const targets = new Set();
+  replaceOutsideCode(content, (text) => {
+    for (const m of text.matchAll(NOTE_EMBED_REGEX)) {
+      const { target } = parseWikiInner(m[1]);
+      const targetRel = target ? resolveNoteLink(target, rel, noteIndex) : null;
+      if (targetRel) targets.add(targetRel);
+    }
+    return text;
+  });
+  return targets;
+}
+
+/**
+ * 根据变更路径找出需要重新渲染的笔记：变更的笔记本身；链接、嵌入或失效链接指向同名笔记的笔记
+ * （涵盖发布状态变化与同名笔记增删导致的链接解析变化）；引用了变更附件或同名附件的笔记。
+ * @param {string[]} changedPaths - 相对 Obsidian 根目录的路径
+ * @returns {{ notes: Set<string> } | { fallback: string }} 无法只处理部分笔记时返回完整同步的原因
+ */
+function findAffectedNotes(changedPaths, manifest, config) {
+  const notes = new Set();
+  const names = new Set();
+  const assetNames = new Set();
+  const sources = new Map(Object.entries(manifest.assets).map(([p, a]) => [String(a.source).toLowerCase(), p]));
+  for (const rel of changedPaths) {
+    if (/\.md$/i.test(rel)) {
+      notes.add(rel);
+      names.add(noteName(rel));
       continue;
     }
+    const slug = slugifyBasename(path.posix.basename(rel)).toLowerCase();
+    const assetPath = sources.get(rel.toLowerCase());
+    // 同名资源加了哈希后缀：增删或修改都可能改变其它资源的输出路径
+    if (assetPath && assetPath.toLowerCase() !== `${config.attachments.outputDir}/${slug}`.toLowerCase()) {
+      return { fallback: `资源 ${rel} 与其它资源重名` };
+    }
+    assetNames.add(path.posix.basename(rel).toLowerCase());
+    assetNames.add(slug);
+  }
+  const linkName = (link) => noteName(parseWikiInner(link).target);
+  for (const [rel, e] of Object.entries(manifest.entries)) {
+    const linked = [...(e.links?.resolved || []), ...(e.embeds || [])].map(noteName);
+    const broken = (e.links?.broken || []).map((b) => linkName(b.link));
+    const assets = [...(e.assets || []), ...(e.missingAssets || [])].map((a) => path.posix.basename(a).toLowerCase());
+    if (
+      [...linked, ...broken].some((n) => names.has(n)) ||
+      assets.some((a) => assetNames.has(a) || assetNames.has(slugifyBasename(a).toLowerCase()))
+    ) {
+      notes.add(rel);
+    }
+  }
+  return { notes };
+}
 
-    const quartzMdPath = path.join(QUARTZ_CONTENT_DIR, rel);
-    const quartzMdDir = path.dirname(quartzMdPath);
-    await fs.mkdir(quartzMdDir, { recursive: true });
+/**
+ * 增量同步的输入：只读取受影响的笔记（及其嵌入的笔记），其余笔记沿用 manifest 中的记录。
+ * @returns {Promise<{ publishable: Map<string, object>, published: Set<string>, rendered: Map<string, object>, kept: Record<string, object>, keptAssets: Map<string, object> } | { fallback: string }>}
+ */
+async function collectIncremental(changedPaths, manifest, config, vault, noteIndex, configHash) {
+  if (manifest.configHash !== configHash) return { fallback: "配置或附件目录设置已变化" };
+  const affected = findAffectedNotes(changedPaths, manifest, config);
+  if (affected.fallback) return affected;
 
-    const assetPathsInContent = [];
-    for (const { slugifiedBasename, sourcePath } of data.assets) {
-      const destPath = path.join(contentImageDir, slugifiedBasename);
-      await fs.copyFile(sourcePath, destPath);
-      assetPathsInContent.push(`image/${slugifiedBasename}`);
+  const published = new Set(Object.keys(manifest.entries));
+  const publishable = new Map();
+  for (const rel of affected.notes) {
+    const data = await readNote(rel, vault, config.publishRules, config.attachments);
+    if (data) {
+      publishable.set(rel, data);
+      published.add(rel);
+    } else {
+      published.delete(rel);
+    }
+  }
+  const rendered = new Map(publishable);
+  // 被嵌入笔记的内容会展开到嵌入方，一并读取（逐层展开）
+  const queue = [...publishable.keys()];
+  while (queue.length > 0) {
+    const rel = queue.shift();
+    for (const target of embedTargets(rel, publishable.get(rel).content, noteIndex)) {
+      if (!published.has(target) || publishable.has(target)) continue;
+      const data = await readNote(target, vault, config.publishRules, config.attachments);
+      if (!data) {
+        published.delete(target);
+        continue;
+      }
+      publishable.set(target, data);
+      queue.push(target);
     }
+  }
 
-    const converted = convertContentForQuartz(data.content, data.assets);
-    await fs.writeFile(quartzMdPath, converted, "utf-8");
+  const kept = {};
+  const keptAssets = new Map();
+  for (const [rel, e] of Object.entries(manifest.entries)) {
+    if (affected.notes.has(rel) || !published.has(rel)) continue;
+    kept[rel] = e;
+    for (const assetPath of e.assets || []) {
+      const a = manifest.assets[assetPath];
+      if (a) keptAssets.set(assetPath, { sourcePath: path.join(vault.dir, a.source), hash: a.hash, size: a.size, mtime: a.mtime });
+    }
+  }
+  // 重新渲染的笔记引用的资源若与沿用的资源同路径而源文件不同，需要重新分配路径
+  const keptByPath = new Map([...keptAssets].map(([p, a]) => [p.toLowerCase(), a.sourcePath]));
+  for (const [, data] of rendered) {
+    for (const asset of data.assets) {
+      const keptSource = keptByPath.get(asset.path.toLowerCase());
+      if (keptSource && keptSource !== asset.sourcePath) return { fallback: `资源 ${asset.path} 出现重名` };
+    }
+  }
+  return { publishable, published, rendered, kept, keptAssets };
+}
 
-    newEntries[rel] = { mtime: data.mtime, assets: assetPathsInContent };
+/**
+ * 从监听到的文件变动中筛出可能影响输出的路径：已发布或当前可发布的笔记、已同步的资源，
+ * 以及可能被引用的新附件。未发布笔记的编辑与无关文件的变动不触发同步。
+ * @param {{ profile?: string, changes: { event: 'add'|'change'|'unlink'|'unlinkDir', path: string }[] }} options - path 为绝对路径
+ * @returns {Promise<string[]>} 相对 Obsidian 根目录的路径
+ */
+export async function filterRelevantChanges({ profile, changes }) {
+  const config = await loadConfig(profile);
+  const { obsidianDir } = resolvePaths(config);
+  const manifest = await readManifest(manifestPath(config.profile.id));
+  const entries = manifest.entries || {};
+  const assets = Object.values(manifest.assets || {});
+  const sources = new Set(assets.map((a) => String(a.source).toLowerCase()));
+  // 已同步资源与笔记中找不到的附件的文件名：新增同名附件可能改变引用的解析结果
+  const assetNames = new Set(assets.map((a) => slugifyBasename(path.posix.basename(String(a.source))).toLowerCase()));
+  for (const e of Object.values(entries)) {
+    for (const ref of e.missingAssets || []) assetNames.add(slugifyBasename(path.posix.basename(ref)).toLowerCase());
   }
+  const relevant = new Set();
+  for (const { event, path: full } of changes) {
+    const rel = path.relative(obsidianDir, full).replace(/\\/g, "/");
+    if (!rel || rel.startsWith("../") || path.isAbsolute(rel) || isWatchIgnored(rel, config.watcher)) continue;
+    if (event === "unlinkDir") {
+      const prefix = `${rel}/`.toLowerCase();
+      Object.keys(entries).filter((r) => r.toLowerCase().startsWith(prefix)).forEach((r) => relevant.add(r));
+      assets.map((a) => String(a.source)).filter((s) => s.toLowerCase().startsWith(prefix)).forEach((s) => relevant.add(s));
+    } else if (/\.md$/i.test(rel)) {
+      if (entries[rel]) relevant.add(rel);
+      else if (event !== "unlink" && isPathAllowed(rel, config.publishRules)) {
+        try {
+          const { data } = parseFrontmatter(await fs.readFile(full, "utf-8"));
+          if (isPublishable(rel, data, config.publishRules)) relevant.add(rel);
+        } catch {
+          // 文件已被删除
+        }
+      }
+    } else if (sources.has(rel.toLowerCase())) {
+      relevant.add(rel);
+    } else if (event === "add" && assetNames.has(slugifyBasename(path.posix.basename(rel)).toLowerCase())) {
+      relevant.add(rel);
+    }
+  }
+  return [...relevant];
+}
 
-  await writeManifest(newEntries);
+function summarizeWarnings(plan) {
+  const warnings = [];
+  for (const c of plan.collisions) {
+    warnings.push(`资源重名：${c.sources.map((x) => `${x.source} → ${x.path}`).join("，")}（原路径 ${c.path}）`);
+  }
+  for (const [rel, links] of Object.entries(plan.brokenLinks)) {
+    warnings.push(`失效链接：${rel} → ${links.map((l) => `${l.link}（${l.reason}）`).join("、")}`);
+  }
+  return warnings;
+}
+
+/**
+ * 执行一次同步。
+ * @param {{ profile?: string, changedPaths?: string[], dryRun?: boolean, confirmDeletions?: boolean, signal?: AbortSignal, onProgress?: (event: { phase: string, message: string, current?: number, total?: number, file?: string }) => void }} [options]
+ *   profile 为配置方案 id（缺省为默认方案）；dryRun 为 true 时只生成变更计划，不写 quartz 也不写 manifest；onProgress 在各阶段及逐个文件处理时回调；
+ *   changedPaths 为自上次同步以来变更的路径（相对 Obsidian 根目录，见 filterRelevantChanges），传入时只重新处理受影响的笔记，
+ *   配置变化或资源重名等无法确定影响范围时自动改为完整同步；
+ *   signal 中止时在开始写入前抛出 AbortError（写入阶段不中断，避免 quartz 与 manifest 不一致）；
+ *   待删除文件数超过 maxDeletions 且未传 confirmDeletions 时抛出 code 为 DELETION_LIMIT 的错误
+ * @returns {Promise<{ dryRun: boolean, mode: 'full'|'incremental', rendered: number, notes: { added: string[], updated: string[], deleted: string[] }, assets: { added: string[], updated: string[], deleted: string[] }, warnings: string[], plan: ReturnType<typeof buildSyncPlan>, durationMs: number }>}
+ *   notes / assets 为本次实际写入（dryRun 时为将要写入）的相对路径；rendered 为重新渲染的笔记数，增量同步时 warnings 只含这些笔记；
+ *   失败时抛出异常，不写入任何文件
+ */
+export async function sync({ profile, changedPaths, dryRun = false, confirmDeletions = false, signal, onProgress } = {}) {
+  const startedAt = Date.now();
+  const emit = (event) => {
+    if (onProgress) onProgress(event);
+  };
+  const config = await loadConfig(profile);
+  const manifestFile = manifestPath(config.profile.id);
+  const { obsidianDir: OBSIDIAN_DIR, quartzContentDir: QUARTZ_CONTENT_DIR } =
+    resolvePaths(config);
+
+  const check = await validatePaths({ obsidianDir: OBSIDIAN_DIR, quartzContentDir: QUARTZ_CONTENT_DIR });
+  if (!check.ok) throw new Error("路径配置有误，已中止同步：" + check.errors.join("；"));
+
+  emit({ phase: "scan", message: `扫描 ${OBSIDIAN_DIR}` });
+  const manifest = await migrateManifest(await readManifest(manifestFile), QUARTZ_CONTENT_DIR);
+  // manifest 中的删除记录只对生成它的内容目录有效
+  const contentDir = await fs.realpath(QUARTZ_CONTENT_DIR);
+  if (manifest.contentDir && manifest.contentDir !== contentDir) {
+    throw new Error(
+      `同步记录属于另一个 Quartz 内容目录（${manifest.contentDir}），与当前配置（${contentDir}）不一致，已中止同步。` +
+        `若确实要改用新目录，请删除 ${path.relative(__dirname, manifestFile)} 后重新同步（旧目录中的文件不会被删除）。`
+    );
+  }
+  const vault = await scanVault(OBSIDIAN_DIR);
+  const noteIndex = buildNoteIndex(vault.notes.map((n) => n.rel));
+  const configHash = configFingerprint(config, vault.attachmentFolder);
+  let scope = null;
+  if (changedPaths) {
+    scope = await collectIncremental(changedPaths, manifest, config, vault, noteIndex, configHash);
+    if (scope.fallback) {
+      emit({ phase: "scan", message: `${scope.fallback}，改为完整同步` });
+      scope = null;
+    } else {
+      emit({ phase: "scan", message: `增量同步：${changedPaths.length} 个文件变更，重新处理 ${scope.rendered.size} 篇笔记` });
+    }
+  }
+  if (!scope) {
+    const publishable = await getPublishableSet(vault, config.publishRules, config.attachments);
+    scope = { publishable, published: publishable, rendered: publishable, kept: {}, keptAssets: new Map() };
+  }
+  const { publishable, published, rendered: renderSet } = scope;
+  // 先确定资源输出路径（含同名冲突处理），渲染笔记时引用才能指向最终路径
+  emit({ phase: "assets", message: "计算资源哈希" });
+  const sourceInfo = await hashAssetSources(renderSet, manifest.assets, OBSIDIAN_DIR);
+  const { assetInfo: renderedAssets, collisions } = assignAssetPaths(renderSet, sourceInfo, OBSIDIAN_DIR);
+  const assetInfo = new Map([...scope.keptAssets, ...renderedAssets]);
+  signal?.throwIfAborted();
+  const ctx = { publishable, published, noteIndex, attachments: config.attachments };
+  for (const [rel, data] of publishable) {
+    const prev = manifest.entries[rel];
+    data.hash = sha256(data.content);
+    // 内容未变时沿用上次记录的 mtime：git checkout、网盘同步重置 mtime 不会改变 lastmod，也不会触发重写
+    // （v1 迁移来的记录没有源文件哈希，仍按 mtime 判断一次）
+    const unchanged = prev && (prev.hash ? prev.hash === data.hash : data.mtime <= prev.mtime);
+    if (unchanged) data.mtime = prev.mtime;
+    // 先剔除全部笔记的私密内容，再渲染：被嵌入的笔记同样不会带出私密内容
+    const redacted = redactPrivate(data.content, config.redaction);
+    data.content = redacted.content;
+    data.redaction = redacted.stats;
+  }
+  const leaks = [];
+  let rendered = 0;
+  for (const [rel, data] of renderSet) {
+    signal?.throwIfAborted();
+    emit({ phase: "render", message: `转换 ${rel}`, current: ++rendered, total: renderSet.size, file: rel });
+    const { content, links, embeds } = renderNote(rel, data.content, ctx);
+    data.output = transformFrontmatter(content, { rel, mtime: data.mtime }, config.frontmatter);
+    data.outputHash = sha256(data.output);
+    data.links = links;
+    // 被嵌入的笔记：其内容已计入 outputHash，修改后嵌入方随之重写
+    data.embeds = embeds;
+    const found = findRedactionLeaks(data.output, config.redaction);
+    if (found.length > 0) leaks.push(`${rel}（${found.join(", ")}）`);
+  }
+  // 安全检查：输出中仍有私密标记时中止同步，不写入任何文件
+  if (leaks.length > 0) {
+    throw new Error(`以下笔记剔除私密内容后仍有残留标记，已中止同步：${leaks.join("；")}`);
+  }
+  const plan = buildSyncPlan(renderSet, published, manifest, assetInfo, collisions);
+  const deletions = plan.notes.delete.length + plan.assets.delete.length;
+  plan.deletions = {
+    count: deletions,
+    max: config.maxDeletions,
+    exceeded: config.maxDeletions != null && deletions > config.maxDeletions,
+  };
+  const result = {
+    dryRun,
+    mode: changedPaths && renderSet !== publishable ? "incremental" : "full",
+    rendered: renderSet.size,
+    notes: { added: plan.notes.add, updated: plan.notes.update, deleted: plan.notes.delete },
+    assets: {
+      added: plan.assets.add.map((a) => a.path),
+      updated: plan.assets.update.map((a) => a.path),
+      deleted: plan.assets.delete,
+    },
+    warnings: summarizeWarnings(plan),
+    plan,
+  };
+
+  if (!dryRun) {
+    if (plan.deletions.exceeded && !confirmDeletions) {
+      const err = new Error(`本次同步将删除 ${deletions} 个文件，超过上限 ${config.maxDeletions}，已中止同步，请确认后再同步`);
+      err.code = "DELETION_LIMIT";
+      err.deletions = plan.deletions;
+      throw err;
+    }
+    signal?.throwIfAborted();
+    const next = await applySyncPlan(plan, renderSet, assetInfo, OBSIDIAN_DIR, QUARTZ_CONTENT_DIR, emit);
+    await writeManifest(manifestFile, { ...next, entries: { ...scope.kept, ...next.entries }, contentDir, configHash });
+  }
+  result.durationMs = Date.now() - startedAt;
+  emit({ phase: "done", message: `完成，用时 ${result.durationMs}ms` });
+  return result;
 }
 
-run().catch((err) => {
-  console.error(err);
-  process.exit(1);
-});
+// --- CLI：node sync.mjs [--dry-run] [--confirm-deletions] [--profile <id>] ---
+const isMain = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isMain) {
+  const dryRun = process.argv.includes("--dry-run");
+  const confirmDeletions = process.argv.includes("--confirm-deletions");
+  const profileArg = process.argv.indexOf("--profile");
+  const profile = profileArg >= 0 ? process.argv[profileArg + 1] : undefined;
+  sync({ profile, dryRun, confirmDeletions })
+    .then((result) => {
+      // --dry-run：只输出变更计划（JSON），不写 quartz 也不写 manifest
+      if (dryRun) {
+        process.stdout.write(JSON.stringify(result.plan, null, 2) + "\n");
+        return;
+      }
+      for (const w of result.warnings) console.warn(w);
+      const { notes, assets } = result;
+      console.log(
+        `笔记：新增 ${notes.added.length}，更新 ${notes.updated.length}，删除 ${notes.deleted.length}；` +
+          `资源：新增 ${assets.added.length}，更新 ${assets.updated.length}，删除 ${assets.deleted.length}` +
+          `（${result.durationMs}ms）`
+      );
+    })
+    .catch((err) => {
+      if (err.code === "DELETION_LIMIT") {
+        console.error(err.message + "（确认无误后加 --confirm-deletions 重新执行）");
+      } else {
+        console.error(err);
+      }
+      process.exit(1);
+    });
+}
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { checkContent } from "../check.mjs";
+
+// 内容目录：files 的键为相对路径；方案不存在 manifest，不比对同步记录
+async function checkFiles(t, files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "oqg-check-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  for (const [rel, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(dir, rel)), { recursive: true });
+    await fs.writeFile(path.join(dir, rel), content);
+  }
+  const report = await checkContent({ profile: { id: "check-test", isDefault: false }, quartzContentDir: dir });
+  return report.issues.map(({ type, file, target }) => ({ type, file, target }));
+}
+
+test("写明路径的图片不按文件名在别处查找", async (t) => {
+  const issues = await checkFiles(t, {
+    "notes/A.md": "![](../image/nope.png)\n![[other/nope.png]]\n",
+    "assets/nope.png": "PNG",
+  });
+  assert.deepEqual(issues, [
+    { type: "missing-asset", file: "notes/A.md", target: "../image/nope.png" },
+    { type: "missing-asset", file: "notes/A.md", target: "other/nope.png" },
+  ]);
+});
+
+test("不含路径的 wikilink 按文件名在整个内容目录中查找", async (t) => {
+  const issues = await checkFiles(t, {
+    "A.md": "[[B]] ![[pic.png]] [[dir/B]] [[Missing]]\n",
+    "dir/B.md": "# B\n",
+    "assets/pic.png": "PNG",
+  });
+  assert.deepEqual(issues, [{ type: "dead-link", file: "A.md", target: "Missing" }]);
+});
+
+test("相对当前笔记与相对内容根目录的路径", async (t) => {
+  const issues = await checkFiles(t, {
+    "dir/B.md": "![](../assets/files/x.png) [A](../A.md) <img src=\"pic.png\">\n`[[InCode]]`\n",
+    "A.md": "# A\n",
+    "assets/files/x.png": "PNG",
+    "dir/pic.png": "PNG",
+  });
+  assert.deepEqual(issues, []);
+});
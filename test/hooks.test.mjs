@@ -0,0 +1,21 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeHooks, authorizeHook } from "../hooks.mjs";
+
+const { hooks } = normalizeHooks(
+  {
+    a: { token: "a".repeat(16), action: "sync" },
+    b: { token: "b".repeat(16), action: "publish" },
+  },
+  { profileIds: ["default"], defaultProfile: "default" },
+);
+
+test("令牌错误按触发器分别计数，同一 IP 调用其它触发器不受影响", () => {
+  const ip = "203.0.113.1";
+  for (let i = 0; i < 10; i++) assert.equal(authorizeHook(hooks, "a", "wrong", ip).status, 401);
+  const blocked = authorizeHook(hooks, "a", "a".repeat(16), ip);
+  assert.equal(blocked.status, 429);
+  assert.ok(blocked.retryAfter > 0);
+  assert.equal(authorizeHook(hooks, "b", "b".repeat(16), ip).hook?.name, "b");
+  assert.equal(authorizeHook(hooks, "a", "a".repeat(16), "203.0.113.2").hook?.name, "a");
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createJobQueue, mergeJobParams } from "../jobs.mjs";
+
+// 第一个任务在 release() 前一直运行，之后加入的任务留在队列中
+function blockedQueue() {
+  const runs = [];
+  let release;
+  const blocker = new Promise((resolve) => { release = resolve; });
+  const queue = createJobQueue({
+    run: async (job) => {
+      runs.push({ type: job.type, trigger: job.trigger, params: job.params });
+      if (runs.length === 1) await blocker;
+      return { ok: true };
+    },
+  });
+  queue.enqueue("publish", "manual", { profile: "default" });
+  return { queue, runs, release };
+}
+
+test("自动同步合并到排队中的已确认同步时保留 confirmDeletions", async () => {
+  const { queue, runs, release } = blockedQueue();
+  const confirmed = queue.enqueue("sync", "manual", { profile: "default", params: { confirmDeletions: true } });
+  const watcher = queue.enqueue("sync", "watcher", { profile: "default", params: { incremental: true } });
+  assert.equal(watcher, confirmed);
+  assert.equal(confirmed.params.confirmDeletions, true);
+  release();
+  await confirmed.done;
+  assert.equal(confirmed.status, "finished");
+  assert.deepEqual(runs[1], { type: "sync", trigger: "manual", params: { confirmDeletions: true, incremental: false } });
+});
+
+test("合并到排队中的发布时保留提交信息", async () => {
+  const { queue, release } = blockedQueue();
+  queue.enqueue("sync-and-publish", "manual", { profile: "default", params: { message: "自定义" } });
+  const merged = queue.enqueue("sync-and-publish", "cron", { profile: "default" });
+  assert.deepEqual(merged.params, { message: "自定义" });
+  release();
+  await merged.done;
+});
+
+test("回滚到不同发布的任务不合并", async () => {
+  const { queue, runs, release } = blockedQueue();
+  const a = queue.enqueue("rollback", "manual", { profile: "default", params: { publishId: "a", republish: false } });
+  const b = queue.enqueue("rollback", "manual", { profile: "default", params: { publishId: "b", republish: false } });
+  const again = queue.enqueue("rollback", "manual", { profile: "default", params: { publishId: "a", republish: false } });
+  assert.notEqual(a, b);
+  assert.equal(again, a);
+  assert.deepEqual(a.params, { publishId: "a", republish: false });
+  release();
+  await b.done;
+  assert.deepEqual(runs.slice(1).map((r) => r.params.publishId), ["a", "b"]);
+});
+
+test("提交信息不同的发布不合并", () => {
+  const { queue, release } = blockedQueue();
+  const a = queue.enqueue("sync-and-publish", "manual", { profile: "default", params: { message: "甲" } });
+  const b = queue.enqueue("sync-and-publish", "manual", { profile: "default", params: { message: "乙" } });
+  assert.notEqual(a, b);
+  release();
+});
+
+test("不同配置方案的同类任务不合并", () => {
+  const { queue, release } = blockedQueue();
+  const a = queue.enqueue("sync", "manual", { profile: "a" });
+  const b = queue.enqueue("sync", "manual", { profile: "b" });
+  assert.notEqual(a, b);
+  assert.equal(queue.queued.length, 2);
+  release();
+});
+
+test("只有两次都是增量同步时才按增量执行", () => {
+  assert.deepEqual(mergeJobParams({ incremental: true }, { incremental: true }), { incremental: true });
+  assert.deepEqual(mergeJobParams({ incremental: true }, undefined), { incremental: false });
+  assert.deepEqual(mergeJobParams(undefined, { incremental: true }), { incremental: false });
+  assert.deepEqual(mergeJobParams({ incremental: true }, { confirmDeletions: true }), { incremental: false, confirmDeletions: true });
+  assert.equal(mergeJobParams(undefined, undefined), undefined);
+});
+
+test("取消排队中的任务", async () => {
+  const { queue, release } = blockedQueue();
+  const job = queue.enqueue("sync", "manual", { profile: "default" });
+  assert.equal(queue.cancel(job.id), true);
+  assert.deepEqual(await job.done, { ok: false, cancelled: true, error: "任务已取消" });
+  assert.equal(job.status, "cancelled");
+  assert.equal(queue.cancel(job.id), false);
+  release();
+});
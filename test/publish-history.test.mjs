@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { recordPublish, listPublishes } from "../publish-history.mjs";
+
+async function makeFiles(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "oqg-history-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return {
+    manifest: path.join(dir, "manifest.json"),
+    publishHistory: path.join(dir, "publish-history.json"),
+    snapshots: path.join(dir, "snapshots"),
+  };
+}
+
+const record = { commit: "0123456789abcdef", newCommit: true, message: "m", remote: "origin", target: "main", notes: {}, files: 1 };
+
+test("没有发布历史时从空列表开始记录", async (t) => {
+  const files = await makeFiles(t);
+  assert.deepEqual(await listPublishes(files), []);
+  const saved = await recordPublish(files, record);
+  assert.equal(saved.snapshot, false);
+  assert.deepEqual((await listPublishes(files)).map((r) => r.id), [saved.id]);
+});
+
+test("发布历史损坏时不覆盖", async (t) => {
+  const files = await makeFiles(t);
+  await fs.writeFile(files.publishHistory, "[{ 损坏", "utf-8");
+  await assert.rejects(listPublishes(files), SyntaxError);
+  await assert.rejects(recordPublish(files, record), SyntaxError);
+  assert.equal(await fs.readFile(files.publishHistory, "utf-8"), "[{ 损坏");
+});
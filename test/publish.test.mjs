@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { execFileSync } from "child_process";
+import { publish, normalizePublishSettings } from "../publish.mjs";
+
+const git = (cwd, ...args) => execFileSync("git", args, { cwd, encoding: "utf-8" }).trim();
+
+// Quartz 仓库（main 分支）与作为远程的裸仓库
+async function makeRepos() {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "oqg-publish-"));
+  const remote = path.join(root, "remote.git");
+  const quartzDir = path.join(root, "quartz");
+  const quartzContentDir = path.join(quartzDir, "content");
+  await fs.mkdir(quartzContentDir, { recursive: true });
+  git(root, "init", "-q", "--bare", "-b", "main", remote);
+  git(quartzDir, "init", "-q", "-b", "main");
+  git(quartzDir, "config", "user.email", "test@example.com");
+  git(quartzDir, "config", "user.name", "test");
+  await fs.writeFile(path.join(quartzContentDir, "index.md"), "# index\n");
+  git(quartzDir, "add", "-A");
+  git(quartzDir, "commit", "-q", "-m", "init");
+  git(quartzDir, "remote", "add", "origin", remote);
+  git(quartzDir, "push", "-q", "-u", "origin", "main");
+  return { root, remote, quartzDir, quartzContentDir };
+}
+
+const run = (repos, settings) =>
+  publish({ quartzDir: repos.quartzDir, quartzContentDir: repos.quartzContentDir, settings: normalizePublishSettings(settings) });
+
+test("预发布的提交不会在之后的正常发布中推送到正式分支", async (t) => {
+  const repos = await makeRepos();
+  t.after(() => fs.rm(repos.root, { recursive: true, force: true }));
+  const { remote, quartzDir, quartzContentDir } = repos;
+  const mainBefore = git(remote, "rev-parse", "main");
+
+  await fs.writeFile(path.join(quartzContentDir, "draft.md"), "# draft\n");
+  const staged = await run(repos, { stagingBranch: "staging", commitMessage: "staging only" });
+  assert.ok(staged.commit);
+  assert.equal(git(remote, "rev-parse", "staging"), staged.head);
+  assert.equal(git(remote, "show", "staging:content/draft.md"), "# draft");
+  // 当前分支与远程正式分支均未移动，变更留在工作区
+  assert.equal(git(quartzDir, "rev-parse", "main"), mainBefore);
+  assert.equal(git(remote, "rev-parse", "main"), mainBefore);
+  assert.equal(git(quartzDir, "symbolic-ref", "--short", "HEAD"), "main");
+
+  const published = await run(repos, { commitMessage: "production" });
+  assert.equal(git(remote, "rev-parse", "main"), published.head);
+  assert.equal(git(remote, "show", "main:content/draft.md"), "# draft");
+  const log = git(remote, "log", "--format=%s", "main").split("\n");
+  assert.deepEqual(log, ["production", "init"]);
+
+  // 再次预发布：正式分支的新提交作为第二个父提交并入预发布分支
+  await fs.writeFile(path.join(quartzContentDir, "next.md"), "# next\n");
+  const again = await run(repos, { stagingBranch: "staging", commitMessage: "staging again" });
+  assert.deepEqual(git(remote, "rev-list", "--parents", "-n", "1", "staging").split(" ").slice(1), [staged.head, published.head]);
+  assert.equal(git(remote, "rev-parse", "staging"), again.head);
+  assert.equal(git(remote, "rev-parse", "main"), published.head);
+});
+
+test("没有变更的预发布不新建提交", async (t) => {
+  const repos = await makeRepos();
+  t.after(() => fs.rm(repos.root, { recursive: true, force: true }));
+  const head = git(repos.quartzDir, "rev-parse", "HEAD");
+  const result = await run(repos, { stagingBranch: "staging" });
+  assert.equal(result.commit, null);
+  assert.equal(result.head, head);
+  assert.equal(git(repos.remote, "rev-parse", "staging"), head);
+});
@@ -0,0 +1,21 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeSchedules, invalidSchedules } from "../schedules.mjs";
+
+test("无效的定时任务单独列出，不混入有效的定时任务", () => {
+  const bad = { name: "坏的", cron: "not cron", action: "sync" };
+  const cfg = {
+    schedules: [bad, { id: "ok", name: "好的", cron: "0 2 * * *", action: "sync" }],
+  };
+  assert.deepEqual(normalizeSchedules(cfg).map((s) => s.id), ["ok"]);
+  const invalid = invalidSchedules(cfg);
+  assert.equal(invalid.length, 1);
+  assert.equal(invalid[0].index, 0);
+  assert.equal(invalid[0].item, bad);
+  assert.match(invalid[0].error, /cron/);
+});
+
+test("未配置 schedules 时使用默认定时任务", () => {
+  assert.deepEqual(normalizeSchedules({ cronHour: 5 }).map((s) => s.cron), ["0 5 * * *"]);
+  assert.deepEqual(invalidSchedules({}), []);
+});